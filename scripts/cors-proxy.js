@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Reference CORS proxy for URL imports from servers that do
+ * not send CORS headers
+ *
+ * Fetches `?url=<encoded URL>` and returns the response with
+ * `Access-Control-Allow-Origin: *`. Meant to run locally, next to the
+ * assets it proxies; use the template `http://localhost:8787/?url={url}`
+ * in the app's CORS proxy setting.
+ *
+ * Usage:
+ *   node scripts/cors-proxy.js
+ *   PORT=9000 PROXY_ALLOWED_HOSTS=assets.internal,cdn.internal node scripts/cors-proxy.js
+ *
+ * @module scripts/cors-proxy
+ */
+
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+/**
+ * Response headers copied from the proxied response
+ * @type {string[]}
+ */
+const FORWARDED_HEADERS = ['content-type', 'content-length', 'last-modified', 'etag', 'cache-control'];
+
+/**
+ * CORS headers added to every response
+ * @type {Object<string, string>}
+ */
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+  'Access-Control-Expose-Headers': 'Content-Type, Content-Length'
+};
+
+/**
+ * Most redirects followed for one request
+ * @type {number}
+ */
+const MAX_REDIRECTS = 5;
+
+/**
+ * Creates the proxy server (not yet listening)
+ *
+ * Redirects are followed by hand so every hop is checked against the
+ * allow list, not just the requested URL.
+ *
+ * @param {Object} [options={}] - Proxy options
+ * @param {string[]} [options.allowedHosts=[]] - Host names that may be
+ *   fetched; empty allows any host
+ * @param {number} [options.timeout=30000] - Upstream timeout in milliseconds
+ * @returns {http.Server} Server
+ *
+ * @example
+ * const server = createProxyServer({ allowedHosts: ['assets.internal'] });
+ * server.listen(8787, '127.0.0.1');
+ */
+export function createProxyServer(options = {}) {
+  const { allowedHosts = [], timeout = 30000 } = options;
+
+  return http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS).end();
+      return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      sendError(res, 405, 'Only GET and HEAD requests are proxied');
+      return;
+    }
+
+    const target = parseTarget(req.url);
+    if (!target) {
+      sendError(res, 400, 'Expected ?url= with an http(s) URL');
+      return;
+    }
+
+    const isAllowed = url => allowedHosts.length === 0 || allowedHosts.includes(url.hostname);
+    if (!isAllowed(target)) {
+      sendError(res, 403, `Host not allowed: ${target.hostname}`);
+      return;
+    }
+
+    try {
+      const signal = AbortSignal.timeout(timeout);
+      let url = target;
+      let upstream;
+      for (let hops = 0; ; hops++) {
+        upstream = await fetch(url, { method: req.method, redirect: 'manual', signal });
+        const location = upstream.headers.get('location');
+        if (upstream.status < 300 || upstream.status >= 400 || !location) {
+          break;
+        }
+        if (hops === MAX_REDIRECTS) {
+          sendError(res, 502, `Too many redirects from ${target.href}`);
+          return;
+        }
+
+        url = new URL(location, url);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+          sendError(res, 502, `Redirect to a non-http URL: ${url.href}`);
+          return;
+        }
+        if (!isAllowed(url)) {
+          sendError(res, 403, `Redirect to a host that is not allowed: ${url.hostname}`);
+          return;
+        }
+      }
+      const body = req.method === 'HEAD' ? null : Buffer.from(await upstream.arrayBuffer());
+
+      const headers = { ...CORS_HEADERS };
+      FORWARDED_HEADERS.forEach((name) => {
+        const value = upstream.headers.get(name);
+        if (value) {
+          headers[name] = value;
+        }
+      });
+      if (body) {
+        headers['content-length'] = String(body.length);
+      }
+
+      res.writeHead(upstream.status, headers);
+      res.end(body);
+    } catch (error) {
+      sendError(res, 502, `Upstream request failed: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Reads the target URL from a request path
+ *
+ * @param {string} requestUrl - Path and query of the proxy request
+ * @returns {URL|null} Target URL, or null if missing or not http(s)
+ */
+function parseTarget(requestUrl) {
+  const value = new URL(requestUrl, 'http://proxy').searchParams.get('url');
+  if (!value) {
+    return null;
+  }
+  try {
+    const target = new URL(value);
+    return target.protocol === 'http:' || target.protocol === 'https:' ? target : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {string} message - Plain-text body
+ */
+function sendError(res, status, message) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(message);
+}
+
+// Run as a script: node scripts/cors-proxy.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || 8787;
+  const host = process.env.HOST || '127.0.0.1';
+  const allowedHosts = (process.env.PROXY_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  createProxyServer({ allowedHosts }).listen(port, host, () => {
+    console.log(`CORS proxy listening on http://${host}:${port}/?url={url}`);
+  });
+}
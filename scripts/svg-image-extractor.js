@@ -0,0 +1,515 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Command-line tool extracting embedded images from SVG files
+ *
+ * Inputs may be SVG or SVGZ files, folders (searched for SVG and SVGZ
+ * files), glob patterns (quoted, so the tool expands them), `-` for
+ * standard input, and http(s) URLs of SVGs or HTML pages. Images are
+ * written to a folder, or to a ZIP archive when the output ends in .zip,
+ * named like the app's downloads (see generateFilename); several sources
+ * get a folder each.
+ *
+ * Exits with 1 when an input cannot be read or parsed, or holds an image
+ * whose data cannot be decoded (everything else is still written), 2 on
+ * invalid arguments and 3 when the output cannot be written.
+ *
+ * Usage:
+ *   svg-image-extractor logo.svg -o images
+ *   svg-image-extractor 'icons/**\/*.svg' https://example.com/ -o images.zip
+ *   cat logo.svg | svg-image-extractor - --json
+ *   svg-image-extractor icons --dry-run
+ *
+ * @module scripts/svg-image-extractor
+ */
+
+import { mkdir, readdir, readFile, stat, writeFile } from 'node:fs/promises';
+import { realpathSync } from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { setXmlParser, parseXml } from '../src/lib/xmlParser.js';
+import { countImages } from '../src/lib/svgExtractor.js';
+import { processSvgSources } from '../src/lib/batchProcessor.js';
+import { isHtmlDocument, findPageSvgSources } from '../src/lib/htmlPageScanner.js';
+import { fetchDocumentFromUrl } from '../src/lib/urlFetcher.js';
+import { gunzip, isGzip } from '../src/lib/archiveReader.js';
+import { decodeDataUrl } from '../src/lib/dataUrl.js';
+import { generateZip, generateFilename, getFolderNames } from '../src/lib/zipGenerator.js';
+import { createUniqueNamer, DEFAULT_FILENAME_TEMPLATE, DEFAULT_ZIP_TEMPLATE } from '../src/lib/filenameTemplate.js';
+import { isValidSvg } from '../src/lib/validators.js';
+import { ParseError } from '../src/lib/errorHandler.js';
+import { ERROR_MESSAGES } from '../src/constants/messages.js';
+
+/**
+ * Exit codes
+ * @type {Object<string, number>}
+ */
+export const EXIT_CODES = {
+  OK: 0,
+  INPUT_FAILED: 1,
+  USAGE: 2,
+  OUTPUT_FAILED: 3
+};
+
+/**
+ * Help text
+ * @type {string}
+ */
+export const USAGE = `Usage: svg-image-extractor [options] <input...>
+
+Extracts embedded images from SVG files.
+
+Inputs:
+  file.svg, file.svgz   SVG files
+  folder                SVG and SVGZ files in a folder and its subfolders
+  'icons/**/*.svg'      Glob pattern (*, ** and ?), quoted
+  -                     SVG read from standard input
+  https://...           SVG file or HTML page (its inline and linked SVGs)
+
+Options:
+  -o, --out <path>        Folder to write images to, or a .zip file
+                          (default: ${DEFAULT_ZIP_TEMPLATE})
+  -t, --template <name>   Image filename template (default: ${DEFAULT_FILENAME_TEMPLATE})
+                          Tokens: {source} {index} {id} {width} {height} {hash} {format} {date}
+  -r, --recursive         Also extract images nested in embedded SVGs
+      --json              Print image metadata as JSON; images are only
+                          written when --out is given
+      --dry-run           Only count the images in each input
+  -h, --help              Show this help
+`;
+
+/**
+ * Command-line options
+ * @type {import('node:util').ParseArgsConfig['options']}
+ */
+const OPTIONS = {
+  out: { type: 'string', short: 'o' },
+  template: { type: 'string', short: 't', default: DEFAULT_FILENAME_TEMPLATE },
+  recursive: { type: 'boolean', short: 'r', default: false },
+  json: { type: 'boolean', default: false },
+  'dry-run': { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Streams and working directory the tool runs with
+ *
+ * @typedef {Object} CliIo
+ * @property {{write: function(string): *}} [stdout=process.stdout] - Report output
+ * @property {{write: function(string): *}} [stderr=process.stderr] - Errors and warnings
+ * @property {AsyncIterable<Uint8Array|string>} [stdin=process.stdin] - Read for the `-` input
+ * @property {string} [cwd=process.cwd()] - Directory relative paths are resolved against
+ */
+
+/**
+ * Runs the tool
+ *
+ * @param {string[]} argv - Arguments, without the node and script paths
+ * @param {CliIo} [io={}] - Streams and working directory
+ * @returns {Promise<number>} Exit code (see EXIT_CODES)
+ *
+ * @example
+ * process.exitCode = await runCli(['logo.svg', '--out', 'images.zip']);
+ */
+export async function runCli(argv, io = {}) {
+  const {
+    stdout = process.stdout,
+    stderr = process.stderr,
+    stdin = process.stdin,
+    cwd = process.cwd()
+  } = io;
+
+  let args;
+  try {
+    args = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+  const { values: options, positionals: inputs } = args;
+
+  if (options.help) {
+    stdout.write(USAGE);
+    return EXIT_CODES.OK;
+  }
+  if (inputs.length === 0) {
+    stderr.write(`No input given\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  await ensureXmlParser();
+
+  const sources = [];
+  for (const input of inputs) {
+    sources.push(...await resolveInput(input, { cwd, stdin }));
+  }
+
+  if (options['dry-run']) {
+    return countSourceImages(sources, options, { stdout, stderr });
+  }
+
+  const results = await processSvgSources(sources, { recursive: options.recursive });
+  const failed = results.filter(result => result.error);
+  failed.forEach(result => stderr.write(`${result.name}: ${result.error.message}\n`));
+
+  const images = results.flatMap(result => result.images);
+  const out = options.out ?? (options.json ? null : DEFAULT_ZIP_TEMPLATE);
+  let written = 0;
+  let undecodable = 0;
+  if (out && images.length > 0) {
+    const decodable = results.map(result => ({
+      ...result,
+      images: result.images.filter((image) => {
+        const error = getImageDataError(image);
+        if (error) {
+          stderr.write(`${result.name}: image ${image.index + 1}: ${error}\n`);
+          undecodable++;
+        }
+        return !error;
+      })
+    }));
+    try {
+      written = await writeImages(decodable, path.resolve(cwd, out), options.template);
+    } catch (error) {
+      stderr.write(`${out}: ${error.message}\n`);
+      return EXIT_CODES.OUTPUT_FAILED;
+    }
+  }
+
+  if (options.json) {
+    stdout.write(`${JSON.stringify(results.map(describeResult), null, 2)}\n`);
+  } else {
+    results.filter(result => !result.error).forEach((result) => {
+      stdout.write(`${result.name}: ${formatCount(result.images.length)}\n`);
+    });
+    stdout.write(images.length > 0 ? `Wrote ${formatCount(written)} to ${out}\n` : `${ERROR_MESSAGES.NO_IMAGES_FOUND}\n`);
+  }
+
+  return failed.length > 0 || undecodable > 0 ? EXIT_CODES.INPUT_FAILED : EXIT_CODES.OK;
+}
+
+/**
+ * Checks that an image's data URL decodes to some bytes, so folder and ZIP
+ * output skip the same images
+ *
+ * @param {import('../src/lib/svgExtractor.js').ExtractedImage} image - Image to write
+ * @returns {string|null} Why the image cannot be written, or null
+ */
+function getImageDataError(image) {
+  try {
+    return decodeDataUrl(image.dataUrl).length > 0 ? null : 'Image has no data';
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Turns a glob pattern into a regular expression matching whole paths
+ *
+ * `*` and `?` stay within a folder; `**` spans folders, and `**\/` also
+ * matches no folder at all. Paths use forward slashes.
+ *
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Matcher
+ *
+ * @example
+ * globToRegExp('icons/**\/*.svg').test('icons/social/logo.svg'); // true
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      const spansFolders = pattern[i + 2] === '/';
+      source += spansFolders ? '(?:.*/)?' : '.*';
+      i += spansFolders ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Sets up jsdom as the XML parser where the platform has none
+ *
+ * jsdom is an optional peer dependency, so library users do not pull it in.
+ *
+ * @throws {Error} If jsdom is not installed
+ */
+async function ensureXmlParser() {
+  if (globalThis.DOMParser) {
+    return;
+  }
+  let JSDOM;
+  try {
+    ({ JSDOM } = await import('jsdom'));
+  } catch {
+    throw new Error('The command-line tool needs jsdom to parse SVG files: npm install jsdom');
+  }
+  const { window } = new JSDOM('');
+  setXmlParser({ DOMParser: window.DOMParser, XMLSerializer: window.XMLSerializer });
+}
+
+/**
+ * Turns one command-line input into the SVG sources it stands for
+ *
+ * Inputs that cannot be found or fetched become a single failed source,
+ * so they are reported like files that fail to parse.
+ *
+ * @param {string} input - File, folder, glob pattern, '-' or URL
+ * @param {{cwd: string, stdin: AsyncIterable<Uint8Array|string>}} context - Working
+ *   directory and standard input
+ * @returns {Promise<import('../src/lib/batchProcessor.js').SvgSource[]>} Sources
+ */
+async function resolveInput(input, { cwd, stdin }) {
+  if (input === '-') {
+    return [{ name: 'stdin', load: async () => decodeSvg(await readStream(stdin)) }];
+  }
+  if (/^https?:\/\//i.test(input)) {
+    return resolveUrl(input);
+  }
+
+  const fullPath = path.resolve(cwd, input);
+  const info = await stat(fullPath).catch(() => null);
+  let files;
+  if (info?.isDirectory()) {
+    files = (await listFiles(fullPath)).filter(file => /\.svgz?$/i.test(file));
+  } else if (info) {
+    files = [fullPath];
+  } else if (/[*?]/.test(input)) {
+    files = await expandGlob(input, cwd);
+  } else {
+    return [{ name: input, error: new Error(`No such file or folder: ${input}`) }];
+  }
+
+  if (files.length === 0) {
+    return [{ name: input, error: new Error(`No SVG files match ${input}`) }];
+  }
+  return files.map(file => ({
+    name: toSourceName(file, cwd),
+    load: async () => decodeSvg(await readFile(file))
+  }));
+}
+
+/**
+ * Fetches a URL input, listing the SVGs on it if it is an HTML page
+ *
+ * @param {string} url - http(s) URL
+ * @returns {Promise<import('../src/lib/batchProcessor.js').SvgSource[]>} Sources
+ */
+async function resolveUrl(url) {
+  let name = url;
+  try {
+    const document = await fetchDocumentFromUrl(url);
+    const location = new URL(document.url);
+    name = decodeURIComponent(`${location.host}${location.pathname}`).replace(/\/$/, '');
+
+    if (isHtmlDocument(document.content, document.mimeType)) {
+      const sources = findPageSvgSources(document.content, document.url);
+      if (sources.length === 0) {
+        throw new Error(ERROR_MESSAGES.NO_SVG_ON_PAGE);
+      }
+      return sources.map(source => ({ ...source, name: `${name}/${source.name}` }));
+    }
+    if (!isValidSvg(document.content).valid) {
+      throw new Error(ERROR_MESSAGES.NOT_SVG_OR_HTML);
+    }
+    return [{ name, baseUrl: document.url, load: async () => document.content }];
+  } catch (error) {
+    return [{ name, error }];
+  }
+}
+
+/**
+ * Lists the files in a folder and its subfolders, skipping hidden ones
+ *
+ * @param {string} folder - Absolute folder path
+ * @returns {Promise<string[]>} Absolute file paths, sorted
+ */
+async function listFiles(folder) {
+  const files = [];
+  const entries = await readdir(folder, { withFileTypes: true });
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) {
+      continue;
+    }
+    const fullPath = path.join(folder, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(fullPath));
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Lists the files matching a glob pattern
+ *
+ * Only the folder before the first wildcard is searched.
+ *
+ * @param {string} pattern - Glob pattern, relative to cwd or absolute
+ * @param {string} cwd - Working directory
+ * @returns {Promise<string[]>} Absolute file paths, sorted
+ */
+async function expandGlob(pattern, cwd) {
+  const absolute = path.resolve(cwd, pattern).split(path.sep).join('/');
+  const segments = absolute.split('/');
+  const firstWildcard = segments.findIndex(segment => /[*?]/.test(segment));
+  const root = segments.slice(0, firstWildcard).join('/') || '/';
+
+  const matcher = globToRegExp(absolute);
+  const files = await listFiles(root).catch(() => []);
+  return files.filter(file => matcher.test(file.split(path.sep).join('/')));
+}
+
+/**
+ * Counts the images in each source without writing anything
+ *
+ * @param {import('../src/lib/batchProcessor.js').SvgSource[]} sources - Sources
+ * @param {{json: boolean}} options - Command-line options
+ * @param {{stdout: Object, stderr: Object}} streams - Output streams
+ * @returns {Promise<number>} Exit code
+ */
+async function countSourceImages(sources, options, { stdout, stderr }) {
+  const counts = [];
+  for (const source of sources) {
+    try {
+      if (source.error) {
+        throw source.error;
+      }
+      const content = await source.load(() => {});
+      // countImages reports 0 for markup it cannot parse
+      if (!isValidSvg(content).valid || !parseXml(content)) {
+        throw new ParseError(ERROR_MESSAGES.PARSE_ERROR);
+      }
+      counts.push({ name: source.name, count: countImages(content), error: null });
+    } catch (error) {
+      stderr.write(`${source.name}: ${error.message}\n`);
+      counts.push({ name: source.name, count: 0, error: error.message });
+    }
+  }
+
+  if (options.json) {
+    stdout.write(`${JSON.stringify(counts, null, 2)}\n`);
+  } else {
+    counts.filter(({ error }) => !error).forEach(({ name, count }) => {
+      stdout.write(`${name}: ${formatCount(count)}\n`);
+    });
+    stdout.write(`Total: ${formatCount(counts.reduce((total, { count }) => total + count, 0))}\n`);
+  }
+
+  return counts.some(({ error }) => error) ? EXIT_CODES.INPUT_FAILED : EXIT_CODES.OK;
+}
+
+/**
+ * Writes the extracted images to a folder, or to a ZIP file
+ *
+ * Both lay files out like generateZip(): one folder per source when there
+ * are several, names from the filename template.
+ *
+ * @param {import('../src/lib/batchProcessor.js').FileResult[]} results - Batch results
+ * @param {string} out - Absolute output path; a .zip path writes an archive
+ * @param {string} filenameTemplate - Image filename template
+ * @returns {Promise<number>} Number of images written
+ */
+async function writeImages(results, out, filenameTemplate) {
+  const images = results.flatMap(result => result.images);
+
+  if (/\.zip$/i.test(out)) {
+    await mkdir(path.dirname(out), { recursive: true });
+    await writeFile(out, await generateZip(images, null, { filenameTemplate, type: 'nodebuffer' }));
+    return images.length;
+  }
+
+  const withImages = results.filter(result => result.images.length > 0);
+  const folders = withImages.length > 1 ? getFolderNames(withImages.map(result => result.name)) : [''];
+  const naming = { template: filenameTemplate, date: new Date() };
+  let written = 0;
+
+  for (const [position, result] of withImages.entries()) {
+    const folder = path.join(out, folders[position]);
+    const uniqueName = createUniqueNamer();
+    await mkdir(folder, { recursive: true });
+
+    for (const [index, image] of result.images.entries()) {
+      await writeFile(path.join(folder, uniqueName(generateFilename(image, image.index ?? index, naming))), decodeDataUrl(image.dataUrl));
+      written++;
+    }
+  }
+  return written;
+}
+
+/**
+ * Gives a result's image metadata, without the image data
+ *
+ * @param {import('../src/lib/batchProcessor.js').FileResult} result - Batch result
+ * @returns {Object} JSON-ready description
+ */
+function describeResult(result) {
+  return {
+    name: result.name,
+    location: result.location,
+    error: result.error ? result.error.message : null,
+    images: result.images.map(({ dataUrl, ...metadata }) => metadata),
+    linkedImages: result.linkedImages
+  };
+}
+
+/**
+ * Decodes SVG or SVGZ file contents
+ *
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Promise<string>} SVG markup
+ */
+async function decodeSvg(bytes) {
+  return new TextDecoder().decode(isGzip(bytes) ? await gunzip(bytes) : bytes);
+}
+
+/**
+ * @param {AsyncIterable<Uint8Array|string>} stream - Readable stream
+ * @returns {Promise<Uint8Array>} Everything read from it
+ */
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return new Uint8Array(Buffer.concat(chunks));
+}
+
+/**
+ * Names a file source by its path relative to the working directory,
+ * or its absolute path if it lies outside
+ *
+ * @param {string} file - Absolute file path
+ * @param {string} cwd - Working directory
+ * @returns {string} Source name, with forward slashes
+ */
+function toSourceName(file, cwd) {
+  const relative = path.relative(cwd, file);
+  return (relative.startsWith('..') ? file : relative).split(path.sep).join('/');
+}
+
+/**
+ * @param {number} count - Number of images
+ * @returns {string} e.g. '1 image', '3 images'
+ */
+function formatCount(count) {
+  return `${count} image${count !== 1 ? 's' : ''}`;
+}
+
+// Run as a script: node scripts/svg-image-extractor.js, or through the package's bin link
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+  runCli(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  }).catch((error) => {
+    process.stderr.write(`${error.message}\n`);
+    process.exitCode = 1;
+  });
+}
@@ -7,7 +7,7 @@ export const ERROR_MESSAGES = {
   NO_INPUT: 'Please upload a file, enter a URL, or paste SVG code',
   INVALID_URL: 'Please enter a valid URL starting with http:// or https://',
   FETCH_FAILED: 'Failed to fetch SVG from URL. Please check the URL and try again.',
-  CORS_ERROR: 'Unable to fetch from URL due to CORS restrictions. The server must allow cross-origin requests.',
+  CORS_ERROR: 'Unable to fetch from URL due to CORS restrictions. The server must allow cross-origin requests, or a CORS proxy must be set.',
   PARSE_ERROR: 'Failed to parse SVG content. Please ensure it is valid SVG.',
   FILE_TOO_LARGE: 'File size exceeds 10MB limit',
   INVALID_FILE_TYPE: 'Please select a valid SVG file',
@@ -16,18 +16,38 @@ export const ERROR_MESSAGES = {
   NETWORK_ERROR: 'Network error occurred. Please check your connection and try again.',
   TIMEOUT_ERROR: 'Request timed out. Please try again.',
   INVALID_SVG: 'Content does not appear to be valid SVG',
-  EMPTY_CONTENT: 'SVG content is empty'
+  EMPTY_CONTENT: 'SVG content is empty',
+  UNRESOLVED_LINKED_IMAGE: 'Relative image link cannot be resolved without the SVG URL',
+  NOT_AN_IMAGE: 'URL did not return an image',
+  NO_SVG_IN_ARCHIVE: 'ZIP archive does not contain any SVG files',
+  UNRESOLVED_PAGE_REFERENCE: 'Relative SVG link cannot be resolved without the page URL',
+  NO_SVG_ON_PAGE: 'No SVGs found on the HTML page',
+  NOT_SVG_OR_HTML: 'URL did not return SVG content or an HTML page',
+  CONVERSION_FAILED: 'Could not decode the image to convert it',
+  FORMAT_NOT_SUPPORTED: 'This browser cannot save images in the selected format',
+  IMAGE_NOT_REPLACEABLE: 'Only images embedded directly in the SVG can be replaced',
+  IMAGE_NOT_IN_SVG: 'The image could not be found in the SVG anymore',
+  NOT_AN_IMAGE_FILE: 'Please select an image file',
+  NO_XML_PARSER: 'No XML parser available. Outside browsers, set one with setXmlParser().'
 };
 
 export const SUCCESS_MESSAGES = {
   IMAGES_EXTRACTED: (count) => `Successfully extracted ${count} image${count > 1 ? 's' : ''}`,
   ZIP_READY: 'ZIP file is ready for download',
-  FETCH_SUCCESS: 'Successfully loaded SVG from URL'
+  FETCH_SUCCESS: 'Successfully loaded SVG from URL',
+  LINKED_IMAGES_FETCHED: (count) => `Fetched ${count} linked image${count !== 1 ? 's' : ''}`,
+  IMAGE_REPLACED: 'Image replaced. Download the modified SVG to keep the change.',
+  LINKED_IMAGES_INLINED: (count) => `Embedded ${count} linked image${count !== 1 ? 's' : ''} in the SVG`,
+  SVG_OPTIMIZED: (saved) => `SVG optimized: ${saved} smaller`
 };
 
 export const INFO_MESSAGES = {
   FETCHING_URL: 'Fetching SVG from URL...',
   PARSING_SVG: 'Parsing SVG content...',
   GENERATING_ZIP: 'Generating ZIP file...',
-  READING_FILE: 'Reading file...'
+  READING_FILE: 'Reading file...',
+  FETCHING_LINKED_IMAGES: 'Fetching linked images...',
+  SCANNING_PAGE: 'Extracting images from the SVGs on the page...',
+  EXTRACTION_CANCELLED: 'Extraction cancelled.',
+  OPTIMIZING_SVG: 'Optimizing images...'
 };
@@ -0,0 +1,328 @@
+/**
+ * @fileoverview Extraction from many SVG files in one run
+ * @module lib/batchProcessor
+ */
+
+import { readSvgFile } from './fileReader.js';
+import { extractAllImages } from './svgExtractor.js';
+import { isZipFile, expandZipArchive } from './archiveReader.js';
+import { DEFAULT_STREAMING_THRESHOLD } from './streamingScanner.js';
+import { scanSvgFileInWorker } from './scanWorkerClient.js';
+import { isValidFile } from './validators.js';
+import { ValidationError } from './errorHandler.js';
+import { ERROR_MESSAGES } from '../constants/messages.js';
+
+/**
+ * Status of one file during a batch run
+ * @readonly
+ * @enum {string}
+ */
+export const FILE_STATUS = {
+  PENDING: 'pending',
+  READING: 'reading',
+  EXTRACTING: 'extracting',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+/**
+ * @typedef {Object} FileResult
+ * @property {string} name - Source name (relative path for folder uploads and
+ *   files inside ZIP archives)
+ * @property {string|null} location - Where the source was found, for sources
+ *   that are not files (e.g. an element path on an HTML page); null for files
+ * @property {string|null} content - SVG markup, null if the file could not be read
+ *   or was streamed
+ * @property {boolean} streamed - True if the file was scanned by the streaming
+ *   scanner instead of being parsed
+ * @property {import('./svgExtractor.js').ExtractedImage[]} images - Embedded images,
+ *   each with `sourceFile` set to `name`
+ * @property {import('./svgExtractor.js').LinkedImage[]} linkedImages - External
+ *   references, each with `sourceFile` set to `name`
+ * @property {Error|null} error - Why the file failed, null on success
+ */
+
+/**
+ * @typedef {Object} FileProgress
+ * @property {number} fileIndex - Position of the file in the batch
+ * @property {number} total - Number of files in the batch
+ * @property {string} name - Source name
+ * @property {string} status - One of FILE_STATUS
+ * @property {number} [percent] - Read progress while reading
+ * @property {number} [imageCount] - Images found, once done (and while reading
+ *   a streamed file)
+ * @property {Error} [error] - Failure reason, once failed
+ */
+
+/**
+ * One SVG document to process in a batch
+ *
+ * @typedef {Object} SvgSource
+ * @property {string} name - Name used in results, for grouping and ZIP folders
+ * @property {string|null} [location] - Where the source was found
+ * @property {string|null} [baseUrl] - URL to resolve relative image links against
+ * @property {function(function(number): void): Promise<string>} [load] - Loads the
+ *   markup, reporting read progress in percent
+ * @property {function(import('./streamingScanner.js').StreamScanOptions): Promise<import('./svgExtractor.js').ExtractedImage[]>} [scan] - Finds
+ *   the images without loading the markup, for sources too large to parse;
+ *   used instead of `load`
+ * @property {Error|null} [error] - Known failure; the source is reported as failed
+ */
+
+/**
+ * @typedef {Object} BatchOptions
+ * @property {number} [streamingThreshold=DEFAULT_STREAMING_THRESHOLD] - Files larger
+ *   than this many bytes are scanned by the streaming scanner in a Web Worker
+ *   instead of being parsed (Infinity to always parse)
+ * @property {number} [maxArchiveSize=MAX_EXPANDED_SIZE] - Size limit of each ZIP
+ *   archive in bytes (see expandZipArchive)
+ * @property {AbortSignal} [signal] - Cancels the whole batch
+ */
+
+/**
+ * Reads and extracts images from several SVG files
+ *
+ * ZIP archives are expanded first into the SVG and SVGZ files they contain,
+ * named by their path inside the archive (see expandZipArchive); an archive
+ * that cannot be opened is reported as a single failed file.
+ * Files are processed one after another; a file that cannot be read or
+ * parsed is reported in its result and does not stop the batch. Files over
+ * the streaming threshold are not parsed but scanned for data URLs in a
+ * Web Worker (see scanSvgStream), with no size limit. Images are
+ * tagged with `sourceFile` and numbered across the whole batch, so the
+ * results can be flattened into one list (and zipped with one folder per
+ * source, see generateZip).
+ *
+ * @param {File[]|FileList} files - SVG, SVGZ or ZIP files
+ * @param {import('./svgExtractor.js').ExtractOptions & BatchOptions} [options={}] - Extraction
+ *   and batch options
+ * @param {function(FileProgress): void} [progressCallback] - Called as each file progresses
+ * @returns {Promise<FileResult[]>} One result per SVG file, in input order
+ * @throws {DOMException} AbortError when cancelled through `options.signal`
+ *
+ * @example
+ * const results = await processSvgFiles(fileInput.files, { recursive: true }, (progress) => {
+ *   console.log(`${progress.name}: ${progress.status}`);
+ * });
+ * const images = results.flatMap(result => result.images);
+ */
+export async function processSvgFiles(files, options = {}, progressCallback = null) {
+  const { streamingThreshold = DEFAULT_STREAMING_THRESHOLD, maxArchiveSize, ...sourceOptions } = options;
+
+  const sources = (await expandArchives(Array.from(files), { maxSize: maxArchiveSize })).map(({ file, error }) => {
+    if (!error && file.size > streamingThreshold) {
+      return { name: getSourceName(file), scan: scanOptions => scanLargeFile(file, scanOptions), error };
+    }
+    return {
+      name: getSourceName(file),
+      load: onProgress => readSvgFile(file, onProgress, { maxSize: streamingThreshold }),
+      error
+    };
+  });
+
+  return processSvgSources(sources, sourceOptions, progressCallback);
+}
+
+/**
+ * Extracts images from several SVG documents, whatever they come from
+ *
+ * Works like processSvgFiles(), which it backs, for sources loaded by other
+ * means (e.g. SVGs found on an HTML page). Each source's `baseUrl`
+ * overrides `options.baseUrl`.
+ *
+ * @param {SvgSource[]} sources - Documents to process
+ * @param {import('./svgExtractor.js').ExtractOptions & {signal?: AbortSignal}} [options={}] - Extraction
+ *   options, and a signal cancelling the whole run
+ * @param {function(FileProgress): void} [progressCallback] - Called as each source progresses
+ * @returns {Promise<FileResult[]>} One result per source, in input order
+ * @throws {DOMException} AbortError when cancelled through `options.signal`
+ *
+ * @example
+ * const results = await processSvgSources([
+ *   { name: 'inline-svg-1', load: async () => markup }
+ * ]);
+ */
+export async function processSvgSources(sources, options = {}, progressCallback = null) {
+  const { signal = null, ...extractOptions } = options;
+  const results = [];
+  const timestamp = Date.now();
+  let imageCount = 0;
+  let linkedCount = 0;
+
+  const report = (fileIndex, name, status, details = {}) => {
+    if (progressCallback) {
+      progressCallback({ fileIndex, total: sources.length, name, status, ...details });
+    }
+  };
+
+  sources.forEach(({ name }, fileIndex) => report(fileIndex, name, FILE_STATUS.PENDING));
+
+  for (let fileIndex = 0; fileIndex < sources.length; fileIndex++) {
+    const source = sources[fileIndex];
+    const name = source.name;
+    const result = {
+      name,
+      location: source.location || null,
+      content: null,
+      streamed: Boolean(source.scan),
+      images: [],
+      linkedImages: [],
+      error: null
+    };
+
+    throwIfAborted(signal);
+
+    try {
+      if (source.error) {
+        throw source.error;
+      }
+
+      report(fileIndex, name, FILE_STATUS.READING, { percent: 0 });
+
+      let images;
+      let linkedImages = [];
+      if (source.scan) {
+        let percent = 0;
+        let found = 0;
+        images = await source.scan({
+          signal,
+          onProgress: (value) => {
+            percent = value;
+            report(fileIndex, name, FILE_STATUS.READING, { percent, imageCount: found });
+          },
+          onImage: () => {
+            found++;
+            report(fileIndex, name, FILE_STATUS.READING, { percent, imageCount: found });
+          }
+        });
+      } else {
+        result.content = await source.load((percent) => {
+          report(fileIndex, name, FILE_STATUS.READING, { percent });
+        });
+
+        report(fileIndex, name, FILE_STATUS.EXTRACTING);
+        ({ images, linkedImages } = extractAllImages(result.content, {
+          ...extractOptions,
+          baseUrl: source.baseUrl ?? extractOptions.baseUrl ?? null
+        }));
+      }
+
+      result.images = renumberImages(images, imageCount, timestamp, name);
+      result.linkedImages = linkedImages.map((linked, i) => ({
+        ...linked,
+        index: linkedCount + i,
+        id: `link-${timestamp}-${linkedCount + i}`,
+        sourceFile: name
+      }));
+      imageCount += images.length;
+      linkedCount += linkedImages.length;
+
+      report(fileIndex, name, FILE_STATUS.DONE, { imageCount: images.length });
+    } catch (error) {
+      // Cancelling stops the whole run rather than failing one file
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+      result.error = error;
+      report(fileIndex, name, FILE_STATUS.FAILED, { error });
+    }
+
+    results.push(result);
+  }
+
+  return results;
+}
+
+/**
+ * Gets the name identifying a file in batch results
+ *
+ * @param {File} file - Uploaded file
+ * @returns {string} Relative path for folder uploads, otherwise the file name
+ */
+export function getSourceName(file) {
+  return file.webkitRelativePath || file.name;
+}
+
+/**
+ * Scans a file too large to parse, after checking its type
+ *
+ * @param {File} file - SVG or SVGZ file
+ * @param {import('./streamingScanner.js').StreamScanOptions} scanOptions - Scan options
+ * @returns {Promise<import('./svgExtractor.js').ExtractedImage[]>} Images found
+ * @throws {ValidationError} If the file is not an SVG
+ */
+async function scanLargeFile(file, scanOptions) {
+  const validation = isValidFile(file, { maxSize: Infinity });
+  if (!validation.valid) {
+    throw new ValidationError(validation.error, 'file');
+  }
+  return scanSvgFileInWorker(file, scanOptions);
+}
+
+/**
+ * @param {AbortSignal|null} signal - Cancellation signal
+ * @throws {DOMException} AbortError if the signal is aborted
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new DOMException('Extraction cancelled', 'AbortError');
+  }
+}
+
+/**
+ * Replaces ZIP archives with the SVG files they contain
+ *
+ * @param {File[]} files - Input files
+ * @param {{maxSize?: number}} archiveOptions - Options for expandZipArchive
+ * @returns {Promise<Array<{file: File, error: Error|null}>>} Files to process; an
+ *   archive that cannot be expanded or holds no SVG is kept, with the reason
+ */
+async function expandArchives(files, archiveOptions) {
+  const expanded = [];
+  for (const file of files) {
+    if (!isZipFile(file)) {
+      expanded.push({ file, error: null });
+      continue;
+    }
+    try {
+      const entries = await expandZipArchive(file, archiveOptions);
+      if (entries.length === 0) {
+        throw new ValidationError(ERROR_MESSAGES.NO_SVG_IN_ARCHIVE, 'file');
+      }
+      entries.forEach(entry => expanded.push({ file: entry, error: null }));
+    } catch (error) {
+      expanded.push({ file, error });
+    }
+  }
+  return expanded;
+}
+
+/**
+ * Gives one file's images batch-wide indices and IDs, keeping nesting
+ * links (parentId) pointing at the right images
+ *
+ * @param {import('./svgExtractor.js').ExtractedImage[]} images - Images of one file
+ * @param {number} offset - Number of images in earlier files
+ * @param {number} timestamp - Batch timestamp used in IDs
+ * @param {string} sourceFile - Source name
+ * @returns {import('./svgExtractor.js').ExtractedImage[]} The same images, updated in place
+ */
+function renumberImages(images, offset, timestamp, sourceFile) {
+  const ids = new Map();
+
+  images.forEach((image) => {
+    const id = `img-${timestamp}-${offset + image.index}`;
+    ids.set(image.id, id);
+    image.id = id;
+    image.index += offset;
+    image.sourceFile = sourceFile;
+  });
+
+  images.forEach((image) => {
+    if (image.parentId) {
+      image.parentId = ids.get(image.parentId) || image.parentId;
+    }
+  });
+
+  return images;
+}
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview CORS proxy settings for URL imports
+ * @module lib/corsProxy
+ */
+
+import { isValidUrl } from './validators.js';
+import { ValidationError } from './errorHandler.js';
+
+/**
+ * localStorage key holding the proxy URL template
+ * @type {string}
+ */
+export const PROXY_STORAGE_KEY = 'svg-image-extractor:cors-proxy';
+
+/**
+ * Placeholder replaced by the encoded target URL in a proxy template
+ * @type {string}
+ */
+export const PROXY_URL_PLACEHOLDER = '{url}';
+
+/**
+ * Builds the proxied URL for a request
+ *
+ * The target URL is URL-encoded into the template's `{url}` placeholder;
+ * templates without a placeholder get it appended.
+ *
+ * @param {string} template - Proxy URL template, e.g. 'https://proxy.local/?url={url}'
+ * @param {string} url - URL to fetch through the proxy
+ * @returns {string} Proxied URL
+ *
+ * @example
+ * buildProxyUrl('https://proxy.local/?url={url}', 'https://example.com/a.svg');
+ * // 'https://proxy.local/?url=https%3A%2F%2Fexample.com%2Fa.svg'
+ */
+export function buildProxyUrl(template, url) {
+  const encoded = encodeURIComponent(url);
+  return template.includes(PROXY_URL_PLACEHOLDER)
+    ? template.split(PROXY_URL_PLACEHOLDER).join(encoded)
+    : `${template}${encoded}`;
+}
+
+/**
+ * Validates a proxy URL template
+ *
+ * @param {string} template - Proxy URL template
+ * @returns {{valid: boolean, error?: string}} Validation result
+ *
+ * @example
+ * isValidProxyTemplate('https://proxy.local/?url={url}'); // { valid: true }
+ * isValidProxyTemplate('proxy.local'); // { valid: false, error: '...' }
+ */
+export function isValidProxyTemplate(template) {
+  if (!template || typeof template !== 'string') {
+    return { valid: false, error: 'Proxy URL is empty' };
+  }
+
+  if (!isValidUrl(buildProxyUrl(template.trim(), 'https://example.com/'))) {
+    return { valid: false, error: 'Proxy URL must start with http:// or https://, e.g. https://proxy.local/?url={url}' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Reads the saved proxy template
+ *
+ * @param {Storage} [storage=globalThis.localStorage] - Where the setting is kept
+ * @returns {string|null} Template, or null when none is set or storage is unavailable
+ *
+ * @example
+ * const proxy = getProxyTemplate();
+ * const svg = await fetchSvgFromUrl(url, { proxy });
+ */
+export function getProxyTemplate(storage = globalThis.localStorage) {
+  try {
+    return storage?.getItem(PROXY_STORAGE_KEY) || null;
+  } catch {
+    // Storage can throw when blocked by privacy settings
+    return null;
+  }
+}
+
+/**
+ * Saves the proxy template, or clears it when empty
+ *
+ * @param {string|null} template - Proxy URL template
+ * @param {Storage} [storage=globalThis.localStorage] - Where the setting is kept
+ * @throws {ValidationError} If the template is not valid
+ *
+ * @example
+ * setProxyTemplate('http://localhost:8787/?url={url}');
+ * setProxyTemplate(''); // removes the setting
+ */
+export function setProxyTemplate(template, storage = globalThis.localStorage) {
+  const value = (template || '').trim();
+
+  if (!value) {
+    storage?.removeItem(PROXY_STORAGE_KEY);
+    return;
+  }
+
+  const validation = isValidProxyTemplate(value);
+  if (!validation.valid) {
+    throw new ValidationError(validation.error, 'proxy');
+  }
+  storage?.setItem(PROXY_STORAGE_KEY, value);
+}
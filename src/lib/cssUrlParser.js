@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Minimal CSS tokenizer for locating url() references
+ * @module lib/cssUrlParser
+ */
+
+/**
+ * @typedef {Object} CssUrlReference
+ * @property {string} url - Unescaped URL value inside url(...)
+ * @property {number} start - Offset of the "url(" token in the CSS text
+ * @property {number} end - Offset just past the closing ")"
+ * @property {string|null} property - Lowercased name of the declaration the
+ *   value belongs to ('background-image', 'src'...), null outside a
+ *   declaration (e.g. in @import)
+ */
+
+/**
+ * Finds every url(...) reference in a CSS string
+ *
+ * Handles quoted and unquoted values, CSS escapes and comments, so that
+ * strings like `content: "url(x)"` or commented-out rules are not reported.
+ * Offsets are returned so callers can rewrite references in place.
+ *
+ * @param {string} cssText - CSS source (a style block or a style attribute)
+ * @returns {CssUrlReference[]} References in source order
+ *
+ * @example
+ * parseCssUrls('rect { fill: url(#grad); background: url("data:image/png;base64,AAA") }');
+ * // [{ url: '#grad', property: 'fill', ... }, { url: 'data:image/png;base64,AAA', property: 'background', ... }]
+ */
+export function parseCssUrls(cssText) {
+  const references = [];
+  if (!cssText) {
+    return references;
+  }
+
+  let i = 0;
+  let declarationStart = 0;
+  const length = cssText.length;
+
+  while (i < length) {
+    const char = cssText[i];
+
+    // Skip comments
+    if (char === '/' && cssText[i + 1] === '*') {
+      const close = cssText.indexOf('*/', i + 2);
+      i = close === -1 ? length : close + 2;
+      continue;
+    }
+
+    // Skip string literals that are not url() arguments
+    if (char === '"' || char === "'") {
+      i = readString(cssText, i).end;
+      continue;
+    }
+
+    if (char === '{' || char === '}' || char === ';') {
+      declarationStart = i + 1;
+    }
+
+    if (isUrlToken(cssText, i)) {
+      const reference = readUrl(cssText, i);
+      if (reference) {
+        references.push({ ...reference, property: getPropertyName(cssText.slice(declarationStart, i)) });
+        i = reference.end;
+        continue;
+      }
+    }
+
+    i++;
+  }
+
+  return references;
+}
+
+/**
+ * Reads the property name at the start of a declaration
+ *
+ * @param {string} declaration - Declaration text up to a url() token
+ * @returns {string|null} Lowercased property name, or null without a colon
+ */
+function getPropertyName(declaration) {
+  const colon = declaration.indexOf(':');
+  if (colon === -1) {
+    return null;
+  }
+  return declaration.slice(0, colon).replace(/\/\*[\s\S]*?\*\//g, '').trim().toLowerCase() || null;
+}
+
+/**
+ * Checks whether a case-insensitive "url(" token starts at the given offset
+ * and is not the tail of a longer identifier (e.g. "myurl(").
+ *
+ * @param {string} css - CSS text
+ * @param {number} index - Offset to test
+ * @returns {boolean}
+ */
+function isUrlToken(css, index) {
+  if (css.slice(index, index + 4).toLowerCase() !== 'url(') {
+    return false;
+  }
+  const previous = css[index - 1];
+  return !previous || !/[\w-]/.test(previous);
+}
+
+/**
+ * Reads a url(...) function starting at the given offset
+ *
+ * @param {string} css - CSS text
+ * @param {number} start - Offset of "url("
+ * @returns {CssUrlReference|null} Reference, or null if unterminated
+ */
+function readUrl(css, start) {
+  let i = skipWhitespace(css, start + 4);
+  let url;
+
+  if (css[i] === '"' || css[i] === "'") {
+    const string = readString(css, i);
+    url = string.value;
+    i = skipWhitespace(css, string.end);
+    if (css[i] !== ')') {
+      return null;
+    }
+  } else {
+    let value = '';
+    while (i < css.length && css[i] !== ')') {
+      if (css[i] === '\\' && i + 1 < css.length) {
+        const escape = readEscape(css, i);
+        value += escape.value;
+        i = escape.end;
+        continue;
+      }
+      value += css[i];
+      i++;
+    }
+    if (i >= css.length) {
+      return null;
+    }
+    url = value.trim();
+  }
+
+  return { url, start, end: i + 1 };
+}
+
+/**
+ * Reads a quoted CSS string, resolving escapes
+ *
+ * @param {string} css - CSS text
+ * @param {number} start - Offset of the opening quote
+ * @returns {{value: string, end: number}} Unescaped value and offset past the closing quote
+ */
+function readString(css, start) {
+  const quote = css[start];
+  let value = '';
+  let i = start + 1;
+
+  while (i < css.length && css[i] !== quote) {
+    if (css[i] === '\\' && i + 1 < css.length) {
+      // Escaped newline is a line continuation
+      if (css[i + 1] === '\n') {
+        i += 2;
+        continue;
+      }
+      const escape = readEscape(css, i);
+      value += escape.value;
+      i = escape.end;
+      continue;
+    }
+    value += css[i];
+    i++;
+  }
+
+  return { value, end: Math.min(i + 1, css.length) };
+}
+
+/**
+ * Reads a CSS escape sequence (\\" or \\26 or \\000026)
+ *
+ * @param {string} css - CSS text
+ * @param {number} start - Offset of the backslash
+ * @returns {{value: string, end: number}} Decoded character and offset past the escape
+ */
+function readEscape(css, start) {
+  const hex = /^[0-9a-fA-F]{1,6}/.exec(css.slice(start + 1, start + 7));
+  if (hex) {
+    let end = start + 1 + hex[0].length;
+    // A single whitespace character terminates a hex escape
+    if (/\s/.test(css[end] || '')) {
+      end++;
+    }
+    const codePoint = parseInt(hex[0], 16);
+    const valid = codePoint > 0 && codePoint <= 0x10ffff;
+    return { value: valid ? String.fromCodePoint(codePoint) : '�', end };
+  }
+  return { value: css[start + 1], end: start + 2 };
+}
+
+/**
+ * @param {string} css - CSS text
+ * @param {number} index - Offset to start from
+ * @returns {number} Offset of the next non-whitespace character
+ */
+function skipWhitespace(css, index) {
+  let i = index;
+  while (i < css.length && /\s/.test(css[i])) {
+    i++;
+  }
+  return i;
+}
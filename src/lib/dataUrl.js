@@ -0,0 +1,271 @@
+/**
+ * @fileoverview Data URL parsing and decoding (RFC 2397)
+ * @module lib/dataUrl
+ */
+
+/**
+ * @typedef {Object} ParsedDataUrl
+ * @property {string} mimeType - Lowercased type/subtype (e.g., 'image/png')
+ * @property {Object<string, string>} parameters - Media type parameters with lowercased
+ *   names (e.g., { charset: 'utf-8' }). Bare tokens such as 'utf8' map to ''.
+ * @property {boolean} base64 - Whether the payload is base64-encoded
+ * @property {string} data - Raw payload after the comma, still encoded
+ */
+
+/**
+ * MIME type assumed when a data URL omits it (RFC 2397)
+ * @type {string}
+ */
+const DEFAULT_MIME_TYPE = 'text/plain';
+
+/**
+ * Parses a data URL into its components
+ *
+ * Follows RFC 2397: `data:[<mediatype>][;base64],<data>`. The payload is
+ * returned as-is; use decodeDataUrl() or decodeDataUrlText() to decode it.
+ *
+ * @param {string} url - Data URL to parse
+ * @returns {ParsedDataUrl|null} Parsed components, or null if not a data URL
+ *
+ * @example
+ * parseDataUrl('data:image/svg+xml;charset=utf-8,%3Csvg%3E');
+ * // { mimeType: 'image/svg+xml', parameters: { charset: 'utf-8' }, base64: false, data: '%3Csvg%3E' }
+ */
+export function parseDataUrl(url) {
+  if (typeof url !== 'string') {
+    return null;
+  }
+
+  const trimmed = url.trim();
+  if (trimmed.slice(0, 5).toLowerCase() !== 'data:') {
+    return null;
+  }
+
+  const comma = trimmed.indexOf(',');
+  if (comma === -1) {
+    return null;
+  }
+
+  const tokens = trimmed.slice(5, comma).split(';').map(token => token.trim());
+  const data = trimmed.slice(comma + 1);
+
+  // The base64 flag is always the last token
+  let base64 = false;
+  if (tokens.length > 1 && tokens[tokens.length - 1].toLowerCase() === 'base64') {
+    base64 = true;
+    tokens.pop();
+  }
+
+  const mimeType = tokens.shift().toLowerCase() || DEFAULT_MIME_TYPE;
+  const parameters = {};
+
+  tokens.forEach((token) => {
+    if (!token) {
+      return;
+    }
+    const equals = token.indexOf('=');
+    if (equals === -1) {
+      parameters[token.toLowerCase()] = '';
+      return;
+    }
+    const name = token.slice(0, equals).trim().toLowerCase();
+    const value = token.slice(equals + 1).trim().replace(/^"(.*)"$/, '$1');
+    parameters[name] = value;
+  });
+
+  return { mimeType, parameters, base64, data };
+}
+
+/**
+ * Decodes the payload of a data URL to bytes
+ *
+ * Base64 payloads may contain whitespace (wrapped lines). Other payloads are
+ * percent-decoded, with any raw characters taken as UTF-8.
+ *
+ * @param {string|ParsedDataUrl} dataUrl - Data URL or result of parseDataUrl()
+ * @returns {Uint8Array} Decoded bytes
+ * @throws {Error} If the input is not a data URL or the base64 payload is invalid
+ *
+ * @example
+ * decodeDataUrl('data:image/png,%89PNG'); // Uint8Array [137, 80, 78, 71]
+ */
+export function decodeDataUrl(dataUrl) {
+  const parsed = typeof dataUrl === 'string' ? parseDataUrl(dataUrl) : dataUrl;
+  if (!parsed) {
+    throw new Error('Not a valid data URL');
+  }
+
+  if (parsed.base64) {
+    let binary;
+    try {
+      binary = atob(percentDecodeToString(parsed.data).replace(/\s+/g, ''));
+    } catch {
+      throw new Error('Data URL contains invalid base64 data');
+    }
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  return percentDecode(parsed.data);
+}
+
+/**
+ * Decodes only the leading bytes of a data URL payload
+ *
+ * Cheaper than decodeDataUrl() for large images when only a header is
+ * needed (e.g. magic bytes or image dimensions).
+ *
+ * @param {string|ParsedDataUrl} dataUrl - Data URL or result of parseDataUrl()
+ * @param {number} byteCount - Maximum number of bytes to decode
+ * @returns {Uint8Array} Up to byteCount leading bytes (empty if undecodable)
+ *
+ * @example
+ * decodeDataUrlHead(image.dataUrl, 16); // PNG signature and IHDR start
+ */
+export function decodeDataUrlHead(dataUrl, byteCount) {
+  const parsed = typeof dataUrl === 'string' ? parseDataUrl(dataUrl) : dataUrl;
+  if (!parsed) {
+    return new Uint8Array(0);
+  }
+
+  // Only decode as many characters as needed, allowing for escapes and whitespace
+  const charCount = parsed.base64 ? Math.ceil(byteCount / 3) * 4 : byteCount * 3;
+  let data = parsed.data.slice(0, charCount * 2);
+
+  if (parsed.base64) {
+    data = percentDecodeToString(data).replace(/\s+/g, '').slice(0, charCount);
+    data = data.slice(0, data.length - (data.length % 4));
+  }
+
+  try {
+    return decodeDataUrl({ ...parsed, data }).slice(0, byteCount);
+  } catch {
+    return new Uint8Array(0);
+  }
+}
+
+/**
+ * Decodes the payload of a data URL to text
+ *
+ * Uses the charset parameter when present and falls back to UTF-8, which
+ * is also what the common non-standard `;utf8` flag means.
+ *
+ * @param {string|ParsedDataUrl} dataUrl - Data URL or result of parseDataUrl()
+ * @returns {string} Decoded text
+ * @throws {Error} If the input is not a data URL or cannot be decoded
+ *
+ * @example
+ * decodeDataUrlText('data:image/svg+xml;utf8,<svg></svg>'); // '<svg></svg>'
+ */
+export function decodeDataUrlText(dataUrl) {
+  const parsed = typeof dataUrl === 'string' ? parseDataUrl(dataUrl) : dataUrl;
+  const bytes = decodeDataUrl(parsed);
+
+  let decoder;
+  try {
+    decoder = new TextDecoder(parsed.parameters.charset || 'utf-8');
+  } catch {
+    decoder = new TextDecoder('utf-8');
+  }
+  return decoder.decode(bytes);
+}
+
+/**
+ * Computes the decoded byte length of a data URL without decoding it
+ *
+ * Whitespace and padding in base64 payloads are not counted.
+ *
+ * @param {string|ParsedDataUrl} dataUrl - Data URL or result of parseDataUrl()
+ * @returns {number} Decoded size in bytes (0 if not a data URL)
+ *
+ * @example
+ * getDataUrlByteLength('data:image/png;base64,iVBORw=='); // 4
+ * getDataUrlByteLength('data:image/png,%89PNG'); // 4
+ */
+export function getDataUrlByteLength(dataUrl) {
+  const parsed = typeof dataUrl === 'string' ? parseDataUrl(dataUrl) : dataUrl;
+  if (!parsed) {
+    return 0;
+  }
+
+  if (parsed.base64) {
+    const clean = percentDecodeToString(parsed.data).replace(/[\s=]+/g, '');
+    return Math.floor((clean.length * 3) / 4);
+  }
+
+  return percentDecode(parsed.data).length;
+}
+
+/**
+ * Encodes bytes as a base64 data URL
+ *
+ * @param {Uint8Array} bytes - Payload
+ * @param {string} mimeType - MIME type of the payload (e.g., 'image/png')
+ * @returns {string} Data URL
+ *
+ * @example
+ * encodeDataUrl(new Uint8Array([0x89, 0x50, 0x4e, 0x47]), 'image/png'); // 'data:image/png;base64,iVBORw=='
+ */
+export function encodeDataUrl(bytes, mimeType) {
+  // Chunked so String.fromCharCode never gets too many arguments
+  const chunkSize = 0x8000;
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return `data:${mimeType || DEFAULT_MIME_TYPE};base64,${btoa(binary)}`;
+}
+
+/**
+ * Percent-decodes a string to bytes, encoding raw characters as UTF-8
+ *
+ * Invalid escapes such as '%zz' are kept literally, as browsers do.
+ *
+ * @param {string} input - Percent-encoded string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function percentDecode(input) {
+  const encoded = new TextEncoder().encode(input);
+  const output = new Uint8Array(encoded.length);
+  let length = 0;
+
+  for (let i = 0; i < encoded.length; i++) {
+    const byte = encoded[i];
+    if (byte === 0x25 && i + 2 < encoded.length && isHexByte(encoded[i + 1]) && isHexByte(encoded[i + 2])) {
+      output[length++] = parseInt(String.fromCharCode(encoded[i + 1], encoded[i + 2]), 16);
+      i += 2;
+    } else {
+      output[length++] = byte;
+    }
+  }
+
+  return output.slice(0, length);
+}
+
+/**
+ * Percent-decodes an ASCII payload (e.g. base64 with %3D padding) to a string
+ *
+ * @param {string} input - Percent-encoded ASCII string
+ * @returns {string} Decoded string
+ */
+function percentDecodeToString(input) {
+  if (!input.includes('%')) {
+    return input;
+  }
+  let output = '';
+  percentDecode(input).forEach((byte) => {
+    output += String.fromCharCode(byte);
+  });
+  return output;
+}
+
+/**
+ * @param {number} byte - Character code
+ * @returns {boolean} True for 0-9, A-F, a-f
+ */
+function isHexByte(byte) {
+  return (byte >= 0x30 && byte <= 0x39) || (byte >= 0x41 && byte <= 0x46) || (byte >= 0x61 && byte <= 0x66);
+}
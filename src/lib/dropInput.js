@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Reading of dropped and pasted content (files, folders, URLs, SVG text)
+ * @module lib/dropInput
+ */
+
+import { readFileBytes } from './fileReader.js';
+import { isValidUrl } from './validators.js';
+import { encodeDataUrl } from './dataUrl.js';
+import { detectImageFormat, DETECTION_HEAD_SIZE } from './formatDetector.js';
+import { getImageDimensions } from './imageDimensions.js';
+import { isZipFile } from './archiveReader.js';
+
+/**
+ * @typedef {Object} DroppedContent
+ * @property {File[]} files - Dropped or pasted files; files found in dropped
+ *   folders are included (SVG, SVGZ and ZIP only) with their path in `webkitRelativePath`
+ * @property {string|null} svgText - SVG markup, from dropped or pasted text
+ * @property {string|null} url - http(s) URL, from a dropped link or pasted text
+ */
+
+/**
+ * Reads what was dropped or pasted onto the page
+ *
+ * Folders are walked with the directory entries API (webkitGetAsEntry), and
+ * only the SVG files and ZIP archives inside them are kept. Text is classified as SVG markup
+ * or as a URL; anything else is ignored.
+ *
+ * @param {DataTransfer} dataTransfer - From a drop event or a paste event's clipboardData
+ * @returns {Promise<DroppedContent>} Files, SVG text and URL found
+ *
+ * @example
+ * document.addEventListener('drop', async (event) => {
+ *   event.preventDefault();
+ *   const { files, svgText, url } = await readDataTransfer(event.dataTransfer);
+ * });
+ */
+export async function readDataTransfer(dataTransfer) {
+  // Everything is read synchronously first: the data store closes once the event returns
+  const items = Array.from(dataTransfer.items || []);
+  const entries = items
+    .filter(item => item.kind === 'file')
+    .map(item => (typeof item.webkitGetAsEntry === 'function' ? item.webkitGetAsEntry() : null));
+  const listedFiles = Array.from(dataTransfer.files || []);
+  const uriList = dataTransfer.getData('text/uri-list') || '';
+  const text = (dataTransfer.getData('text/plain') || '').trim();
+
+  const files = [];
+  if (entries.length > 0 && entries.every(Boolean)) {
+    for (const entry of entries) {
+      if (entry.isDirectory) {
+        files.push(...(await readDirectoryEntry(entry)).filter(file => isSvgFile(file) || isZipFile(file)));
+      } else {
+        files.push(await getEntryFile(entry));
+      }
+    }
+  } else {
+    files.push(...listedFiles);
+  }
+
+  const link = uriList.split(/\r?\n/).map(line => line.trim()).find(line => line && !line.startsWith('#'));
+
+  return {
+    files,
+    svgText: text.includes('<svg') ? text : null,
+    url: [link, text].find(candidate => candidate && isValidUrl(candidate)) || null
+  };
+}
+
+/**
+ * Checks whether a file is an SVG (plain or .svgz), by MIME type or extension
+ *
+ * @param {File} file - File to check
+ * @returns {boolean}
+ *
+ * @example
+ * isSvgFile(new File([''], 'logo.svg')); // true
+ */
+export function isSvgFile(file) {
+  return file.type === 'image/svg+xml' || /\.svgz?$/i.test(file.name);
+}
+
+/**
+ * Checks whether a file is a raster or other non-SVG image
+ *
+ * @param {File} file - File to check
+ * @returns {boolean}
+ *
+ * @example
+ * isRawImageFile(new File([''], 'image.png', { type: 'image/png' })); // true
+ */
+export function isRawImageFile(file) {
+  return file.type.startsWith('image/') && !isSvgFile(file);
+}
+
+/**
+ * Wraps a raw image file in a minimal SVG so it goes through the normal
+ * extraction pipeline (format detection, dimensions, hashing, export)
+ *
+ * The result keeps the original file name, with an SVG MIME type.
+ *
+ * @param {File} file - Image file, e.g. a screenshot pasted from the clipboard
+ * @returns {Promise<File>} SVG file embedding the image as a data URL
+ *
+ * @example
+ * const svgFile = await wrapImageFile(pastedPng);
+ * const results = await processSvgFiles([svgFile]);
+ */
+export async function wrapImageFile(file) {
+  const bytes = await readFileBytes(file);
+  const format = detectImageFormat(bytes.subarray(0, DETECTION_HEAD_SIZE)) || file.type || 'application/octet-stream';
+  const dimensions = getImageDimensions(bytes, format);
+  const size = dimensions ? ` width="${dimensions.width}" height="${dimensions.height}"` : '';
+
+  const markup = `<svg xmlns="http://www.w3.org/2000/svg"${size}>`
+    + `<image href="${encodeDataUrl(bytes, format)}"${size}/></svg>`;
+
+  return new File([markup], file.name || 'pasted-image', { type: 'image/svg+xml' });
+}
+
+/**
+ * Turns dropped or pasted files into inputs for processSvgFiles(): raw
+ * images are wrapped in SVGs, everything else is passed through
+ *
+ * @param {File[]} files - Dropped or pasted files
+ * @returns {Promise<File[]>} Files in the same order
+ *
+ * @example
+ * const results = await processSvgFiles(await prepareInputFiles(files));
+ */
+export async function prepareInputFiles(files) {
+  return Promise.all(files.map(file => (isRawImageFile(file) ? wrapImageFile(file) : file)));
+}
+
+/**
+ * Lists every file under a directory entry, depth first
+ *
+ * @param {FileSystemDirectoryEntry} directory - Dropped folder
+ * @returns {Promise<File[]>} Files, with their path relative to the drop
+ */
+async function readDirectoryEntry(directory) {
+  const reader = directory.createReader();
+  const files = [];
+
+  // readEntries() returns entries in batches until it returns an empty one
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) {
+      break;
+    }
+    for (const entry of batch) {
+      if (entry.isDirectory) {
+        files.push(...(await readDirectoryEntry(entry)));
+      } else {
+        files.push(await getEntryFile(entry));
+      }
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Gets the File behind a file entry, recording its path like a folder
+ * picker upload would
+ *
+ * @param {FileSystemFileEntry} entry - File entry
+ * @returns {Promise<File>} File
+ */
+async function getEntryFile(entry) {
+  const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+  const path = (entry.fullPath || '').replace(/^\//, '');
+
+  if (path && path !== file.name && !file.webkitRelativePath) {
+    Object.defineProperty(file, 'webkitRelativePath', { value: path });
+  }
+  return file;
+}
@@ -5,15 +5,18 @@
 
 import { ValidationError } from './errorHandler.js';
 import { isValidFile } from './validators.js';
+import { isGzip, gunzip } from './archiveReader.js';
 
 /**
  * Reads SVG file content with validation
  *
  * Validates file size and type before reading. Supports progress callbacks
- * for large files.
+ * for large files. Gzip-compressed SVG (.svgz) is decompressed.
  *
  * @param {File} file - File object to read
  * @param {Function} [progressCallback] - Optional callback for progress updates
+ * @param {Object} [options={}] - Read options
+ * @param {number} [options.maxSize] - Size limit in bytes (see isValidFile)
  * @returns {Promise<string>} File content as text
  * @throws {ValidationError} If file is invalid or too large
  * @throws {Error} If file reading fails
@@ -23,13 +26,22 @@ import { isValidFile } from './validators.js';
  *   console.log(`Reading: ${percent}%`);
  * });
  */
-export async function readSvgFile(file, progressCallback = null) {
+export async function readSvgFile(file, progressCallback = null, options = {}) {
   // Validate file
-  const validation = isValidFile(file);
+  const validation = isValidFile(file, options);
   if (!validation.valid) {
     throw new ValidationError(validation.error, 'file');
   }
 
+  if (isCompressedSvg(file)) {
+    const bytes = await readFileBytes(file);
+    const content = isGzip(bytes) ? await gunzip(bytes) : bytes;
+    if (progressCallback) {
+      progressCallback(100);
+    }
+    return new TextDecoder('utf-8').decode(content);
+  }
+
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
 
@@ -57,3 +69,41 @@ export async function readSvgFile(file, progressCallback = null) {
     reader.readAsText(file);
   });
 }
+
+/**
+ * Reads a file's raw bytes
+ *
+ * No SVG validation is done, so this also serves binary inputs such as
+ * images dropped or pasted onto the page.
+ *
+ * @param {Blob} file - File or blob to read
+ * @returns {Promise<Uint8Array>} File content
+ * @throws {Error} If file reading fails
+ *
+ * @example
+ * const bytes = await readFileBytes(file);
+ * console.log(bytes.length); // file.size
+ */
+export async function readFileBytes(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+
+    reader.onload = () => {
+      resolve(new Uint8Array(reader.result));
+    };
+
+    reader.onerror = () => {
+      reject(new Error(`Failed to read file: ${reader.error?.message || 'Unknown error'}`));
+    };
+
+    reader.readAsArrayBuffer(file);
+  });
+}
+
+/**
+ * @param {File} file - Validated input file
+ * @returns {boolean} True for .svgz files and gzip-typed uploads
+ */
+function isCompressedSvg(file) {
+  return /\.svgz$/i.test(file.name) || file.type === 'application/gzip' || file.type === 'application/x-gzip';
+}
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Filename templates for downloaded images and ZIP files
+ * @module lib/filenameTemplate
+ */
+
+import { getExtensionForFormat } from './formatDetector.js';
+
+/**
+ * Default template for image filenames (without extension)
+ * @type {string}
+ */
+export const DEFAULT_FILENAME_TEMPLATE = 'image-{index}';
+
+/**
+ * Default template for ZIP filenames (without extension)
+ * @type {string}
+ */
+export const DEFAULT_ZIP_TEMPLATE = 'extracted-images';
+
+/**
+ * Tokens available in image filename templates
+ * @type {string[]}
+ */
+export const FILENAME_TOKENS = ['{source}', '{index}', '{id}', '{width}', '{height}', '{hash}', '{format}', '{date}'];
+
+/**
+ * Longest filename produced, leaving room for collision suffixes and
+ * extensions within the usual 255-byte limit
+ * @type {number}
+ */
+const MAX_NAME_LENGTH = 200;
+
+/**
+ * Characters of the content hash used by {hash}
+ * @type {number}
+ */
+const HASH_LENGTH = 12;
+
+/**
+ * Names Windows reserves for devices, with or without an extension
+ * @type {RegExp}
+ */
+const RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+
+/**
+ * Image extensions removed from custom names, as the extension always
+ * follows the output format
+ * @type {RegExp}
+ */
+const IMAGE_EXTENSION = /\.(png|jpe?g|gif|webp|bmp|ico|avif|tiff?|svg)$/i;
+
+/**
+ * @typedef {Object} FilenameOptions
+ * @property {string} [template=DEFAULT_FILENAME_TEMPLATE] - Name template, without extension
+ * @property {number} [index] - 0-based number shown by {index} (default: the image's index)
+ * @property {string} [format] - Output MIME type, for {format} and the
+ *   extension (default: the image's format)
+ * @property {Date} [date=new Date()] - Date shown by {date}
+ */
+
+/**
+ * Builds the filename of an image from a template
+ *
+ * Tokens: {source} (source SVG name without extension), {index} (1-based),
+ * {id} (id attribute of the element), {width} and {height} (pixels),
+ * {hash} (start of the SHA-256), {format} (extension) and {date}
+ * (YYYY-MM-DD). Tokens without a value are left empty; unknown tokens are
+ * kept as typed. A `customName` on the image (set by renaming it) replaces
+ * the template. The result is sanitized (see sanitizeFilename) and gets
+ * the extension of the output format.
+ *
+ * @param {Object} image - Extracted image
+ * @param {FilenameOptions} [options={}] - Template and values
+ * @returns {string} Filename with extension
+ *
+ * @example
+ * buildFilename({ index: 0, format: 'image/png' }); // 'image-1.png'
+ * buildFilename(image, { template: '{source}-{id}-{width}x{height}' }); // 'logo-badge-64x64.png'
+ */
+export function buildFilename(image, options = {}) {
+  const {
+    template = DEFAULT_FILENAME_TEMPLATE,
+    index = image.index ?? 0,
+    format = image.format,
+    date = new Date()
+  } = options;
+  const extension = getExtensionForFormat(format || 'image/png');
+
+  const values = {
+    source: stripExtension(baseName(image.sourceFile || '')) || 'image',
+    index: String(index + 1),
+    id: image.elementId || '',
+    width: image.width ? String(image.width) : '',
+    height: image.height ? String(image.height) : '',
+    hash: image.hash ? image.hash.slice(0, HASH_LENGTH) : '',
+    format: extension,
+    date: formatDate(date)
+  };
+
+  const name = image.customName
+    ? image.customName.replace(IMAGE_EXTENSION, '')
+    : renderTemplate(template, values);
+
+  return `${sanitizeFilename(name, `image-${index + 1}`)}.${extension}`;
+}
+
+/**
+ * Builds the filename of a ZIP archive from a template
+ *
+ * Tokens: {source} (the source SVG name when every image comes from one
+ * file, 'images' otherwise), {count} (number of images) and {date}.
+ *
+ * @param {Array<Object>} images - Images in the archive
+ * @param {{template?: string, date?: Date}} [options={}] - Template and date
+ * @returns {string} Filename ending in .zip
+ *
+ * @example
+ * buildZipFilename(images); // 'extracted-images.zip'
+ * buildZipFilename(images, { template: '{source}-{date}' }); // 'logo-2024-05-01.zip'
+ */
+export function buildZipFilename(images, options = {}) {
+  const { template = DEFAULT_ZIP_TEMPLATE, date = new Date() } = options;
+  const sources = new Set(images.map(image => image.sourceFile || ''));
+  const [onlySource] = sources;
+
+  const name = renderTemplate(template, {
+    source: (sources.size === 1 && stripExtension(baseName(onlySource))) || 'images',
+    count: String(images.length),
+    date: formatDate(date)
+  });
+
+  return `${sanitizeFilename(name, DEFAULT_ZIP_TEMPLATE)}.zip`;
+}
+
+/**
+ * Makes a name safe to use as a filename on common file systems
+ *
+ * Path separators, characters Windows forbids and control characters
+ * become '_'; leading and trailing dots and spaces are removed; device
+ * names such as 'con' are prefixed; long names are shortened.
+ *
+ * @param {string} name - Proposed name, without extension
+ * @param {string} [fallback='image'] - Name used when nothing is left
+ * @returns {string} Safe name
+ *
+ * @example
+ * sanitizeFilename('logo: v2/final'); // 'logo_ v2_final'
+ * sanitizeFilename('...'); // 'image'
+ */
+export function sanitizeFilename(name, fallback = 'image') {
+  let safe = String(name || '')
+    .replace(/[\\/:*?"<>|\u0000-\u001f\u007f]/g, '_')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.]+|[\s.]+$/g, '')
+    .slice(0, MAX_NAME_LENGTH)
+    .replace(/[\s.]+$/, '');
+
+  if (!safe) {
+    safe = fallback;
+  }
+  return RESERVED_NAMES.test(safe) ? `_${safe}` : safe;
+}
+
+/**
+ * Creates a function that makes filenames unique by numbering repeats
+ *
+ * Names are compared case-insensitively, as on Windows and macOS.
+ *
+ * @param {Iterable<string>} [taken=[]] - Names already in use
+ * @returns {function(string): string} Returns the name, or 'name-2.ext',
+ *   'name-3.ext'... if it was already returned
+ *
+ * @example
+ * const unique = createUniqueNamer();
+ * unique('logo.png'); // 'logo.png'
+ * unique('logo.png'); // 'logo-2.png'
+ */
+export function createUniqueNamer(taken = []) {
+  const used = new Set(Array.from(taken, name => name.toLowerCase()));
+
+  return (filename) => {
+    const dot = filename.lastIndexOf('.');
+    const stem = dot > 0 ? filename.slice(0, dot) : filename;
+    const extension = dot > 0 ? filename.slice(dot) : '';
+
+    let candidate = filename;
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+      candidate = `${stem}-${n}${extension}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  };
+}
+
+/**
+ * Replaces {token} placeholders with their values
+ *
+ * @param {string} template - Template text
+ * @param {Object<string, string>} values - Token values by name
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, values) {
+  return String(template).replace(/\{(\w+)\}/g, (match, token) => (
+    Object.prototype.hasOwnProperty.call(values, token) ? values[token] : match
+  ));
+}
+
+/**
+ * @param {Date} date - Date
+ * @returns {string} Local date as YYYY-MM-DD
+ */
+function formatDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * @param {string} path - File name or relative path
+ * @returns {string} Last path segment
+ */
+function baseName(path) {
+  return path.split(/[\\/]/).pop() || '';
+}
+
+/**
+ * @param {string} name - File name
+ * @returns {string} Name without its last extension
+ */
+function stripExtension(name) {
+  return name.replace(/\.[^.]+$/, '');
+}
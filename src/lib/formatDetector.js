@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Image format detection from magic bytes
+ * @module lib/formatDetector
+ */
+
+/**
+ * Number of leading bytes needed to detect any supported format
+ * (SVG detection may have to skip an XML prolog and comments)
+ * @type {number}
+ */
+export const DETECTION_HEAD_SIZE = 1024;
+
+/**
+ * File extensions for known image MIME types
+ * @type {Object<string, string>}
+ */
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpeg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/bmp': 'bmp',
+  'image/x-icon': 'ico',
+  'image/avif': 'avif',
+  'image/tiff': 'tiff',
+  'image/svg+xml': 'svg'
+};
+
+/**
+ * Non-standard MIME types mapped to the name used by this module
+ * @type {Object<string, string>}
+ */
+const MIME_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg',
+  'image/x-ms-bmp': 'image/bmp',
+  'image/vnd.microsoft.icon': 'image/x-icon',
+  'image/ico': 'image/x-icon',
+  'image/svg': 'image/svg+xml'
+};
+
+/**
+ * Detects an image format from its leading bytes
+ *
+ * Recognizes PNG, JPEG, GIF, WebP, BMP, ICO, AVIF, TIFF and SVG.
+ *
+ * @param {Uint8Array} bytes - Leading bytes of the image (DETECTION_HEAD_SIZE is enough)
+ * @returns {string|null} Detected MIME type, or null if unrecognized
+ *
+ * @example
+ * detectImageFormat(new Uint8Array([0xff, 0xd8, 0xff, 0xe0])); // 'image/jpeg'
+ */
+export function detectImageFormat(bytes) {
+  if (!bytes || bytes.length < 2) {
+    return null;
+  }
+
+  if (startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return 'image/png';
+  }
+  if (startsWith(bytes, [0xff, 0xd8, 0xff])) {
+    return 'image/jpeg';
+  }
+  if (ascii(bytes, 0, 6) === 'GIF87a' || ascii(bytes, 0, 6) === 'GIF89a') {
+    return 'image/gif';
+  }
+  if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (isAvif(bytes)) {
+    return 'image/avif';
+  }
+  if (startsWith(bytes, [0x49, 0x49, 0x2a, 0x00]) || startsWith(bytes, [0x4d, 0x4d, 0x00, 0x2a])) {
+    return 'image/tiff';
+  }
+  // ICO: reserved 0, type 1, non-zero image count
+  if (startsWith(bytes, [0x00, 0x00, 0x01, 0x00]) && bytes.length >= 6 && (bytes[4] | bytes[5]) !== 0) {
+    return 'image/x-icon';
+  }
+  if (ascii(bytes, 0, 2) === 'BM' && bytes.length >= 14) {
+    return 'image/bmp';
+  }
+  if (isSvg(bytes)) {
+    return 'image/svg+xml';
+  }
+
+  return null;
+}
+
+/**
+ * Normalizes a MIME type, mapping common aliases (image/jpg, image/vnd.microsoft.icon...)
+ *
+ * @param {string} mimeType - MIME type to normalize
+ * @returns {string} Lowercased canonical MIME type
+ *
+ * @example
+ * normalizeMimeType('image/JPG'); // 'image/jpeg'
+ */
+export function normalizeMimeType(mimeType) {
+  const lower = (mimeType || '').toLowerCase();
+  return MIME_ALIASES[lower] || lower;
+}
+
+/**
+ * Checks whether a detected format contradicts the declared one
+ *
+ * @param {string} declaredFormat - MIME type from the data URL header
+ * @param {string|null} detectedFormat - MIME type from detectImageFormat()
+ * @returns {boolean} True if a format was detected and differs from the declared one
+ *
+ * @example
+ * isFormatMismatch('image/png', 'image/jpeg'); // true
+ * isFormatMismatch('image/jpg', 'image/jpeg'); // false
+ */
+export function isFormatMismatch(declaredFormat, detectedFormat) {
+  return Boolean(detectedFormat) && normalizeMimeType(declaredFormat) !== normalizeMimeType(detectedFormat);
+}
+
+/**
+ * Gets the file extension for an image MIME type
+ *
+ * @param {string} mimeType - Image MIME type
+ * @returns {string} Extension without dot (defaults to 'png')
+ *
+ * @example
+ * getExtensionForFormat('image/svg+xml'); // 'svg'
+ * getExtensionForFormat('image/jpeg'); // 'jpeg'
+ */
+export function getExtensionForFormat(mimeType) {
+  const normalized = normalizeMimeType(mimeType);
+  if (EXTENSIONS[normalized]) {
+    return EXTENSIONS[normalized];
+  }
+
+  // Unknown type: use the subtype without any structured suffix (e.g. '+xml')
+  const subtype = (normalized.split('/')[1] || '').split('+')[0].replace(/[^a-z0-9.-]/g, '');
+  return subtype || 'png';
+}
+
+/**
+ * @param {Uint8Array} bytes - Bytes to check
+ * @param {number[]} signature - Expected leading bytes
+ * @returns {boolean}
+ */
+function startsWith(bytes, signature) {
+  return bytes.length >= signature.length && signature.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * @param {Uint8Array} bytes - Bytes to read
+ * @param {number} offset - Start offset
+ * @param {number} length - Number of bytes
+ * @returns {string} Bytes as a Latin-1 string
+ */
+function ascii(bytes, offset, length) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+/**
+ * AVIF files start with an ISO BMFF 'ftyp' box whose major or compatible
+ * brands include 'avif' (still image) or 'avis' (sequence).
+ *
+ * @param {Uint8Array} bytes - Leading bytes
+ * @returns {boolean}
+ */
+function isAvif(bytes) {
+  if (bytes.length < 12 || ascii(bytes, 4, 4) !== 'ftyp') {
+    return false;
+  }
+  const boxSize = ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0;
+  const end = Math.min(boxSize || bytes.length, bytes.length);
+
+  // Major brand at 8, minor version at 12, compatible brands from 16
+  for (let offset = 8; offset + 4 <= end; offset += offset === 8 ? 8 : 4) {
+    const brand = ascii(bytes, offset, 4);
+    if (brand === 'avif' || brand === 'avis') {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * SVG is text: allow a BOM, an XML declaration, comments and a doctype
+ * before the root <svg> element.
+ *
+ * @param {Uint8Array} bytes - Leading bytes
+ * @returns {boolean}
+ */
+function isSvg(bytes) {
+  // TextDecoder drops a leading byte order mark
+  const text = new TextDecoder('utf-8').decode(bytes);
+  return /^\s*(<\?xml[^>]*\?>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>/]/i.test(text);
+}
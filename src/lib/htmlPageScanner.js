@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Discovery of the SVGs used by an HTML page
+ * @module lib/htmlPageScanner
+ */
+
+import { fetchSvgFromUrl } from './urlFetcher.js';
+import { processSvgSources } from './batchProcessor.js';
+import { parseCssUrls } from './cssUrlParser.js';
+import { parseSrcset } from './srcsetParser.js';
+import { parseDataUrl, decodeDataUrlText } from './dataUrl.js';
+import { getElementPath } from './svgReferences.js';
+import { FetchError, ParseError } from './errorHandler.js';
+import { parseXml, serializeXml } from './xmlParser.js';
+import { ERROR_MESSAGES } from '../constants/messages.js';
+
+/**
+ * Where on an HTML page an SVG was found
+ * @readonly
+ * @enum {string}
+ */
+export const PAGE_SOURCES = {
+  INLINE_SVG: 'inline-svg',
+  IMG_ELEMENT: 'img',
+  OBJECT_ELEMENT: 'object',
+  EMBED_ELEMENT: 'embed',
+  CSS_REFERENCE: 'css'
+};
+
+/**
+ * Elements and attributes that can point at an SVG document
+ * @type {Object<string, {kind: string, attributes: string[]}>}
+ */
+const LINKING_ELEMENTS = {
+  img: { kind: PAGE_SOURCES.IMG_ELEMENT, attributes: ['src', 'srcset'] },
+  source: { kind: PAGE_SOURCES.IMG_ELEMENT, attributes: ['srcset', 'src'] },
+  object: { kind: PAGE_SOURCES.OBJECT_ELEMENT, attributes: ['data'] },
+  embed: { kind: PAGE_SOURCES.EMBED_ELEMENT, attributes: ['src'] }
+};
+
+/**
+ * @typedef {Object} PageSvgSource
+ * @property {string} kind - One of PAGE_SOURCES
+ * @property {string} name - Short unique name, e.g. 'inline-svg-1' or 'img-2-logo.svg'
+ * @property {string} location - Where the SVG was found, e.g.
+ *   '/html/body[1]/header[1]/svg[1]' or '/html/body[1]/img[2]/@src'
+ * @property {string|null} url - Absolute URL of a linked SVG (null for inline
+ *   SVGs, data URLs and links that cannot be resolved)
+ * @property {string|null} baseUrl - URL to resolve the SVG's own image links against
+ * @property {function(): Promise<string>} load - Gets the SVG markup, fetching linked ones
+ * @property {Error|null} error - Why the SVG cannot be loaded, if known up front
+ */
+
+/**
+ * Checks whether fetched or pasted content is an HTML page rather than an
+ * SVG document
+ *
+ * @param {string} content - Document text
+ * @param {string|null} [mimeType=null] - Content-Type, when fetched
+ * @returns {boolean}
+ *
+ * @example
+ * isHtmlDocument('<!DOCTYPE html><html>...</html>'); // true
+ * isHtmlDocument('<svg xmlns="http://www.w3.org/2000/svg"/>'); // false
+ */
+export function isHtmlDocument(content, mimeType = null) {
+  if (mimeType === 'text/html' || mimeType === 'application/xhtml+xml') {
+    return true;
+  }
+  if (mimeType === 'image/svg+xml') {
+    return false;
+  }
+  // Skip a BOM, XML declaration and comments before the first tag
+  const head = content.replace(/^\uFEFF?\s*(<\?xml[\s\S]*?\?>\s*)?(<!--[\s\S]*?-->\s*)*/, '');
+  return /^<(!doctype\s+html|html|head|body)[\s>]/i.test(head);
+}
+
+/**
+ * Lists the SVGs on an HTML page: inline `<svg>` elements, and SVG files
+ * referenced by `<img>` (src and srcset), `<picture><source>`, `<object>`,
+ * `<embed>` and CSS url() in style blocks and style attributes
+ *
+ * Relative links are resolved against the page URL, honouring `<base href>`.
+ * Each linked SVG is listed once, at its first location. Elements inside an
+ * inline SVG are left to the extractor, which already handles them.
+ *
+ * @param {string} html - Page markup
+ * @param {string|null} [pageUrl=null] - URL the page was loaded from; without
+ *   it, relative links are reported as failed sources
+ * @param {Object} [fetchOptions={}] - Options for fetchSvgFromUrl() when loading linked SVGs
+ * @returns {PageSvgSource[]} Sources in document order, ready for processSvgSources()
+ *
+ * @example
+ * const sources = findPageSvgSources(html, 'https://example.com/');
+ * sources.map(source => source.location); // ['/html/body[1]/svg[1]', '/html/body[1]/img[1]/@src']
+ */
+export function findPageSvgSources(html, pageUrl = null, fetchOptions = {}) {
+  const doc = parseXml(html, 'text/html');
+  if (!doc) {
+    throw new ParseError(ERROR_MESSAGES.PARSE_ERROR);
+  }
+  const base = doc.querySelector('base[href]');
+  const baseUrl = base ? resolveUrl(base.getAttribute('href'), pageUrl) || pageUrl : pageUrl;
+
+  const sources = [];
+  const counts = {};
+  const seen = new Set();
+
+  const nextName = (kind, url) => {
+    counts[kind] = (counts[kind] || 0) + 1;
+    const fileName = url && !url.startsWith('data:') ? new URL(url).pathname.split('/').pop() : '';
+    return fileName ? `${kind}-${counts[kind]}-${decodeFileName(fileName)}` : `${kind}-${counts[kind]}`;
+  };
+
+  const addLinked = (kind, href, location, declaresSvg = false) => {
+    const reference = href.trim();
+    if (!declaresSvg && !isSvgReference(reference)) {
+      return;
+    }
+
+    const url = resolveUrl(reference, baseUrl);
+    if (seen.has(url || reference)) {
+      return;
+    }
+    seen.add(url || reference);
+
+    if (reference.startsWith('data:')) {
+      sources.push(createSource(kind, nextName(kind, null), location, null, baseUrl, async () => decodeDataUrlText(reference)));
+    } else if (url) {
+      sources.push(createSource(kind, nextName(kind, url), location, url, url, () => fetchSvgFromUrl(url, fetchOptions)));
+    } else {
+      const source = createSource(kind, nextName(kind, null), location, null, null, null);
+      source.error = new FetchError(ERROR_MESSAGES.UNRESOLVED_PAGE_REFERENCE, reference);
+      sources.push(source);
+    }
+  };
+
+  for (const element of doc.querySelectorAll('svg, img, source, object, embed, style, [style]')) {
+    if (element.parentElement && element.parentElement.closest('svg')) {
+      continue;
+    }
+
+    const name = element.localName;
+    const path = getElementPath(element);
+
+    if (name === 'svg') {
+      const markup = serializeXml(element);
+      sources.push(createSource(PAGE_SOURCES.INLINE_SVG, nextName(PAGE_SOURCES.INLINE_SVG, null), path, null, baseUrl, async () => markup));
+    } else if (name === 'style') {
+      parseCssUrls(element.textContent).forEach(({ url }) => addLinked(PAGE_SOURCES.CSS_REFERENCE, url, path));
+    } else if (LINKING_ELEMENTS[name]) {
+      const { kind, attributes } = LINKING_ELEMENTS[name];
+      const declaresSvg = element.getAttribute('type') === 'image/svg+xml';
+
+      attributes.forEach((attribute) => {
+        const value = element.getAttribute(attribute);
+        if (!value) {
+          return;
+        }
+        const urls = attribute === 'srcset' ? parseSrcset(value).map(candidate => candidate.url) : [value];
+        urls.forEach(url => addLinked(kind, url, `${path}/@${attribute}`, declaresSvg));
+      });
+    }
+
+    if (element.hasAttribute('style')) {
+      parseCssUrls(element.getAttribute('style')).forEach(({ url }) => addLinked(PAGE_SOURCES.CSS_REFERENCE, url, `${path}/@style`));
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * Extracts images from every SVG on an HTML page
+ *
+ * Combines findPageSvgSources() and processSvgSources(): linked SVGs are
+ * fetched one after another, and each SVG's images are tagged with the
+ * source's name in `sourceFile`. Each result also carries the source's
+ * `location` on the page.
+ *
+ * @param {string} html - Page markup
+ * @param {string|null} [pageUrl=null] - URL the page was loaded from
+ * @param {Object} [options={}] - Extraction options, plus `timeout`,
+ *   `retries` and `proxy` for fetching linked SVGs (see fetchSvgFromUrl)
+ * @param {function(import('./batchProcessor.js').FileProgress): void} [progressCallback] - Called
+ *   as each SVG progresses
+ * @returns {Promise<import('./batchProcessor.js').FileResult[]>} One result per SVG
+ *
+ * @example
+ * const { content, url } = await fetchDocumentFromUrl('https://example.com/');
+ * const results = await extractFromHtmlPage(content, url, { recursive: true });
+ */
+export async function extractFromHtmlPage(html, pageUrl = null, options = {}, progressCallback = null) {
+  const { timeout, retries, proxy, ...extractOptions } = options;
+  const fetchOptions = {
+    ...(timeout !== undefined ? { timeout } : {}),
+    ...(retries !== undefined ? { retries } : {}),
+    ...(proxy ? { proxy } : {})
+  };
+  const sources = findPageSvgSources(html, pageUrl, fetchOptions);
+  return processSvgSources(sources, extractOptions, progressCallback);
+}
+
+/**
+ * @param {string} kind - One of PAGE_SOURCES
+ * @param {string} name - Source name
+ * @param {string} location - Location on the page
+ * @param {string|null} url - Absolute URL of a linked SVG
+ * @param {string|null} baseUrl - Base URL for the SVG's image links
+ * @param {(function(): Promise<string>)|null} load - Markup loader
+ * @returns {PageSvgSource} Source
+ */
+function createSource(kind, name, location, url, baseUrl, load) {
+  return { kind, name, location, url, baseUrl, load, error: null };
+}
+
+/**
+ * Checks whether a link points at an SVG document, by data URL MIME type
+ * or file extension (query strings and fragments are ignored)
+ *
+ * @param {string} href - Link value
+ * @returns {boolean}
+ */
+function isSvgReference(href) {
+  if (href.startsWith('data:')) {
+    const parsed = parseDataUrl(href);
+    return Boolean(parsed) && parsed.mimeType === 'image/svg+xml';
+  }
+  return /\.svgz?$/i.test(href.split(/[?#]/)[0]);
+}
+
+/**
+ * Resolves a link against the page's base URL, dropping any fragment
+ * (sprite references such as 'icons.svg#home' load the whole file)
+ *
+ * @param {string} href - Link value
+ * @param {string|null} baseUrl - Base URL
+ * @returns {string|null} Absolute http(s) URL, or null if it cannot be resolved
+ */
+function resolveUrl(href, baseUrl) {
+  if (!href || href.startsWith('data:')) {
+    return null;
+  }
+  try {
+    const url = baseUrl ? new URL(href, baseUrl) : new URL(href);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return null;
+    }
+    url.hash = '';
+    return url.href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decodes a percent-encoded URL path segment, keeping it as written when
+ * it holds a malformed escape such as '100%.svg'
+ *
+ * @param {string} segment - Path segment
+ * @returns {string} Decoded segment
+ */
+function decodeFileName(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
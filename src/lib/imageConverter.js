@@ -0,0 +1,286 @@
+/**
+ * @fileoverview Image format conversion and resizing through a canvas
+ * @module lib/imageConverter
+ */
+
+import { decodeDataUrl } from './dataUrl.js';
+import { normalizeMimeType } from './formatDetector.js';
+import { computeRenderScale } from './imageDimensions.js';
+import { ERROR_MESSAGES } from '../constants/messages.js';
+
+/**
+ * Formats images can be converted to; ORIGINAL keeps the embedded format
+ * @type {Object<string, string>}
+ */
+export const OUTPUT_FORMATS = {
+  ORIGINAL: 'original',
+  PNG: 'image/png',
+  JPEG: 'image/jpeg',
+  WEBP: 'image/webp'
+};
+
+/**
+ * How images are resized on export
+ * @type {Object<string, string>}
+ */
+export const RESIZE_MODES = {
+  NONE: 'none',
+  MAX_SIZE: 'max-size',
+  RENDERED: 'rendered'
+};
+
+/**
+ * Default encoder quality for JPEG and WebP (0-1)
+ * @type {number}
+ */
+export const DEFAULT_QUALITY = 0.92;
+
+/**
+ * Default colour painted under transparent areas when converting to JPEG
+ * @type {string}
+ */
+export const DEFAULT_BACKGROUND = '#ffffff';
+
+/**
+ * Formats that are encoded lossily and take a quality setting
+ * @type {Set<string>}
+ */
+const LOSSY_FORMATS = new Set([OUTPUT_FORMATS.JPEG, OUTPUT_FORMATS.WEBP]);
+
+/**
+ * Formats a canvas can encode; resized images in other formats become PNG
+ * @type {Set<string>}
+ */
+const ENCODABLE_FORMATS = new Set([OUTPUT_FORMATS.PNG, OUTPUT_FORMATS.JPEG, OUTPUT_FORMATS.WEBP]);
+
+/**
+ * Size used for SVG images that declare no intrinsic size, as browsers do
+ * for replaced elements
+ * @type {{width: number, height: number}}
+ */
+const FALLBACK_SIZE = { width: 300, height: 150 };
+
+/**
+ * @typedef {Object} ResizeOptions
+ * @property {string} [mode=RESIZE_MODES.NONE] - One of RESIZE_MODES
+ * @property {number|null} [maxWidth=null] - Largest width in pixels (MAX_SIZE)
+ * @property {number|null} [maxHeight=null] - Largest height in pixels (MAX_SIZE)
+ * @property {number} [scale=1] - Pixels per rendered user unit (RENDERED), e.g. 2 for 2x displays
+ */
+
+/**
+ * @typedef {Object} ConversionOptions
+ * @property {string} [format=OUTPUT_FORMATS.ORIGINAL] - Target MIME type, or 'original'
+ * @property {number} [quality=DEFAULT_QUALITY] - Quality for JPEG and WebP (0-1)
+ * @property {string|null} [background=DEFAULT_BACKGROUND] - CSS colour that
+ *   transparent areas are flattened onto when converting to JPEG, which has
+ *   no transparency; null leaves them to the encoder (usually black)
+ * @property {ResizeOptions|null} [resize=null] - Downscale the image
+ */
+
+/**
+ * @typedef {Object} ConvertedImage
+ * @property {Blob} blob - Encoded image
+ * @property {string} format - MIME type of the blob
+ * @property {number|null} width - Pixel width of the result (null if unknown)
+ * @property {number|null} height - Pixel height of the result (null if unknown)
+ * @property {boolean} converted - False when the original bytes were kept
+ */
+
+/**
+ * Computes the pixel size an image is resized to on export
+ *
+ * Images are only ever made smaller: a target at or above the intrinsic
+ * size, an unknown rendered size or an SVG image (which has no pixels)
+ * leave the image as it is. The aspect ratio is kept.
+ *
+ * @param {{format: string, width?: number|null, height?: number|null, placement?: Object|null}} image - Extracted image
+ * @param {ResizeOptions|null} resize - Resize options
+ * @returns {{width: number, height: number}|null} Target size, or null to keep the size
+ *
+ * @example
+ * computeTargetSize({ format: 'image/png', width: 2000, height: 1000 }, { mode: 'max-size', maxWidth: 500 });
+ * // { width: 500, height: 250 }
+ *
+ * @example
+ * // Placed in a 100 x 50 box: 200 x 100 pixels at 2x
+ * computeTargetSize(image, { mode: 'rendered', scale: 2 });
+ */
+export function computeTargetSize(image, resize) {
+  const { mode = RESIZE_MODES.NONE, maxWidth = null, maxHeight = null, scale = 1 } = resize || {};
+  const { width, height } = image;
+
+  if (mode === RESIZE_MODES.NONE || !width || !height || normalizeMimeType(image.format) === 'image/svg+xml') {
+    return null;
+  }
+
+  let factor = 1;
+  if (mode === RESIZE_MODES.MAX_SIZE) {
+    factor = Math.min(maxWidth > 0 ? maxWidth / width : 1, maxHeight > 0 ? maxHeight / height : 1);
+  } else if (mode === RESIZE_MODES.RENDERED) {
+    const renderScale = computeRenderScale(image, image.placement);
+    factor = renderScale === null ? 1 : renderScale * scale;
+  }
+
+  if (!(factor < 1)) {
+    return null;
+  }
+  return {
+    width: Math.max(1, Math.round(width * factor)),
+    height: Math.max(1, Math.round(height * factor))
+  };
+}
+
+/**
+ * Tells whether an image must be re-encoded to match the options
+ *
+ * @param {{format: string, width?: number|null, height?: number|null}} image - Extracted image
+ * @param {ConversionOptions} [options={}] - Conversion options
+ * @returns {boolean} True if the target format differs from the image's,
+ *   or the image is resized
+ *
+ * @example
+ * needsConversion({ format: 'image/png' }, { format: 'image/jpeg' }); // true
+ * needsConversion({ format: 'image/png' }, { format: 'original' }); // false
+ */
+export function needsConversion(image, options = {}) {
+  const { format = OUTPUT_FORMATS.ORIGINAL, resize = null } = options;
+  return (format !== OUTPUT_FORMATS.ORIGINAL && normalizeMimeType(image.format) !== format)
+    || computeTargetSize(image, resize) !== null;
+}
+
+/**
+ * Converts an extracted image to another format and/or size
+ *
+ * The image is decoded by the browser, drawn onto an OffscreenCanvas (or a
+ * <canvas> where OffscreenCanvas is missing) at its target size (see
+ * computeTargetSize) and encoded in the target format. Resized images keep
+ * their format when a canvas can encode it, and become PNG otherwise.
+ * Images needing neither are returned as they are.
+ *
+ * @param {{dataUrl: string, format: string, width?: number|null, height?: number|null}} image - Extracted image
+ * @param {ConversionOptions} [options={}] - Conversion options
+ * @returns {Promise<ConvertedImage>} Encoded image
+ * @throws {Error} If the image cannot be decoded, or the browser cannot
+ *   encode the target format
+ *
+ * @example
+ * const { blob } = await convertImage(image, { format: OUTPUT_FORMATS.JPEG, quality: 0.8 });
+ *
+ * @example
+ * // Transparent PNG onto a dark background
+ * await convertImage(image, { format: OUTPUT_FORMATS.JPEG, background: '#1f2937' });
+ *
+ * @example
+ * // Downscale to twice the rendered size, keeping the format
+ * await convertImage(image, { resize: { mode: RESIZE_MODES.RENDERED, scale: 2 } });
+ */
+export async function convertImage(image, options = {}) {
+  const { quality = DEFAULT_QUALITY, background = DEFAULT_BACKGROUND, resize = null } = options;
+  const source = new Blob([decodeDataUrl(image.dataUrl)], { type: image.format });
+
+  if (!needsConversion(image, options)) {
+    return { blob: source, format: image.format, width: image.width ?? null, height: image.height ?? null, converted: false };
+  }
+
+  const format = getOutputFormat(image, options);
+  const drawable = await loadDrawable(source);
+  const target = computeTargetSize(image, resize);
+  const width = target ? target.width : drawable.width || image.width || FALLBACK_SIZE.width;
+  const height = target ? target.height : drawable.height || image.height || FALLBACK_SIZE.height;
+
+  const canvas = createCanvas(width, height);
+  const context = canvas.getContext('2d');
+  context.imageSmoothingQuality = 'high';
+  if (format === OUTPUT_FORMATS.JPEG && background) {
+    context.fillStyle = background;
+    context.fillRect(0, 0, width, height);
+  }
+  context.drawImage(drawable, 0, 0, width, height);
+  if (typeof drawable.close === 'function') {
+    drawable.close();
+  }
+
+  const blob = await canvasToBlob(canvas, format, LOSSY_FORMATS.has(format) ? quality : undefined);
+
+  // Browsers fall back to PNG for types they cannot encode
+  if (!blob || blob.type !== format) {
+    throw new Error(ERROR_MESSAGES.FORMAT_NOT_SUPPORTED);
+  }
+
+  return { blob, format, width, height, converted: true };
+}
+
+/**
+ * Picks the format a converted image is encoded in
+ *
+ * @param {{format: string}} image - Extracted image
+ * @param {ConversionOptions} options - Conversion options
+ * @returns {string} MIME type
+ */
+function getOutputFormat(image, options) {
+  const { format = OUTPUT_FORMATS.ORIGINAL } = options;
+  if (format !== OUTPUT_FORMATS.ORIGINAL) {
+    return format;
+  }
+  const original = normalizeMimeType(image.format);
+  return ENCODABLE_FORMATS.has(original) ? original : OUTPUT_FORMATS.PNG;
+}
+
+/**
+ * Decodes an image blob into something a canvas can draw
+ *
+ * @param {Blob} blob - Image bytes, typed with their MIME type
+ * @returns {Promise<ImageBitmap|HTMLImageElement>} Decoded image
+ * @throws {Error} If the browser cannot decode the image
+ */
+async function loadDrawable(blob) {
+  // createImageBitmap does not accept SVG in most browsers
+  if (typeof createImageBitmap === 'function' && blob.type !== 'image/svg+xml') {
+    try {
+      return await createImageBitmap(blob);
+    } catch {
+      throw new Error(ERROR_MESSAGES.CONVERSION_FAILED);
+    }
+  }
+
+  const url = URL.createObjectURL(blob);
+  try {
+    const element = new Image();
+    element.src = url;
+    await element.decode();
+    return element;
+  } catch {
+    throw new Error(ERROR_MESSAGES.CONVERSION_FAILED);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @returns {OffscreenCanvas|HTMLCanvasElement} Canvas
+ */
+function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * @param {OffscreenCanvas|HTMLCanvasElement} canvas - Canvas to encode
+ * @param {string} type - Target MIME type
+ * @param {number} [quality] - Encoder quality (0-1)
+ * @returns {Promise<Blob|null>} Encoded image
+ */
+function canvasToBlob(canvas, type, quality) {
+  if (typeof canvas.convertToBlob === 'function') {
+    return canvas.convertToBlob({ type, quality });
+  }
+  return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+}
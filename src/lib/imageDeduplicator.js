@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Grouping of identical embedded images
+ * @module lib/imageDeduplicator
+ */
+
+/**
+ * @typedef {Object} DuplicateGroup
+ * @property {string} key - Content key shared by the group (SHA-256 hash when available)
+ * @property {Object} image - First image of the group, used for export
+ * @property {Array<Object>} images - All images with identical content, in extraction order
+ * @property {number[]} indices - Indices of those images
+ */
+
+/**
+ * Groups images with identical decoded content
+ *
+ * Uses the `hash` set by hashImages() so that the same bitmap encoded
+ * differently (e.g. wrapped base64) is still recognized. Images without a
+ * hash fall back to comparing their data URLs.
+ *
+ * Each image is annotated in place with `duplicateIndices` (indices of every
+ * image in its group, itself included) and `duplicateOf` (index of the
+ * group's first image, or null for that first image).
+ *
+ * @param {Array<Object>} images - Extracted images, ideally hashed
+ * @returns {DuplicateGroup[]} Groups in order of first appearance
+ *
+ * @example
+ * await hashImages(images);
+ * const groups = groupDuplicateImages(images);
+ * console.log(`${images.length} images, ${groups.length} unique`);
+ */
+export function groupDuplicateImages(images) {
+  const groups = new Map();
+
+  images.forEach((image, position) => {
+    const key = getContentKey(image);
+    if (!groups.has(key)) {
+      groups.set(key, { key, image, images: [], indices: [] });
+    }
+    const group = groups.get(key);
+    group.images.push(image);
+    group.indices.push(image.index ?? position);
+  });
+
+  groups.forEach((group) => {
+    group.images.forEach((image) => {
+      image.duplicateIndices = group.indices;
+      image.duplicateOf = image === group.image ? null : group.indices[0];
+    });
+  });
+
+  return Array.from(groups.values());
+}
+
+/**
+ * Counts how many images are copies of an earlier image
+ *
+ * @param {Array<Object>} images - Extracted images
+ * @returns {number} Number of images that could be skipped in a deduplicated export
+ *
+ * @example
+ * countDuplicates(images); // 39 when one logo is embedded 40 times
+ */
+export function countDuplicates(images) {
+  return images.length - groupDuplicateImages(images).length;
+}
+
+/**
+ * @param {Object} image - Extracted image
+ * @returns {string} Key identifying the image's content
+ */
+function getContentKey(image) {
+  return image.hash ? `sha256:${image.hash}` : `url:${image.dataUrl}`;
+}
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Intrinsic pixel dimensions from image headers
+ * @module lib/imageDimensions
+ */
+
+/**
+ * Number of leading bytes that holds the dimensions of PNG, GIF, WebP and
+ * BMP images, and of most JPEGs (EXIF data can push the SOF marker further)
+ * @type {number}
+ */
+export const DIMENSIONS_HEAD_SIZE = 64 * 1024;
+
+/**
+ * Reads the intrinsic pixel size of an image from its header
+ *
+ * Supports PNG (IHDR), JPEG (SOF markers), GIF (logical screen), WebP
+ * (VP8, VP8L and VP8X chunks) and BMP.
+ *
+ * @param {Uint8Array} bytes - Image bytes (at least the header)
+ * @param {string} format - Image MIME type, usually the detected format
+ * @returns {{width: number, height: number}|null} Dimensions, or null if unknown
+ *
+ * @example
+ * getImageDimensions(pngBytes, 'image/png'); // { width: 1, height: 1 }
+ */
+export function getImageDimensions(bytes, format) {
+  if (!bytes || bytes.length === 0) {
+    return null;
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  try {
+    switch (format) {
+      case 'image/png':
+        return readPngDimensions(view);
+      case 'image/jpeg':
+        return readJpegDimensions(view);
+      case 'image/gif':
+        return readGifDimensions(view);
+      case 'image/webp':
+        return readWebpDimensions(view);
+      case 'image/bmp':
+        return readBmpDimensions(view);
+      default:
+        return null;
+    }
+  } catch {
+    // Truncated header
+    return null;
+  }
+}
+
+/**
+ * Computes how much an embedded bitmap is scaled when rendered
+ *
+ * Takes preserveAspectRatio into account: with the default 'meet' the image
+ * is fitted inside its box, with 'slice' it covers it, and with 'none' each
+ * axis is stretched independently (the smaller factor is reported).
+ *
+ * @param {{width: number, height: number}} intrinsic - Pixel dimensions
+ * @param {Object} placement - Placement from the extractor
+ * @param {number|null} placement.renderedWidth - Box width in user units, after transforms
+ * @param {number|null} placement.renderedHeight - Box height in user units, after transforms
+ * @param {string|null} [placement.preserveAspectRatio] - preserveAspectRatio attribute
+ * @returns {number|null} Rendered size / intrinsic size (below 1 = downscaled), or null if unknown
+ *
+ * @example
+ * computeRenderScale({ width: 200, height: 100 }, { renderedWidth: 100, renderedHeight: 100 }); // 0.5
+ */
+export function computeRenderScale(intrinsic, placement) {
+  if (!intrinsic || !placement || !intrinsic.width || !intrinsic.height) {
+    return null;
+  }
+
+  const { renderedWidth, renderedHeight } = placement;
+  if (typeof renderedWidth !== 'number' || typeof renderedHeight !== 'number') {
+    return null;
+  }
+
+  const scaleX = renderedWidth / intrinsic.width;
+  const scaleY = renderedHeight / intrinsic.height;
+  const aspect = (placement.preserveAspectRatio || '').trim();
+
+  if (aspect.startsWith('none')) {
+    return Math.min(scaleX, scaleY);
+  }
+  return aspect.endsWith('slice') ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+}
+
+/**
+ * @param {DataView} view - PNG bytes
+ * @returns {{width: number, height: number}|null}
+ */
+function readPngDimensions(view) {
+  // Signature (8) + IHDR length (4) + 'IHDR' (4), then width and height
+  if (view.getUint32(12) !== 0x49484452) {
+    return null;
+  }
+  return { width: view.getUint32(16), height: view.getUint32(20) };
+}
+
+/**
+ * @param {DataView} view - JPEG bytes
+ * @returns {{width: number, height: number}|null}
+ */
+function readJpegDimensions(view) {
+  let offset = 2;
+
+  while (offset + 4 <= view.byteLength) {
+    if (view.getUint8(offset) !== 0xff) {
+      return null;
+    }
+    const marker = view.getUint8(offset + 1);
+
+    // Fill bytes and markers without a length
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+    }
+
+    offset += 2 + view.getUint16(offset + 2);
+  }
+
+  return null;
+}
+
+/**
+ * @param {DataView} view - GIF bytes
+ * @returns {{width: number, height: number}}
+ */
+function readGifDimensions(view) {
+  return { width: view.getUint16(6, true), height: view.getUint16(8, true) };
+}
+
+/**
+ * @param {DataView} view - WebP bytes
+ * @returns {{width: number, height: number}|null}
+ */
+function readWebpDimensions(view) {
+  const chunk = String.fromCharCode(
+    view.getUint8(12), view.getUint8(13), view.getUint8(14), view.getUint8(15)
+  );
+
+  if (chunk === 'VP8 ') {
+    // Frame tag (3) + start code (3), then 14-bit width and height
+    return {
+      width: view.getUint16(26, true) & 0x3fff,
+      height: view.getUint16(28, true) & 0x3fff
+    };
+  }
+
+  if (chunk === 'VP8L') {
+    // Signature byte, then 14-bit width-1 and height-1
+    const bits = view.getUint32(21, true);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+
+  if (chunk === 'VP8X') {
+    // 24-bit canvas width-1 and height-1
+    const width = view.getUint8(24) | (view.getUint8(25) << 8) | (view.getUint8(26) << 16);
+    const height = view.getUint8(27) | (view.getUint8(28) << 8) | (view.getUint8(29) << 16);
+    return { width: width + 1, height: height + 1 };
+  }
+
+  return null;
+}
+
+/**
+ * @param {DataView} view - BMP bytes
+ * @returns {{width: number, height: number}}
+ */
+function readBmpDimensions(view) {
+  // BITMAPINFOHEADER; a negative height means a top-down bitmap
+  return { width: Math.abs(view.getInt32(18, true)), height: Math.abs(view.getInt32(22, true)) };
+}
@@ -3,15 +3,20 @@
  * @module lib/imageDownloader
  */
 
+import { decodeDataUrl } from './dataUrl.js';
+import { convertImage, needsConversion } from './imageConverter.js';
+import { buildFilename } from './filenameTemplate.js';
+
 /**
  * Downloads a single image
  *
- * Creates a temporary download link and triggers browser download.
- * Automatically determines filename from image format if not provided.
+ * Decodes the data URL (base64 or percent-encoded) into a Blob and triggers
+ * a browser download. Without a filename, the default template (see
+ * buildFilename) names it image-{number}.{extension}.
  *
  * @param {Object} image - Extracted image object
  * @param {string} image.dataUrl - Data URL of the image
- * @param {string} image.format - Image MIME type
+ * @param {string} image.format - Image MIME type (the detected format for extracted images)
  * @param {number} image.index - Image index
  * @param {string} [customFilename] - Optional custom filename
  *
@@ -20,27 +25,46 @@
  * downloadSingleImage(extractedImage, 'my-custom-name.png');
  */
 export function downloadSingleImage(image, customFilename = null) {
-  // Determine filename
-  let filename;
-  if (customFilename) {
-    filename = customFilename;
-  } else {
-    // Extract extension from format (e.g., 'image/png' -> 'png')
-    const ext = image.format.split('/')[1] || 'png';
-    filename = `image-${image.index + 1}.${ext}`;
+  const filename = customFilename || buildFilename(image);
+
+  let bytes;
+  try {
+    bytes = decodeDataUrl(image.dataUrl);
+  } catch (error) {
+    console.warn('Could not decode image data, downloading data URL directly:', error.message);
+    downloadUrl(image.dataUrl, filename);
+    return;
   }
 
-  // Create download link
-  const link = document.createElement('a');
-  link.href = image.dataUrl;
-  link.download = filename;
+  downloadBlob(new Blob([bytes], { type: image.format }), filename);
+}
 
-  // Trigger download
-  document.body.appendChild(link);
-  link.click();
+/**
+ * Downloads a single image, converted to another format
+ *
+ * Images already in the target format (or with format 'original') are
+ * downloaded as downloadSingleImage() does. The filename is built from a
+ * template (see buildFilename) with the extension of the output format.
+ *
+ * @param {Object} image - Extracted image object
+ * @param {import('./imageConverter.js').ConversionOptions} [options={}] - Conversion options
+ * @param {import('./filenameTemplate.js').FilenameOptions} [filenameOptions={}] - Filename
+ *   template and values
+ * @returns {Promise<void>}
+ * @throws {Error} If the image cannot be converted
+ *
+ * @example
+ * await downloadConvertedImage(extractedImage, { format: 'image/jpeg', quality: 0.8 });
+ * await downloadConvertedImage(extractedImage, {}, { template: '{source}-{id}' });
+ */
+export async function downloadConvertedImage(image, options = {}, filenameOptions = {}) {
+  if (!needsConversion(image, options)) {
+    downloadSingleImage(image, buildFilename(image, filenameOptions));
+    return;
+  }
 
-  // Cleanup
-  document.body.removeChild(link);
+  const { blob, format } = await convertImage(image, options);
+  downloadBlob(blob, buildFilename(image, { ...filenameOptions, format }));
 }
 
 /**
@@ -56,6 +80,17 @@ export function downloadSingleImage(image, customFilename = null) {
  */
 export function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
+  downloadUrl(url, filename);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Triggers a download of a URL through a temporary link
+ *
+ * @param {string} url - URL to download (object URL or data URL)
+ * @param {string} filename - Filename for download
+ */
+function downloadUrl(url, filename) {
   const link = document.createElement('a');
   link.href = url;
   link.download = filename;
@@ -65,5 +100,4 @@ export function downloadBlob(blob, filename) {
 
   // Cleanup
   document.body.removeChild(link);
-  URL.revokeObjectURL(url);
 }
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Byte-level statistics for extracted images: digests and file weight
+ * @module lib/imageStats
+ */
+
+import { decodeDataUrl } from './dataUrl.js';
+
+/**
+ * @typedef {Object} ImageWeightSummary
+ * @property {number} imageCount - Number of images counted (nested and linked images excluded)
+ * @property {number} imageBytes - Total decoded size of the images
+ * @property {number} encodedBytes - Bytes the images' data URLs take up in the SVG
+ * @property {number} svgBytes - Size of the whole SVG file (UTF-8)
+ * @property {number} share - encodedBytes / svgBytes, between 0 and 1
+ */
+
+/**
+ * Checks if SHA-256 digests can be computed
+ *
+ * SubtleCrypto is only available in secure contexts (HTTPS or localhost).
+ *
+ * @returns {boolean} True if crypto.subtle.digest is available
+ *
+ * @example
+ * if (isDigestSupported()) {
+ *   await hashImages(images);
+ * }
+ */
+export function isDigestSupported() {
+  return typeof crypto !== 'undefined' && typeof crypto.subtle?.digest === 'function';
+}
+
+/**
+ * Computes the SHA-256 digest of some bytes
+ *
+ * @param {Uint8Array} bytes - Bytes to hash
+ * @returns {Promise<string>} Lowercase hex digest
+ * @throws {Error} If SubtleCrypto is not available
+ *
+ * @example
+ * await computeSha256(new TextEncoder().encode('abc'));
+ * // 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+ */
+export async function computeSha256(bytes) {
+  if (!isDigestSupported()) {
+    throw new Error('SHA-256 digests require SubtleCrypto (a secure context)');
+  }
+
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Adds a SHA-256 digest of the decoded payload to each image
+ *
+ * Sets `hash` on every image: the hex digest, or null if the payload cannot
+ * be decoded or SubtleCrypto is unavailable. Images are updated in place.
+ *
+ * @param {Array<Object>} images - Extracted images
+ * @returns {Promise<Array<Object>>} The same images, with `hash` set
+ *
+ * @example
+ * await hashImages(images);
+ * console.log(images[0].hash); // 'e3b0c442...'
+ */
+export async function hashImages(images) {
+  const supported = isDigestSupported();
+
+  // One at a time, so only one decoded payload is held in memory
+  for (const image of images) {
+    image.hash = null;
+    if (!supported) {
+      continue;
+    }
+    try {
+      image.hash = await computeSha256(decodeDataUrl(image.dataUrl));
+    } catch (error) {
+      console.warn(`Could not hash image at index ${image.index}:`, error.message);
+    }
+  }
+
+  return images;
+}
+
+/**
+ * Summarizes how much of an SVG file's weight is embedded images
+ *
+ * Images nested inside embedded SVGs are skipped, since their bytes are
+ * already part of the enclosing SVG's data URL, and so are fetched linked
+ * images, which are not part of the file at all.
+ *
+ * @param {Array<Object>} images - Extracted images
+ * @param {string} svgContent - The SVG markup the images came from
+ * @returns {ImageWeightSummary} Totals
+ *
+ * @example
+ * const { share } = summarizeImageWeight(images, svgContent);
+ * console.log(`${Math.round(share * 100)}% of the file is images`);
+ */
+export function summarizeImageWeight(images, svgContent) {
+  const encoder = new TextEncoder();
+  const topLevel = images.filter(image => !image.depth && !image.linkedUrl);
+
+  const imageBytes = topLevel.reduce((total, image) => total + (image.size || 0), 0);
+  const encodedBytes = topLevel.reduce((total, image) => total + encoder.encode(image.dataUrl).length, 0);
+  const svgBytes = encoder.encode(svgContent || '').length;
+
+  return {
+    imageCount: topLevel.length,
+    imageBytes,
+    encodedBytes,
+    svgBytes,
+    share: svgBytes > 0 ? Math.min(encodedBytes / svgBytes, 1) : 0
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Public API of the svg-image-extractor package
+ * @module lib
+ *
+ * Works in browsers and in Node. Outside browsers, set an XML parser first
+ * (see setXmlParser) and ask generateZip for bytes instead of a Blob; image
+ * bytes come from decodeDataUrl(image.dataUrl). convertImage and
+ * optimizeSvg need a canvas (OffscreenCanvas or the DOM) and are
+ * browser-only.
+ *
+ * @example
+ * import { readFile, writeFile } from 'node:fs/promises';
+ * import { DOMParser, XMLSerializer } from '@xmldom/xmldom';
+ * import { setXmlParser, extractImages, generateZip, decodeDataUrl } from 'svg-image-extractor';
+ *
+ * setXmlParser({ DOMParser, XMLSerializer });
+ * const images = extractImages(await readFile('logo.svg', 'utf8'));
+ * await writeFile('first.png', decodeDataUrl(images[0].dataUrl));
+ * await writeFile('images.zip', await generateZip(images, null, { type: 'uint8array' }));
+ */
+
+export { setXmlParser } from './xmlParser.js';
+
+// Extraction
+export {
+  extractImages,
+  extractAllImages,
+  countImages,
+  IMAGE_SOURCES,
+  DEFAULT_MAX_DEPTH
+} from './svgExtractor.js';
+export { scanSvgStream, createDataUrlScanner } from './streamingScanner.js';
+export { processSvgSources, FILE_STATUS } from './batchProcessor.js';
+export { isHtmlDocument, findPageSvgSources, extractFromHtmlPage, PAGE_SOURCES } from './htmlPageScanner.js';
+export { gunzip, isGzip } from './archiveReader.js';
+
+// Fetching
+export { fetchSvgFromUrl, fetchDocumentFromUrl, fetchImageFromUrl } from './urlFetcher.js';
+export { fetchLinkedImages } from './linkedImages.js';
+export { buildProxyUrl } from './corsProxy.js';
+
+// Image data
+export { parseDataUrl, decodeDataUrl, encodeDataUrl } from './dataUrl.js';
+export { detectImageFormat, getExtensionForFormat, normalizeMimeType } from './formatDetector.js';
+export { getImageDimensions } from './imageDimensions.js';
+export { hashImages, computeSha256, summarizeImageWeight } from './imageStats.js';
+export { groupDuplicateImages } from './imageDeduplicator.js';
+export { convertImage, computeTargetSize, OUTPUT_FORMATS, RESIZE_MODES } from './imageConverter.js';
+
+// Export
+export { generateZip, generateFilename, IMAGE_MAP_FILENAME } from './zipGenerator.js';
+export {
+  buildFilename,
+  buildZipFilename,
+  sanitizeFilename,
+  createUniqueNamer,
+  DEFAULT_FILENAME_TEMPLATE,
+  DEFAULT_ZIP_TEMPLATE
+} from './filenameTemplate.js';
+export {
+  createManifestEntry,
+  serializeManifestJson,
+  serializeManifestCsv,
+  MANIFEST_FIELDS
+} from './zipManifest.js';
+
+// SVG rewriting
+export { externalizeImages, DEFAULT_IMAGE_FOLDER } from './svgExternalizer.js';
+export { replaceEmbeddedImage, inlineLinkedImages } from './svgImageEditor.js';
+export { optimizeSvg, AUTO_FORMAT, OPTIMIZE_STATUS } from './svgOptimizer.js';
+
+// Validation and errors
+export { isValidSvg, isValidUrl } from './validators.js';
+export { ValidationError, FetchError, ParseError } from './errorHandler.js';
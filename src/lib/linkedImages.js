@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Downloading of images linked from an SVG by URL
+ * @module lib/linkedImages
+ */
+
+import { fetchImageFromUrl } from './urlFetcher.js';
+import { FetchError } from './errorHandler.js';
+import { encodeDataUrl } from './dataUrl.js';
+import { detectImageFormat, isFormatMismatch, normalizeMimeType, DETECTION_HEAD_SIZE } from './formatDetector.js';
+import { getImageDimensions } from './imageDimensions.js';
+import { ERROR_MESSAGES } from '../constants/messages.js';
+
+/**
+ * @typedef {Object} LinkedImageFailure
+ * @property {import('./svgExtractor.js').LinkedImage} linkedImage - Image that could not be fetched
+ * @property {Error} error - Reason
+ */
+
+/**
+ * @typedef {Object} FetchLinkedImagesResult
+ * @property {import('./svgExtractor.js').ExtractedImage[]} images - Fetched images,
+ *   in the same shape as embedded images
+ * @property {LinkedImageFailure[]} failures - Images that could not be fetched
+ */
+
+/**
+ * Fetches linked images so they can be previewed, hashed and zipped like
+ * embedded ones
+ *
+ * Images are fetched one at a time through fetchImageFromUrl(), with its
+ * timeout and retry handling. Each fetched image gets a data URL, detected
+ * format, size and dimensions, and keeps the location details of its
+ * reference. Images without a resolved URL, and responses that are not
+ * images, are reported as failures.
+ *
+ * @param {import('./svgExtractor.js').LinkedImage[]} linkedImages - From extractAllImages()
+ * @param {Object} [options={}] - Fetch options
+ * @param {number} [options.timeout=30000] - Timeout per request in milliseconds
+ * @param {number} [options.retries=0] - Retry attempts per request
+ * @param {number} [options.startIndex=0] - `index` of the first fetched image,
+ *   usually the number of embedded images
+ * @param {Function} [progressCallback] - Called with percent complete (0-100)
+ * @returns {Promise<FetchLinkedImagesResult>} Fetched images and failures
+ *
+ * @example
+ * const { images, linkedImages } = extractAllImages(svg, { baseUrl });
+ * const fetched = await fetchLinkedImages(linkedImages, { startIndex: images.length });
+ * const zip = await generateZip([...images, ...fetched.images]);
+ */
+export async function fetchLinkedImages(linkedImages, options = {}, progressCallback = null) {
+  const { startIndex = 0, ...fetchOptions } = options;
+  const images = [];
+  const failures = [];
+
+  for (let i = 0; i < linkedImages.length; i++) {
+    const linkedImage = linkedImages[i];
+
+    try {
+      if (!linkedImage.url) {
+        throw new FetchError(ERROR_MESSAGES.UNRESOLVED_LINKED_IMAGE, linkedImage.href);
+      }
+      const { bytes, mimeType } = await fetchImageFromUrl(linkedImage.url, fetchOptions);
+      images.push(createFetchedImage(linkedImage, bytes, mimeType, startIndex + images.length));
+    } catch (error) {
+      failures.push({ linkedImage, error });
+    }
+
+    if (progressCallback) {
+      progressCallback(Math.round(((i + 1) / linkedImages.length) * 100));
+    }
+  }
+
+  return { images, failures };
+}
+
+/**
+ * Builds an extracted image from downloaded bytes
+ *
+ * @param {import('./svgExtractor.js').LinkedImage} linkedImage - Reference the bytes came from
+ * @param {Uint8Array} bytes - Response body
+ * @param {string|null} mimeType - Response Content-Type
+ * @param {number} index - Position in the combined image list
+ * @returns {import('./svgExtractor.js').ExtractedImage} Image
+ * @throws {FetchError} If the response is not an image
+ */
+function createFetchedImage(linkedImage, bytes, mimeType, index) {
+  const detectedFormat = detectImageFormat(bytes.subarray(0, DETECTION_HEAD_SIZE));
+  const declaredFormat = mimeType && mimeType.startsWith('image/') ? normalizeMimeType(mimeType) : null;
+  const format = detectedFormat || declaredFormat;
+
+  if (!format) {
+    throw new FetchError(ERROR_MESSAGES.NOT_AN_IMAGE, linkedImage.url);
+  }
+
+  const dimensions = getImageDimensions(bytes, format);
+
+  return {
+    dataUrl: encodeDataUrl(bytes, format),
+    format,
+    declaredFormat: declaredFormat || format,
+    detectedFormat,
+    formatMismatch: Boolean(declaredFormat) && isFormatMismatch(declaredFormat, detectedFormat),
+    index,
+    size: bytes.length,
+    id: linkedImage.id,
+    source: linkedImage.source,
+    htmlElement: linkedImage.htmlElement,
+    elementId: linkedImage.elementId,
+    elementPath: linkedImage.elementPath,
+    path: `link[${linkedImage.index}]`,
+    depth: linkedImage.depth,
+    parentId: linkedImage.parentId,
+    width: dimensions ? dimensions.width : null,
+    height: dimensions ? dimensions.height : null,
+    placement: linkedImage.placement,
+    consumers: linkedImage.consumers,
+    rendered: linkedImage.rendered,
+    linkedUrl: linkedImage.url,
+    ...(linkedImage.sourceFile ? { sourceFile: linkedImage.sourceFile } : {})
+  };
+}
@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Web Worker running the streaming scanner off the main thread
+ *
+ * Messages in: `{ type: 'scan', file }`. The page cancels a scan by
+ * terminating the worker.
+ * Messages out: `{ type: 'progress', percent }`, `{ type: 'image', image }`
+ * for each image found, then `{ type: 'done' }` or
+ * `{ type: 'error', name, message }`.
+ *
+ * @module lib/scanWorker
+ */
+
+import { scanSvgFile } from './streamingScanner.js';
+
+self.onmessage = async ({ data }) => {
+  if (data.type !== 'scan') {
+    return;
+  }
+
+  try {
+    // Images are posted as they are found rather than collected here
+    await scanSvgFile(data.file, {
+      onImage: image => self.postMessage({ type: 'image', image }),
+      onProgress: percent => self.postMessage({ type: 'progress', percent })
+    });
+    self.postMessage({ type: 'done' });
+  } catch (error) {
+    self.postMessage({ type: 'error', name: error.name, message: error.message });
+  }
+};
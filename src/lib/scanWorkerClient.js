@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Runs the streaming scanner in a Web Worker
+ * @module lib/scanWorkerClient
+ */
+
+import { scanSvgFile } from './streamingScanner.js';
+
+/**
+ * Scans a large SVG file for embedded images in a Web Worker, so the page
+ * stays responsive
+ *
+ * Falls back to scanning on the current thread where workers are not
+ * available (e.g. tests and server-side use). Aborting the signal stops
+ * the worker right away.
+ *
+ * @param {File} file - SVG or SVGZ file
+ * @param {import('./streamingScanner.js').StreamScanOptions} [options={}] - Scan options
+ * @returns {Promise<import('./svgExtractor.js').ExtractedImage[]>} Images in document order
+ * @throws {DOMException} AbortError when cancelled through the signal
+ * @throws {Error} If the file cannot be read
+ *
+ * @example
+ * const controller = new AbortController();
+ * cancelButton.onclick = () => controller.abort();
+ * const images = await scanSvgFileInWorker(file, {
+ *   signal: controller.signal,
+ *   onImage: image => console.log(`Found ${image.format}`),
+ *   onProgress: percent => console.log(`${percent}%`)
+ * });
+ */
+export function scanSvgFileInWorker(file, options = {}) {
+  if (typeof Worker === 'undefined') {
+    return scanSvgFile(file, options);
+  }
+
+  const { signal = null, onImage = null, onProgress = null } = options;
+
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new DOMException('Scan cancelled', 'AbortError'));
+      return;
+    }
+
+    const worker = new Worker(new URL('./scanWorker.js', import.meta.url), { type: 'module' });
+    const images = [];
+
+    const finish = (error) => {
+      worker.terminate();
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      if (error) {
+        reject(error);
+      } else {
+        resolve(images);
+      }
+    };
+
+    const onAbort = () => finish(new DOMException('Scan cancelled', 'AbortError'));
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'image') {
+        images.push(data.image);
+        if (onImage) {
+          onImage(data.image);
+        }
+      } else if (data.type === 'progress') {
+        if (onProgress) {
+          onProgress(data.percent);
+        }
+      } else if (data.type === 'done') {
+        finish(null);
+      } else if (data.type === 'error') {
+        const error = data.name === 'AbortError'
+          ? new DOMException(data.message, 'AbortError')
+          : new Error(data.message);
+        finish(error);
+      }
+    };
+
+    worker.onerror = (event) => {
+      event.preventDefault();
+      finish(new Error(`Scan worker failed: ${event.message || 'unknown error'}`));
+    };
+
+    worker.postMessage({ type: 'scan', file });
+  });
+}
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Parser for HTML srcset attributes
+ * @module lib/srcsetParser
+ */
+
+/**
+ * @typedef {Object} SrcsetCandidate
+ * @property {string} url - Candidate URL
+ * @property {string|null} descriptor - Width or density descriptor (e.g. '2x', '640w')
+ */
+
+/**
+ * Parses a srcset attribute into image candidates
+ *
+ * Follows the HTML algorithm: a URL runs until whitespace, so commas inside
+ * data URLs (data:image/png;base64,...) do not split candidates.
+ *
+ * @param {string} srcset - srcset attribute value
+ * @returns {SrcsetCandidate[]} Candidates in attribute order
+ *
+ * @example
+ * parseSrcset('data:image/png;base64,AAA 1x, big.png 2x');
+ * // [{ url: 'data:image/png;base64,AAA', descriptor: '1x' }, { url: 'big.png', descriptor: '2x' }]
+ */
+export function parseSrcset(srcset) {
+  const candidates = [];
+  if (!srcset) {
+    return candidates;
+  }
+
+  let i = 0;
+  const length = srcset.length;
+
+  while (i < length) {
+    // Skip whitespace and separating commas
+    while (i < length && /[\s,]/.test(srcset[i])) {
+      i++;
+    }
+    if (i >= length) {
+      break;
+    }
+
+    // URL: everything up to the next whitespace
+    const urlStart = i;
+    while (i < length && !/\s/.test(srcset[i])) {
+      i++;
+    }
+    let url = srcset.slice(urlStart, i);
+
+    // A URL ending in commas has no descriptors
+    if (url.endsWith(',')) {
+      url = url.replace(/,+$/, '');
+      candidates.push({ url, descriptor: null });
+      continue;
+    }
+
+    // Descriptors: up to the next comma outside parentheses
+    const descriptorStart = i;
+    let depth = 0;
+    while (i < length && (srcset[i] !== ',' || depth > 0)) {
+      if (srcset[i] === '(') {
+        depth++;
+      } else if (srcset[i] === ')') {
+        depth = Math.max(0, depth - 1);
+      }
+      i++;
+    }
+    const descriptor = srcset.slice(descriptorStart, i).trim();
+    candidates.push({ url, descriptor: descriptor || null });
+  }
+
+  return candidates.filter(candidate => candidate.url);
+}
@@ -0,0 +1,368 @@
+/**
+ * @fileoverview Streaming scanner that finds embedded images in very large
+ * SVGs without building a DOM
+ * @module lib/streamingScanner
+ */
+
+import { IMAGE_SOURCES, describeImageData } from './svgExtractor.js';
+import { parseDataUrl } from './dataUrl.js';
+import { isGzip } from './archiveReader.js';
+import { DEFAULT_MAX_FILE_SIZE } from './validators.js';
+
+/**
+ * Files larger than this are streamed rather than parsed into a DOM
+ * @type {number}
+ */
+export const DEFAULT_STREAMING_THRESHOLD = DEFAULT_MAX_FILE_SIZE;
+
+/**
+ * Characters of preceding markup kept to describe where a data URL sits
+ * (element name, attribute, id)
+ * @type {number}
+ */
+const LOOKBACK_SIZE = 1024;
+
+/**
+ * HTML elements that carry images inside <foreignObject>
+ * @type {Set<string>}
+ */
+const HTML_IMAGE_ELEMENTS = new Set(['img', 'source', 'video', 'object']);
+
+/**
+ * @typedef {Object} DataUrlReference
+ * @property {string} url - Data URL, with XML character references decoded
+ * @property {number} offset - Character offset of the URL in the document
+ * @property {string} source - Where the URL was found (see IMAGE_SOURCES)
+ * @property {string|null} htmlElement - HTML element type for <foreignObject> content
+ * @property {string|null} elementId - id attribute of the element, when it
+ *   precedes the URL in the tag
+ */
+
+/**
+ * @typedef {Object} StreamScanOptions
+ * @property {AbortSignal} [signal] - Cancels the scan
+ * @property {function(import('./svgExtractor.js').ExtractedImage): void} [onImage] - Called
+ *   as each image is found
+ * @property {function(number): void} [onProgress] - Called with percent read (0-100)
+ */
+
+/**
+ * Creates an incremental scanner for data URLs in SVG markup
+ *
+ * Text is pushed in chunks of any size; data URLs in attribute values and
+ * CSS url() are reported as soon as their closing quote or parenthesis is
+ * seen, even when they span many chunks. Only the URL being read and a
+ * short window of preceding markup are kept in memory.
+ *
+ * @param {function(DataUrlReference): void} onReference - Called for each data URL
+ * @returns {{push: function(string): void, end: function(): void}} Scanner
+ *
+ * @example
+ * const scanner = createDataUrlScanner(reference => console.log(reference.url.slice(0, 30)));
+ * scanner.push('<svg><image href="data:image/png;base64,iVBO');
+ * scanner.push('Rw0KGgo="/></svg>');
+ * scanner.end();
+ */
+export function createDataUrlScanner(onReference) {
+  let buffer = '';
+  let bufferOffset = 0;
+  let scanFrom = 0;
+  let capture = null;
+
+  const emit = () => {
+    const url = decodeCharacterReferences(capture.parts.join('').trim());
+    onReference({ ...capture.reference, url });
+    capture = null;
+  };
+
+  const scan = () => {
+    for (;;) {
+      if (capture) {
+        const end = buffer.indexOf(capture.terminator, scanFrom);
+        if (end === -1) {
+          capture.parts.push(buffer.slice(scanFrom));
+          bufferOffset += buffer.length;
+          buffer = '';
+          scanFrom = 0;
+          return;
+        }
+        capture.parts.push(buffer.slice(scanFrom, end));
+        emit();
+        scanFrom = end + 1;
+        continue;
+      }
+
+      const start = findDataUrl(buffer, scanFrom);
+      if (start === -1) {
+        // Keep enough to match a "data:" split across chunks, and the context window
+        const keep = Math.min(buffer.length, LOOKBACK_SIZE);
+        bufferOffset += buffer.length - keep;
+        buffer = buffer.slice(buffer.length - keep);
+        scanFrom = Math.max(0, keep - 4);
+        return;
+      }
+
+      const context = describeContext(buffer.slice(Math.max(0, start - LOOKBACK_SIZE), start));
+      if (!context) {
+        scanFrom = start + 5;
+        continue;
+      }
+
+      capture = {
+        terminator: context.terminator,
+        parts: [],
+        reference: {
+          offset: bufferOffset + start,
+          source: context.source,
+          htmlElement: context.htmlElement,
+          elementId: context.elementId
+        }
+      };
+      scanFrom = start;
+    }
+  };
+
+  return {
+    push(text) {
+      buffer += text;
+      scan();
+    },
+    end() {
+      // A data URL still open at the end of the document is truncated: drop it
+      capture = null;
+      buffer = '';
+    }
+  };
+}
+
+/**
+ * Finds the embedded images in a stream of SVG bytes
+ *
+ * Images are described like extractAllImages() does (format detection,
+ * size, dimensions), except for what needs a DOM: element paths, placement
+ * and consumers are not known, and embedded SVGs are not searched.
+ * Linked (non-data) URLs are not reported.
+ *
+ * @param {ReadableStream<Uint8Array>} stream - UTF-8 SVG markup
+ * @param {StreamScanOptions & {onChunk?: function(): void}} [options={}] - Scan options;
+ *   onChunk is called after each chunk is scanned
+ * @returns {Promise<import('./svgExtractor.js').ExtractedImage[]>} Images in document order
+ * @throws {DOMException} AbortError when cancelled through the signal
+ *
+ * @example
+ * const images = await scanSvgStream(file.stream(), {
+ *   onImage: image => console.log(`Found ${image.format}`)
+ * });
+ */
+export async function scanSvgStream(stream, options = {}) {
+  const { signal = null, onImage = null, onChunk = null } = options;
+  const timestamp = Date.now();
+  const images = [];
+  const decoder = new TextDecoder('utf-8');
+
+  const scanner = createDataUrlScanner((reference) => {
+    const image = createStreamedImage(reference, images.length, timestamp);
+    if (image) {
+      images.push(image);
+      if (onImage) {
+        onImage(image);
+      }
+    }
+  });
+
+  const reader = stream.getReader();
+  try {
+    for (;;) {
+      throwIfAborted(signal);
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      scanner.push(decoder.decode(value, { stream: true }));
+      if (onChunk) {
+        onChunk();
+      }
+    }
+    scanner.push(decoder.decode());
+    scanner.end();
+  } catch (error) {
+    await reader.cancel().catch(() => {});
+    throw error;
+  }
+
+  return images;
+}
+
+/**
+ * Streams a file (plain or gzip-compressed SVG) through scanSvgStream(),
+ * reporting read progress
+ *
+ * @param {Blob} file - SVG or SVGZ file
+ * @param {StreamScanOptions} [options={}] - Scan options
+ * @returns {Promise<import('./svgExtractor.js').ExtractedImage[]>} Images in document order
+ * @throws {DOMException} AbortError when cancelled through the signal
+ *
+ * @example
+ * const controller = new AbortController();
+ * const images = await scanSvgFile(file, {
+ *   signal: controller.signal,
+ *   onProgress: percent => console.log(`${percent}%`)
+ * });
+ */
+export async function scanSvgFile(file, options = {}) {
+  const { onProgress = null, ...scanOptions } = options;
+  const head = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+
+  let bytesRead = 0;
+  let lastPercent = -1;
+  let stream = file.stream().pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      bytesRead += chunk.length;
+      controller.enqueue(chunk);
+    }
+  }));
+
+  if (isGzip(head)) {
+    stream = stream.pipeThrough(new DecompressionStream('gzip'));
+  }
+
+  return scanSvgStream(stream, {
+    ...scanOptions,
+    onChunk: () => {
+      const percent = file.size > 0 ? Math.min(100, Math.round((bytesRead / file.size) * 100)) : 100;
+      if (onProgress && percent !== lastPercent) {
+        lastPercent = percent;
+        onProgress(percent);
+      }
+    }
+  });
+}
+
+/**
+ * Finds the next "data:" (any case) at or after an index
+ *
+ * @param {string} text - Text to search
+ * @param {number} from - Start index
+ * @returns {number} Index, or -1
+ */
+function findDataUrl(text, from) {
+  const pattern = /data:/gi;
+  pattern.lastIndex = from;
+  const match = pattern.exec(text);
+  return match ? match.index : -1;
+}
+
+/**
+ * Works out how a data URL is delimited and where it sits, from the
+ * markup just before it
+ *
+ * @param {string} before - Markup preceding the URL
+ * @returns {{terminator: string, source: string, htmlElement: string|null, elementId: string|null}|null}
+ *   Context, or null when the URL is not an attribute value or url() argument
+ */
+function describeContext(before) {
+  const quote = before.match(/(["'])\s*$/);
+  const cssUrl = /url\(\s*(["']?)\s*$/i.exec(before);
+  if (!quote && !cssUrl) {
+    return null;
+  }
+
+  // A tag opened further back than the window is assumed to still be open
+  const tagStart = before.lastIndexOf('<');
+  const tagEnd = before.lastIndexOf('>');
+  const inTag = tagStart > tagEnd || (tagStart === -1 && tagEnd === -1);
+  const tag = inTag ? before.slice(tagStart) : '';
+  const tagName = inTag ? (tag.match(/^<([\w:.-]+)/) || [])[1] || null : null;
+  const localName = tagName ? tagName.split(':').pop().toLowerCase() : null;
+  const idMatch = tag.match(/\sid\s*=\s*(["'])([^"']*)\1/);
+
+  let source = IMAGE_SOURCES.IMAGE_ELEMENT;
+  let htmlElement = null;
+  if (cssUrl) {
+    source = inTag ? IMAGE_SOURCES.INLINE_STYLE : IMAGE_SOURCES.CSS_STYLE_BLOCK;
+  } else if (localName && HTML_IMAGE_ELEMENTS.has(localName)) {
+    source = IMAGE_SOURCES.FOREIGN_OBJECT;
+    htmlElement = localName;
+  } else if (!inTag) {
+    return null;
+  }
+
+  return {
+    terminator: cssUrl ? (cssUrl[1] || ')') : quote[1],
+    source,
+    htmlElement,
+    elementId: idMatch ? idMatch[2] : null
+  };
+}
+
+/**
+ * Decodes the XML character references that may appear in attribute values
+ *
+ * @param {string} value - Raw attribute text
+ * @returns {string} Decoded text
+ */
+function decodeCharacterReferences(value) {
+  if (!value.includes('&')) {
+    return value;
+  }
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+  return value.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      // Out-of-range and surrogate code points are left as written, like the DOM path tolerates them
+      const valid = code <= 0x10ffff && (code < 0xd800 || code > 0xdfff);
+      return valid ? String.fromCodePoint(code) : match;
+    }
+    return named[entity.toLowerCase()];
+  });
+}
+
+/**
+ * Builds an extracted image from a data URL found by the scanner
+ *
+ * @param {DataUrlReference} reference - Data URL and its context
+ * @param {number} index - Position among found images
+ * @param {number} timestamp - Scan timestamp used in IDs
+ * @returns {import('./svgExtractor.js').ExtractedImage|null} Image, or null for
+ *   data URLs that are not images or cannot be read
+ */
+function createStreamedImage(reference, index, timestamp) {
+  const parsed = parseDataUrl(reference.url);
+  if (!parsed || !parsed.mimeType.startsWith('image/')) {
+    return null;
+  }
+
+  try {
+    const data = describeImageData(parsed);
+    return {
+      dataUrl: reference.url,
+      ...data,
+      index,
+      id: `img-${timestamp}-${index}`,
+      source: reference.source,
+      htmlElement: reference.htmlElement,
+      elementId: reference.elementId,
+      elementPath: null,
+      path: `image[${index}]`,
+      depth: 0,
+      parentId: null,
+      placement: null,
+      consumers: [],
+      rendered: null,
+      offset: reference.offset
+    };
+  } catch (error) {
+    console.warn(`Failed to process image at offset ${reference.offset}:`, error);
+    return null;
+  }
+}
+
+/**
+ * @param {AbortSignal|null} signal - Cancellation signal
+ * @throws {DOMException} AbortError if the signal is aborted
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw signal.reason instanceof Error ? signal.reason : new DOMException('Scan cancelled', 'AbortError');
+  }
+}
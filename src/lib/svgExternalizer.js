@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Rewrites SVGs so embedded images become separate files
+ * @module lib/svgExternalizer
+ */
+
+import { ParseError } from './errorHandler.js';
+import { isValidSvg } from './validators.js';
+import { parseDataUrl } from './dataUrl.js';
+import { findImageReferences, describeImageData } from './svgExtractor.js';
+import { buildFilename, createUniqueNamer, DEFAULT_FILENAME_TEMPLATE } from './filenameTemplate.js';
+import { rewriteReferences } from './svgImageEditor.js';
+import { parseXml, serializeXml } from './xmlParser.js';
+
+/**
+ * Default folder, relative to the SVG, that images are written to
+ * @type {string}
+ */
+export const DEFAULT_IMAGE_FOLDER = 'images';
+
+/**
+ * @typedef {Object} ExternalizedFile
+ * @property {string} path - Path relative to the SVG (percent-encoded where
+ *   needed in the SVG's links)
+ * @property {string} dataUrl - Data URL the file holds
+ * @property {string} format - Image MIME type (detected from the data when possible)
+ */
+
+/**
+ * @typedef {Object} ExternalizedSvg
+ * @property {string} name - SVG filename
+ * @property {string} svg - Rewritten SVG markup
+ * @property {ExternalizedFile[]} files - Image files the SVG now links to, one per
+ *   distinct data URL
+ */
+
+/**
+ * Replaces the embedded images of an SVG with relative links to image files
+ *
+ * Every data:image/ URL in <image> hrefs, CSS url() values (<style> blocks
+ * and style attributes) and <foreignObject> HTML (src, srcset, poster,
+ * data) is replaced by a path such as 'images/image-1.png'; the rest of
+ * the document is left as it is. Identical data URLs share one file.
+ * Images nested inside embedded SVG images are not rewritten.
+ *
+ * @param {string} svgContent - Raw SVG markup
+ * @param {Object} [options={}] - Rewrite options
+ * @param {string} [options.name='image.svg'] - Filename of the SVG
+ * @param {string} [options.folder=DEFAULT_IMAGE_FOLDER] - Folder of the image files,
+ *   relative to the SVG ('' for next to it)
+ * @param {string} [options.filenameTemplate=DEFAULT_FILENAME_TEMPLATE] - Image filename
+ *   template (see buildFilename)
+ * @returns {ExternalizedSvg} Rewritten SVG and its image files
+ * @throws {ParseError} If the SVG cannot be parsed
+ * @throws {Error} If the content is not SVG
+ *
+ * @example
+ * const { svg, files } = externalizeImages('<svg><image href="data:image/png;base64,iVBO..."/></svg>');
+ * // svg: '<svg><image href="images/image-1.png"/></svg>'
+ * // files: [{ path: 'images/image-1.png', dataUrl: 'data:image/png;base64,iVBO...', format: 'image/png' }]
+ */
+export function externalizeImages(svgContent, options = {}) {
+  const { name = 'image.svg', folder = DEFAULT_IMAGE_FOLDER, filenameTemplate = DEFAULT_FILENAME_TEMPLATE } = options;
+
+  const validation = isValidSvg(svgContent);
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+
+  const doc = parseXml(svgContent);
+  if (!doc) {
+    throw new ParseError('Failed to parse SVG content. The SVG may be malformed.');
+  }
+
+  const uniqueName = createUniqueNamer();
+  const pathsByUrl = new Map();
+  const files = [];
+  const date = new Date();
+
+  // Paths for each data URL, in document order
+  const replacements = [];
+  findImageReferences(doc.documentElement).forEach((reference) => {
+    const parsed = parseDataUrl(reference.url);
+    if (!parsed || !parsed.mimeType.startsWith('image/')) {
+      return;
+    }
+
+    if (!pathsByUrl.has(reference.url)) {
+      const { format, width, height } = describeImageData(parsed);
+      const filename = uniqueName(buildFilename({
+        index: files.length,
+        format,
+        width,
+        height,
+        elementId: reference.element.getAttribute('id'),
+        sourceFile: name
+      }, { template: filenameTemplate, date }));
+      const path = folder ? `${folder.replace(/\/+$/, '')}/${filename}` : filename;
+
+      pathsByUrl.set(reference.url, path);
+      files.push({ path, dataUrl: reference.url, format });
+    }
+
+    const href = pathsByUrl.get(reference.url).split('/').map(encodeURIComponent).join('/');
+    replacements.push({ reference, url: href });
+  });
+
+  rewriteReferences(replacements);
+
+  return { name, svg: serializeXml(doc), files };
+}
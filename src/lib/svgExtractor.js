@@ -4,26 +4,164 @@
  */
 
 import { ParseError } from './errorHandler.js';
+import { parseXml } from './xmlParser.js';
 import { isValidSvg } from './validators.js';
+import { parseCssUrls } from './cssUrlParser.js';
+import { parseSrcset } from './srcsetParser.js';
+import { parseDataUrl, decodeDataUrl, decodeDataUrlText, decodeDataUrlHead, getDataUrlByteLength } from './dataUrl.js';
+import { detectImageFormat, isFormatMismatch, DETECTION_HEAD_SIZE } from './formatDetector.js';
+import { getImageDimensions, DIMENSIONS_HEAD_SIZE } from './imageDimensions.js';
+import { parseTransform, multiplyMatrices, getMatrixScale, IDENTITY_MATRIX } from './svgTransform.js';
+import { buildReferenceGraph, findConsumers, describeElement, getElementPath } from './svgReferences.js';
+
+/**
+ * Where in the SVG document an embedded image was found
+ * @readonly
+ * @enum {string}
+ */
+export const IMAGE_SOURCES = {
+  IMAGE_ELEMENT: 'image-element',
+  CSS_STYLE_BLOCK: 'css-style-block',
+  INLINE_STYLE: 'inline-style',
+  FOREIGN_OBJECT: 'foreign-object'
+};
+
+/**
+ * HTML elements inside <foreignObject> that can carry an image URL, and the
+ * attributes holding it (srcset values are lists of candidates)
+ * @type {Object<string, string[]>}
+ */
+const HTML_IMAGE_ATTRIBUTES = {
+  img: ['src', 'srcset'],
+  source: ['srcset'],
+  video: ['poster'],
+  object: ['data']
+};
+
+/**
+ * CSS properties whose url() values are images; links from other
+ * properties (fonts, cursors, filters, @import) are not reported
+ * @type {RegExp}
+ */
+const IMAGE_CSS_PROPERTIES = /^(-webkit-)?(background(-image)?|border-image(-source)?|list-style(-image)?|mask(-image)?|mask-border(-source)?|content|shape-outside)$/;
+
+/**
+ * Default number of nested SVG levels followed in recursive mode
+ * @type {number}
+ */
+export const DEFAULT_MAX_DEPTH = 5;
 
 /**
  * @typedef {Object} ExtractedImage
- * @property {string} dataUrl - Complete data URL (data:image/png;base64,...)
- * @property {string} format - Image MIME type (e.g., 'image/png')
+ * @property {string} dataUrl - Complete data URL (data:image/png;base64,... or data:image/svg+xml,...)
+ * @property {string} format - Effective image MIME type: the detected format when
+ *   recognized, otherwise the declared one. Used for file extensions.
+ * @property {string} declaredFormat - MIME type from the data URL header
+ * @property {string|null} detectedFormat - MIME type detected from the payload's magic bytes
+ * @property {boolean} formatMismatch - True if the detected format contradicts the declared one
  * @property {number} index - Zero-based index of image
- * @property {number} size - Estimated size in bytes
+ * @property {number} size - Decoded size in bytes
  * @property {string} id - Unique identifier for this image
+ * @property {string} source - Where the image was found (see IMAGE_SOURCES)
+ * @property {string|null} htmlElement - HTML element type for images inside
+ *   <foreignObject> ('img', 'source', 'video' or 'object'), otherwise null
+ * @property {string} path - Nesting path, e.g. 'image[2] > image[0]' for the first
+ *   image inside the third image (an embedded SVG) of the document
+ * @property {number} depth - Nesting depth, 0 for images in the document itself
+ * @property {string|null} parentId - ID of the embedded SVG containing this image
+ * @property {number|null} width - Intrinsic pixel width from the image header
+ * @property {number|null} height - Intrinsic pixel height from the image header
+ * @property {ImagePlacement|null} placement - Geometry of the <image> element
+ *   (null for images referenced from CSS or HTML content)
+ * @property {string|null} elementId - id attribute of the element referencing the image
+ * @property {string|null} elementPath - XPath-like location of that element within its
+ *   document, e.g. '/svg/g[2]/image[1]'; null for images found by the streaming
+ *   scanner, which builds no DOM
+ * @property {import('./svgReferences.js').ElementDescriptor[]} consumers - Rendered elements
+ *   that draw the image: the <image> itself, or the <use>, fill="url(#...)" etc.
+ *   reaching it through <defs>, <symbol>, <pattern>...
+ * @property {boolean|null} rendered - False if the image is defined but never
+ *   rendered; null when unknown (images in <style> blocks)
+ * @property {string|null} [hash] - SHA-256 of the decoded payload, set by hashImages()
+ * @property {string} [linkedUrl] - URL the image was fetched from, for linked
+ *   images downloaded with fetchLinkedImages()
+ * @property {string} [sourceFile] - Name of the SVG file the image came from,
+ *   set by processSvgFiles()
+ * @property {number} [offset] - Character offset of the data URL in the document,
+ *   for images found by the streaming scanner
+ */
+
+/**
+ * An image referenced by URL rather than embedded as a data URL
+ *
+ * @typedef {Object} LinkedImage
+ * @property {string} href - Reference as written in the SVG
+ * @property {string|null} url - Absolute URL, resolved against the SVG's own
+ *   URL; null if relative and no base URL is known
+ * @property {number} index - Sequential position among linked images
+ * @property {string} id - Unique identifier
+ * @property {string} source - Where the reference was found (see IMAGE_SOURCES)
+ * @property {string|null} htmlElement - HTML element type for <foreignObject> content
+ * @property {string|null} elementId - id attribute of the referencing element
+ * @property {string} elementPath - XPath-like location of that element
+ * @property {number} depth - Nesting depth, 0 for the document itself
+ * @property {string|null} parentId - ID of the embedded SVG containing the reference
+ * @property {ImagePlacement|null} placement - Geometry of the <image> element
+ * @property {import('./svgReferences.js').ElementDescriptor[]} consumers - Rendered
+ *   elements that draw the image
+ * @property {boolean|null} rendered - False if never rendered, null when unknown
+ * @property {string} [sourceFile] - Name of the SVG file, set by processSvgFiles()
+ */
+
+/**
+ * @typedef {Object} ExtractionResult
+ * @property {ExtractedImage[]} images - Embedded images
+ * @property {LinkedImage[]} linkedImages - External image references
+ */
+
+/**
+ * @typedef {Object} ImagePlacement
+ * @property {number|string|null} x - x attribute (number for unitless/px values)
+ * @property {number|string|null} y - y attribute
+ * @property {number|string|null} width - width attribute
+ * @property {number|string|null} height - height attribute
+ * @property {string|null} preserveAspectRatio - preserveAspectRatio attribute
+ * @property {string|null} transform - Transform attributes of the element and its
+ *   ancestors, outermost first (null if none)
+ * @property {import('./svgTransform.js').Matrix} matrix - Accumulated transform matrix
+ * @property {number|null} renderedWidth - Box width in root user units after transforms
+ * @property {number|null} renderedHeight - Box height in root user units after transforms
+ */
+
+/**
+ * @typedef {Object} ExtractOptions
+ * @property {boolean} [recursive=false] - Also extract images inside embedded SVG data URLs
+ * @property {number} [maxDepth=DEFAULT_MAX_DEPTH] - Maximum nesting depth to follow
+ * @property {string|null} [baseUrl=null] - URL the SVG was loaded from, used to
+ *   resolve relative linked image references
  */
 
 /**
  * Extracts all embedded images from SVG content
  *
  * Parses SVG markup using DOMParser and searches for <image> elements
- * with base64-encoded data URLs. Supports both 'href' and 'xlink:href' attributes.
+ * with data URLs (base64, percent-encoded or raw). Supports both 'href' and 'xlink:href' attributes.
+ * CSS in <style> blocks and inline style attributes is also scanned for
+ * url(data:image/...) references such as background-image textures.
+ * HTML content inside <foreignObject> is searched too (img src/srcset,
+ * picture source srcset, video poster, object data); those images carry
+ * their HTML element type in `htmlElement`.
  * Each extracted image includes metadata like format, size, and a unique ID.
+ * The format is detected from the payload itself, so mislabeled images
+ * (e.g. a JPEG declared as image/png) get the right file extension.
+ *
+ * In recursive mode, embedded SVG images are decoded and searched as well.
+ * Their inner images follow the SVG itself in the result, up to `maxDepth`
+ * levels deep. An SVG identical to one of its ancestors is not searched again.
  *
  * @param {string} svgContent - Raw SVG markup to parse
- * @returns {ExtractedImage[]} Array of extracted image objects
+ * @param {ExtractOptions} [options={}] - Extraction options
+ * @returns {ExtractedImage[]} Array of extracted image objects, in document order
  * @throws {ParseError} If SVG content is malformed or cannot be parsed
  * @throws {Error} If svgContent is empty or invalid
  *
@@ -32,60 +170,465 @@ import { isValidSvg } from './validators.js';
  * const images = extractImages(svg);
  * console.log(images.length); // 1
  * console.log(images[0].format); // 'image/png'
+ *
+ * @example
+ * const images = extractImages(svgWithNestedSvg, { recursive: true });
+ * console.log(images[1].path); // 'image[0] > image[0]'
+ */
+export function extractImages(svgContent, options = {}) {
+  return extractAllImages(svgContent, options).images;
+}
+
+/**
+ * Extracts embedded images and lists external image references
+ *
+ * Same as extractImages(), but also reports every image that is linked
+ * rather than embedded (e.g. <image href="photo.png">), with its URL
+ * resolved against `options.baseUrl`. Linked images can be downloaded
+ * with fetchLinkedImages().
+ *
+ * @param {string} svgContent - Raw SVG markup to parse
+ * @param {ExtractOptions} [options={}] - Extraction options
+ * @returns {ExtractionResult} Embedded and linked images, each in document order
+ * @throws {ParseError} If SVG content is malformed or cannot be parsed
+ * @throws {Error} If svgContent is empty or invalid
+ *
+ * @example
+ * const { images, linkedImages } = extractAllImages(svg, { baseUrl: 'https://example.com/art/logo.svg' });
+ * console.log(linkedImages[0].url); // 'https://example.com/art/photo.png'
  */
-export function extractImages(svgContent) {
+export function extractAllImages(svgContent, options = {}) {
+  const { recursive = false, maxDepth = DEFAULT_MAX_DEPTH, baseUrl = null } = options;
+
   // Validate SVG content
   const validation = isValidSvg(svgContent);
   if (!validation.valid) {
     throw new Error(validation.error);
   }
 
-  // Parse SVG using DOMParser
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(svgContent, 'image/svg+xml');
-
-  // Check for parsing errors
-  const parserError = doc.querySelector('parsererror');
-  if (parserError) {
+  const doc = parseXml(svgContent);
+  if (!doc) {
     throw new ParseError('Failed to parse SVG content. The SVG may be malformed.');
   }
 
-  // Find all <image> elements
-  const imageElements = doc.querySelectorAll('image');
-  const extractedImages = [];
-
-  imageElements.forEach((img, index) => {
-    // Try both 'href' and 'xlink:href' attributes (SVG 1.1 vs SVG 2)
-    const href = img.getAttribute('href') || img.getAttribute('xlink:href');
-
-    // Only process data URLs (embedded images)
-    if (href && href.startsWith('data:image/')) {
-      try {
-        // Extract image format from data URL
-        const format = href.split(';')[0].split(':')[1];
-
-        // Estimate size (base64 is ~1.37x original size)
-        const base64Data = href.split(',')[1] || '';
-        const estimatedSize = Math.floor((base64Data.length * 3) / 4);
-
-        // Generate unique ID
-        const id = `img-${Date.now()}-${index}`;
-
-        extractedImages.push({
-          dataUrl: href,
-          format,
-          index,
-          size: estimatedSize,
-          id
-        });
-      } catch (error) {
-        // Log error but continue processing other images
-        console.warn(`Failed to process image at index ${index}:`, error);
+  const context = {
+    recursive,
+    maxDepth,
+    timestamp: Date.now(),
+    images: [],
+    linkedImages: []
+  };
+
+  collectImages(doc, context, { path: [], parentId: null, ancestors: new Set([svgContent]), baseUrl });
+
+  return { images: context.images, linkedImages: context.linkedImages };
+}
+
+/**
+ * Appends the embedded images of one document to the extraction context,
+ * descending into embedded SVGs when recursive mode is on
+ *
+ * @param {Document} doc - Parsed SVG document
+ * @param {Object} context - Shared extraction state
+ * @param {{path: string[], parentId: string|null, ancestors: Set<string>, baseUrl: string|null}} scope - Nesting state
+ */
+function collectImages(doc, context, scope) {
+  let localIndex = 0;
+  const graph = buildReferenceGraph(doc);
+
+  findImageReferences(doc.documentElement).forEach((reference) => {
+    const href = reference.url;
+    const parsed = parseDataUrl(href);
+
+    if (!parsed) {
+      if (isExternalReference(href) && isImageReference(reference)) {
+        context.linkedImages.push(createLinkedImage(reference, graph, context, scope));
       }
+      return;
+    }
+
+    // Only process image data URLs (embedded images)
+    if (!parsed.mimeType.startsWith('image/')) {
+      return;
+    }
+
+    const index = context.images.length;
+    const path = [...scope.path, `image[${localIndex++}]`];
+
+    try {
+      const data = describeImageData(parsed);
+      const dimensions = data.width !== null ? { width: data.width, height: data.height } : null;
+      const placement = reference.source === IMAGE_SOURCES.IMAGE_ELEMENT
+        ? getPlacement(reference.element, dimensions)
+        : null;
+
+      // Selectors in <style> blocks are not evaluated, so their usage is unknown
+      const consumers = reference.source === IMAGE_SOURCES.CSS_STYLE_BLOCK
+        ? null
+        : findConsumers(reference.element, graph).map(describeElement);
+
+      // Generate unique ID
+      const id = `img-${context.timestamp}-${index}`;
+
+      context.images.push({
+        dataUrl: href,
+        format: data.format,
+        declaredFormat: data.declaredFormat,
+        detectedFormat: data.detectedFormat,
+        formatMismatch: data.formatMismatch,
+        index,
+        size: data.size,
+        id,
+        source: reference.source,
+        htmlElement: reference.htmlElement || null,
+        elementId: reference.element.getAttribute('id'),
+        elementPath: getElementPath(reference.element),
+        path: path.join(' > '),
+        depth: scope.path.length,
+        parentId: scope.parentId,
+        width: data.width,
+        height: data.height,
+        placement,
+        consumers: consumers || [],
+        rendered: consumers ? consumers.length > 0 : null
+      });
+
+      if (context.recursive && data.format === 'image/svg+xml') {
+        collectNestedImages(parsed, id, path, context, scope.ancestors);
+      }
+    } catch (error) {
+      // Log error but continue processing other images
+      console.warn(`Failed to process image at index ${index}:`, error);
     }
   });
+}
 
-  return extractedImages;
+/**
+ * @typedef {Object} ImageDataDescription
+ * @property {string} format - Detected format when recognized, otherwise the declared one
+ * @property {string} declaredFormat - MIME type from the data URL header
+ * @property {string|null} detectedFormat - MIME type detected from the magic bytes
+ * @property {boolean} formatMismatch - True if the two contradict each other
+ * @property {number} size - Decoded size in bytes
+ * @property {number|null} width - Intrinsic pixel width
+ * @property {number|null} height - Intrinsic pixel height
+ */
+
+/**
+ * Reads the format, size and intrinsic dimensions of an image data URL,
+ * decoding only the head of the payload where possible
+ *
+ * Shared by the DOM extractor and the streaming scanner.
+ *
+ * @param {import('./dataUrl.js').ParsedDataUrl} parsed - Parsed image data URL
+ * @returns {ImageDataDescription} Description
+ *
+ * @example
+ * describeImageData(parseDataUrl('data:image/png;base64,iVBORw0KGgo...'));
+ * // { format: 'image/png', declaredFormat: 'image/png', size: 1234, width: 16, height: 16, ... }
+ */
+export function describeImageData(parsed) {
+  // Trust the payload's magic bytes over the declared MIME type
+  const head = decodeDataUrlHead(parsed, DIMENSIONS_HEAD_SIZE);
+  const declaredFormat = parsed.mimeType;
+  const detectedFormat = detectImageFormat(head.subarray(0, DETECTION_HEAD_SIZE));
+  const format = detectedFormat || declaredFormat;
+  const size = getDataUrlByteLength(parsed);
+  const dimensions = readDimensions(parsed, head, format, size);
+
+  return {
+    format,
+    declaredFormat,
+    detectedFormat,
+    formatMismatch: isFormatMismatch(declaredFormat, detectedFormat),
+    size,
+    width: dimensions ? dimensions.width : null,
+    height: dimensions ? dimensions.height : null
+  };
+}
+
+/**
+ * Describes an external image reference
+ *
+ * @param {ImageReference} reference - Reference to a non-data URL
+ * @param {import('./svgReferences.js').ReferenceGraph} graph - Reference graph of the document
+ * @param {Object} context - Shared extraction state
+ * @param {{parentId: string|null, path: string[], baseUrl: string|null}} scope - Nesting state
+ * @returns {LinkedImage} Linked image
+ */
+function createLinkedImage(reference, graph, context, scope) {
+  const index = context.linkedImages.length;
+  const consumers = reference.source === IMAGE_SOURCES.CSS_STYLE_BLOCK
+    ? null
+    : findConsumers(reference.element, graph).map(describeElement);
+
+  return {
+    href: reference.url,
+    url: resolveUrl(reference.url, scope.baseUrl),
+    index,
+    id: `link-${context.timestamp}-${index}`,
+    source: reference.source,
+    htmlElement: reference.htmlElement || null,
+    elementId: reference.element.getAttribute('id'),
+    elementPath: getElementPath(reference.element),
+    depth: scope.path.length,
+    parentId: scope.parentId,
+    placement: reference.source === IMAGE_SOURCES.IMAGE_ELEMENT
+      ? getPlacement(reference.element, null)
+      : null,
+    consumers: consumers || [],
+    rendered: consumers ? consumers.length > 0 : null
+  };
+}
+
+/**
+ * Checks whether a reference points outside the document (not a data URL
+ * or a same-document #fragment)
+ *
+ * @param {string} href - Reference URL
+ * @returns {boolean}
+ */
+function isExternalReference(href) {
+  return Boolean(href) && !href.startsWith('#') && !/^data:/i.test(href);
+}
+
+/**
+ * Checks whether a reference is used as an image: always for elements,
+ * and for CSS only in image-bearing properties
+ *
+ * @param {ImageReference} reference - Reference
+ * @returns {boolean}
+ */
+function isImageReference(reference) {
+  return reference.property === undefined || IMAGE_CSS_PROPERTIES.test(reference.property || '');
+}
+
+/**
+ * Resolves a reference against the URL of the document containing it
+ *
+ * @param {string} href - Reference URL
+ * @param {string|null} baseUrl - Document URL
+ * @returns {string|null} Absolute URL, or null if it cannot be resolved
+ */
+function resolveUrl(href, baseUrl) {
+  try {
+    return new URL(href, baseUrl || undefined).href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reads intrinsic dimensions, decoding the whole payload only for JPEGs
+ * whose SOF marker lies beyond the decoded head
+ *
+ * @param {import('./dataUrl.js').ParsedDataUrl} parsed - Parsed data URL
+ * @param {Uint8Array} head - Leading bytes already decoded
+ * @param {string} format - Effective image format
+ * @param {number} size - Decoded size in bytes
+ * @returns {{width: number, height: number}|null} Dimensions
+ */
+function readDimensions(parsed, head, format, size) {
+  const dimensions = getImageDimensions(head, format);
+  if (!dimensions && format === 'image/jpeg' && size > head.length) {
+    return getImageDimensions(decodeDataUrl(parsed), format);
+  }
+  return dimensions;
+}
+
+/**
+ * Reads the geometry of an <image> element and the transforms applied to it
+ *
+ * @param {Element} element - <image> element
+ * @param {{width: number, height: number}|null} dimensions - Intrinsic size, used
+ *   when width/height are omitted (SVG 2 'auto' sizing)
+ * @returns {ImagePlacement} Placement
+ */
+function getPlacement(element, dimensions) {
+  const transforms = [];
+  for (let node = element; node && node.nodeType === 1; node = node.parentNode) {
+    const transform = node.getAttribute('transform');
+    if (transform && transform.trim()) {
+      transforms.unshift(transform.trim());
+    }
+  }
+
+  const matrix = transforms.reduce(
+    (combined, transform) => multiplyMatrices(combined, parseTransform(transform)),
+    [...IDENTITY_MATRIX]
+  );
+  const scale = getMatrixScale(matrix);
+
+  const width = parseLength(element.getAttribute('width'));
+  const height = parseLength(element.getAttribute('height'));
+  const boxWidth = width === null && dimensions ? dimensions.width : width;
+  const boxHeight = height === null && dimensions ? dimensions.height : height;
+
+  return {
+    x: parseLength(element.getAttribute('x')),
+    y: parseLength(element.getAttribute('y')),
+    width,
+    height,
+    preserveAspectRatio: element.getAttribute('preserveAspectRatio'),
+    transform: transforms.length > 0 ? transforms.join(' ') : null,
+    matrix,
+    renderedWidth: typeof boxWidth === 'number' ? boxWidth * scale.x : null,
+    renderedHeight: typeof boxHeight === 'number' ? boxHeight * scale.y : null
+  };
+}
+
+/**
+ * Parses an SVG length attribute
+ *
+ * @param {string|null} value - Attribute value
+ * @returns {number|string|null} Number for unitless or px values, the trimmed
+ *   string for other units (e.g. '50%'), null if absent or 'auto'
+ */
+function parseLength(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const trimmed = value.trim();
+  if (trimmed === '' || trimmed === 'auto') {
+    return null;
+  }
+  if (/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?(px)?$/i.test(trimmed)) {
+    return parseFloat(trimmed);
+  }
+  return trimmed;
+}
+
+/**
+ * Decodes an embedded SVG data URL and extracts the images inside it
+ *
+ * @param {import('./dataUrl.js').ParsedDataUrl} dataUrl - Parsed data:image/svg+xml URL
+ * @param {string} id - ID of the embedded SVG image
+ * @param {string[]} path - Nesting path of the embedded SVG image
+ * @param {Object} context - Shared extraction state
+ * @param {Set<string>} ancestors - Markup of every enclosing document
+ */
+function collectNestedImages(dataUrl, id, path, context, ancestors) {
+  if (path.length > context.maxDepth) {
+    console.warn(`Skipping nested SVG at ${path.join(' > ')}: maximum depth of ${context.maxDepth} reached`);
+    return;
+  }
+
+  const markup = decodeDataUrlText(dataUrl);
+
+  // Cycle protection: never search a document that encloses itself
+  if (ancestors.has(markup)) {
+    console.warn(`Skipping nested SVG at ${path.join(' > ')}: same content as an enclosing SVG`);
+    return;
+  }
+
+  const doc = isValidSvg(markup).valid ? parseXml(markup) : null;
+  if (!doc) {
+    console.warn(`Skipping nested SVG at ${path.join(' > ')}: content could not be parsed`);
+    return;
+  }
+
+  // Relative references inside a data URL have no document URL to resolve against
+  collectImages(doc, context, {
+    path,
+    parentId: id,
+    ancestors: new Set([...ancestors, markup]),
+    baseUrl: null
+  });
+}
+
+/**
+ * @typedef {Object} ImageReference
+ * @property {string} url - Referenced URL (trimmed href or CSS url() value)
+ * @property {string} source - Where the reference was found (see IMAGE_SOURCES)
+ * @property {Element} element - Element carrying the reference
+ * @property {string|null} attribute - Attribute holding the reference
+ *   ('href', 'xlink:href', 'style', 'srcset'...), null for <style> text
+ * @property {number} [start] - For CSS references, offset of the "url(" token
+ *   in the attribute value or <style> text
+ * @property {number} [end] - For CSS references, offset just past the ")"
+ * @property {string|null} [property] - For CSS references, the declaration
+ *   the url() belongs to (see CssUrlReference)
+ * @property {string} [htmlElement] - HTML element name, for <foreignObject> content
+ */
+
+/**
+ * Collects every image reference under a root element in document order
+ *
+ * Looks at <image> hrefs, url() values in <style> blocks and url() values in
+ * style attributes. Inside <foreignObject>, HTML <img src/srcset>,
+ * <picture><source srcset>, <video poster> and <object data> are included.
+ * Only DOM Core APIs are used so the walk also works with non-browser XML parsers.
+ *
+ * @param {Element} root - Element to start from (usually the <svg> root)
+ * @returns {ImageReference[]} References in document order
+ */
+export function findImageReferences(root) {
+  const references = [];
+
+  walkElements(root, (element, inForeignObject) => {
+    const name = element.localName || element.nodeName;
+
+    if (name === 'image' && !inForeignObject) {
+      // Try both 'href' and 'xlink:href' attributes (SVG 2 vs SVG 1.1)
+      const attribute = element.getAttribute('href') ? 'href' : 'xlink:href';
+      const href = element.getAttribute(attribute);
+      if (href) {
+        references.push({ url: href.trim(), source: IMAGE_SOURCES.IMAGE_ELEMENT, element, attribute });
+      }
+    }
+
+    if (inForeignObject && HTML_IMAGE_ATTRIBUTES[name]) {
+      HTML_IMAGE_ATTRIBUTES[name].forEach((attribute) => {
+        const value = element.getAttribute(attribute);
+        if (!value) {
+          return;
+        }
+        const urls = attribute === 'srcset'
+          ? parseSrcset(value).map(candidate => candidate.url)
+          : [value.trim()];
+        urls.forEach((url) => {
+          references.push({ url, source: IMAGE_SOURCES.FOREIGN_OBJECT, element, attribute, htmlElement: name });
+        });
+      });
+    }
+
+    if (name === 'style') {
+      parseCssUrls(element.textContent).forEach(({ url, start, end, property }) => {
+        references.push({ url, source: IMAGE_SOURCES.CSS_STYLE_BLOCK, element, attribute: null, start, end, property });
+      });
+    }
+
+    const inlineStyle = element.getAttribute('style');
+    if (inlineStyle) {
+      parseCssUrls(inlineStyle).forEach(({ url, start, end, property }) => {
+        references.push({ url, source: IMAGE_SOURCES.INLINE_STYLE, element, attribute: 'style', start, end, property });
+      });
+    }
+  });
+
+  return references;
+}
+
+/**
+ * Visits an element and all of its descendant elements in document order
+ *
+ * @param {Element} root - Element to start from
+ * @param {function(Element, boolean): void} visit - Called for each element, with
+ *   whether it is inside a <foreignObject>
+ * @param {boolean} [inForeignObject=false] - Whether root is inside a <foreignObject>
+ */
+function walkElements(root, visit, inForeignObject = false) {
+  if (!root) {
+    return;
+  }
+  visit(root, inForeignObject);
+  const childrenInForeignObject = inForeignObject || (root.localName || root.nodeName) === 'foreignObject';
+  const children = root.childNodes;
+  for (let i = 0; i < children.length; i++) {
+    if (children[i].nodeType === 1) {
+      walkElements(children[i], visit, childrenInForeignObject);
+    }
+  }
 }
 
 /**
@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Replacing and inlining images in SVG markup
+ * @module lib/svgImageEditor
+ */
+
+import { ParseError, ValidationError } from './errorHandler.js';
+import { isValidSvg } from './validators.js';
+import { parseDataUrl, encodeDataUrl } from './dataUrl.js';
+import { readFileBytes } from './fileReader.js';
+import { detectImageFormat, normalizeMimeType, DETECTION_HEAD_SIZE } from './formatDetector.js';
+import { findImageReferences, IMAGE_SOURCES } from './svgExtractor.js';
+import { getElementPath } from './svgReferences.js';
+import { parseXml, serializeXml } from './xmlParser.js';
+import { ERROR_MESSAGES } from '../constants/messages.js';
+
+/**
+ * Replaces one embedded image of an SVG with another
+ *
+ * The image is located by its element (`elementPath`) and data URL, so
+ * earlier edits to other images do not get in the way; its position among
+ * the document's embedded images (`path`) picks between identical
+ * references. Only the URL changes: an <image> keeps its position, size
+ * and preserveAspectRatio, and gets explicit width and height set to the
+ * old image's pixel size when it relied on the intrinsic size. Images
+ * inside embedded SVG images and fetched linked images cannot be replaced.
+ *
+ * @param {string} svgContent - Raw SVG markup the image was extracted from
+ * @param {import('./svgExtractor.js').ExtractedImage} image - Image to replace
+ * @param {string} dataUrl - Data URL of the new image
+ * @returns {string} Modified SVG markup
+ * @throws {ValidationError} If the image cannot be replaced or is no longer in the SVG
+ * @throws {ParseError} If the SVG cannot be parsed
+ *
+ * @example
+ * const { images } = extractAllImages(svg);
+ * const { dataUrl } = await encodeImageFile(file);
+ * const modified = replaceEmbeddedImage(svg, images[0], dataUrl);
+ */
+export function replaceEmbeddedImage(svgContent, image, dataUrl) {
+  if (image.depth > 0 || image.linkedUrl) {
+    throw new ValidationError(ERROR_MESSAGES.IMAGE_NOT_REPLACEABLE);
+  }
+
+  const doc = parseSvg(svgContent);
+  const embedded = findImageReferences(doc.documentElement).filter((candidate) => {
+    const parsed = parseDataUrl(candidate.url);
+    return parsed && parsed.mimeType.startsWith('image/');
+  });
+  const matches = embedded.filter(candidate => (
+    candidate.url === image.dataUrl && getElementPath(candidate.element) === image.elementPath
+  ));
+  const position = /^image\[(\d+)\]$/.exec(image.path || '');
+  const reference = (position && matches.find(candidate => candidate === embedded[Number(position[1])])) || matches[0];
+
+  if (!reference) {
+    throw new ValidationError(ERROR_MESSAGES.IMAGE_NOT_IN_SVG);
+  }
+
+  const { element } = reference;
+  if (reference.source === IMAGE_SOURCES.IMAGE_ELEMENT && image.width && image.height) {
+    if (!element.hasAttribute('width') && !element.hasAttribute('height')) {
+      element.setAttribute('width', String(image.width));
+      element.setAttribute('height', String(image.height));
+    }
+  }
+
+  rewriteReferences([{ reference, url: dataUrl }]);
+  return serializeXml(doc);
+}
+
+/**
+ * Replaces links to external images with data URLs
+ *
+ * Every external reference of the document itself (not of embedded SVG
+ * images) whose href has an entry in `dataUrls` is rewritten; other
+ * references are left as they are.
+ *
+ * @param {string} svgContent - Raw SVG markup
+ * @param {Map<string, string>} dataUrls - Data URL for each href, as written
+ *   in the SVG (LinkedImage.href)
+ * @returns {{svg: string, inlined: number}} Modified SVG markup and the number
+ *   of references rewritten
+ * @throws {ParseError} If the SVG cannot be parsed
+ *
+ * @example
+ * const { svg: inlined } = inlineLinkedImages(svg, new Map([['photo.jpg', 'data:image/jpeg;base64,/9j/...']]));
+ */
+export function inlineLinkedImages(svgContent, dataUrls) {
+  const doc = parseSvg(svgContent);
+  const replacements = findImageReferences(doc.documentElement)
+    .filter(reference => dataUrls.has(reference.url))
+    .map(reference => ({ reference, url: dataUrls.get(reference.url) }));
+
+  rewriteReferences(replacements);
+  return { svg: serializeXml(doc), inlined: replacements.length };
+}
+
+/**
+ * Reads an image file as a data URL
+ *
+ * The format is detected from the file's bytes, falling back to its
+ * declared type.
+ *
+ * @param {File|Blob} file - Image file
+ * @returns {Promise<{dataUrl: string, format: string}>} Data URL and MIME type
+ * @throws {ValidationError} If the file is not an image
+ *
+ * @example
+ * const { dataUrl, format } = await encodeImageFile(input.files[0]);
+ */
+export async function encodeImageFile(file) {
+  const bytes = await readFileBytes(file);
+  const declaredFormat = file.type && file.type.startsWith('image/') ? normalizeMimeType(file.type) : null;
+  const format = detectImageFormat(bytes.subarray(0, DETECTION_HEAD_SIZE)) || declaredFormat;
+
+  if (!format || bytes.length === 0) {
+    throw new ValidationError(ERROR_MESSAGES.NOT_AN_IMAGE_FILE);
+  }
+
+  return { dataUrl: encodeDataUrl(bytes, format), format };
+}
+
+/**
+ * Writes new URLs into the elements of image references
+ *
+ * Attributes are replaced whole, except srcset where only the matching
+ * candidate URL changes. CSS text is rewritten from the last url() to the
+ * first so earlier offsets stay valid.
+ *
+ * @param {Array<{reference: import('./svgExtractor.js').ImageReference, url: string}>} replacements - New
+ *   URL for each reference, all found in the same document
+ *
+ * @example
+ * rewriteReferences(findImageReferences(doc.documentElement).map(reference => ({ reference, url: 'images/a.png' })));
+ */
+export function rewriteReferences(replacements) {
+  const cssEdits = new Map();
+
+  replacements.forEach(({ reference, url }) => {
+    const { element, attribute } = reference;
+
+    if (typeof reference.start === 'number') {
+      const key = attribute === null ? 'text' : attribute;
+      if (!cssEdits.has(element)) {
+        cssEdits.set(element, new Map());
+      }
+      const edits = cssEdits.get(element);
+      if (!edits.has(key)) {
+        edits.set(key, []);
+      }
+      edits.get(key).push({ start: reference.start, end: reference.end, url });
+    } else if (attribute === 'srcset') {
+      // Candidates are separated by commas and descriptors; the URL itself is replaced
+      element.setAttribute(attribute, element.getAttribute(attribute).split(reference.url).join(url));
+    } else {
+      element.setAttribute(attribute, url);
+    }
+  });
+
+  cssEdits.forEach((edits, element) => {
+    edits.forEach((list, key) => {
+      let css = key === 'text' ? element.textContent : element.getAttribute(key);
+      list.sort((a, b) => b.start - a.start).forEach(({ start, end, url }) => {
+        css = `${css.slice(0, start)}url("${url}")${css.slice(end)}`;
+      });
+      if (key === 'text') {
+        element.textContent = css;
+      } else {
+        element.setAttribute(key, css);
+      }
+    });
+  });
+}
+
+/**
+ * @param {string} svgContent - Raw SVG markup
+ * @returns {Document} Parsed document
+ * @throws {Error} If the content is not SVG
+ * @throws {ParseError} If the SVG cannot be parsed
+ */
+function parseSvg(svgContent) {
+  const validation = isValidSvg(svgContent);
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+
+  const doc = parseXml(svgContent);
+  if (!doc) {
+    throw new ParseError('Failed to parse SVG content. The SVG may be malformed.');
+  }
+  return doc;
+}
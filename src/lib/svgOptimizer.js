@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Shrinks SVGs by re-encoding their embedded images in place
+ * @module lib/svgOptimizer
+ */
+
+import { decodeDataUrl, encodeDataUrl } from './dataUrl.js';
+import { readFileBytes } from './fileReader.js';
+import { normalizeMimeType } from './formatDetector.js';
+import { convertImage, computeTargetSize, OUTPUT_FORMATS, RESIZE_MODES } from './imageConverter.js';
+import { replaceEmbeddedImage } from './svgImageEditor.js';
+
+/**
+ * Format choice that keeps transparency: JPEG for opaque images, WebP otherwise
+ * @type {string}
+ */
+export const AUTO_FORMAT = 'auto';
+
+/**
+ * Default encoder quality when optimizing (0-1)
+ * @type {number}
+ */
+export const DEFAULT_OPTIMIZE_QUALITY = 0.8;
+
+/**
+ * Outcome of optimizing one image
+ * @type {Object<string, string>}
+ */
+export const OPTIMIZE_STATUS = {
+  OPTIMIZED: 'optimized',
+  UNCHANGED: 'unchanged',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+};
+
+/**
+ * @typedef {Object} OptimizeOptions
+ * @property {string} [format=AUTO_FORMAT] - AUTO_FORMAT or one of OUTPUT_FORMATS;
+ *   JPEG is only used for opaque images, others keep their format
+ * @property {number} [quality=DEFAULT_OPTIMIZE_QUALITY] - Quality for JPEG and WebP (0-1)
+ * @property {number|null} [scale=1] - Downscale images to their rendered size
+ *   times this (e.g. 2 for 2x displays); null keeps their pixel size
+ * @property {AbortSignal} [signal] - Stops optimizing between images
+ */
+
+/**
+ * @typedef {Object} ImageSavings
+ * @property {number} index - Index of the extracted image
+ * @property {string} status - One of OPTIMIZE_STATUS
+ * @property {string|null} reason - Why the image was not optimized
+ * @property {string} originalFormat - MIME type before
+ * @property {string} format - MIME type after
+ * @property {number} originalSize - Decoded size before, as computed by the extractor
+ * @property {number} size - Decoded size after
+ * @property {number|null} width - Pixel width after
+ * @property {number|null} height - Pixel height after
+ */
+
+/**
+ * @typedef {Object} OptimizationReport
+ * @property {string} svg - Optimized SVG markup
+ * @property {ImageSavings[]} images - Result for each image
+ * @property {number} originalSize - Total decoded size of the images before
+ * @property {number} size - Total decoded size of the images after
+ * @property {number} svgOriginalSize - Size of the SVG file before, in bytes
+ * @property {number} svgSize - Size of the SVG file after, in bytes
+ */
+
+/**
+ * Re-encodes the embedded images of an SVG and writes them back into it
+ *
+ * Each image is converted (see OptimizeOptions) and downscaled to its
+ * rendered size where that is known; the new data URL replaces the old one
+ * only if it is smaller, keeping the element's geometry (see
+ * replaceEmbeddedImage). SVG images, GIFs (which may be animated) and
+ * images nested in embedded SVGs are skipped. Identical images are
+ * encoded once per target size.
+ *
+ * @param {string} svgContent - Raw SVG markup the images were extracted from
+ * @param {import('./svgExtractor.js').ExtractedImage[]} images - Its embedded images
+ * @param {OptimizeOptions} [options={}] - Optimization options
+ * @param {Function} [progressCallback] - Called with percent complete (0-100)
+ * @returns {Promise<OptimizationReport>} Optimized SVG and savings
+ * @throws {DOMException} AbortError if the signal is aborted
+ *
+ * @example
+ * const { images } = extractAllImages(svg);
+ * const report = await optimizeSvg(svg, images, { scale: 2 });
+ * console.log(`${report.originalSize - report.size} bytes saved`);
+ */
+export async function optimizeSvg(svgContent, images, options = {}, progressCallback = null) {
+  const { signal } = options;
+  const encoded = new Map();
+  const results = [];
+  let svg = svgContent;
+
+  for (const [position, image] of images.entries()) {
+    if (signal?.aborted) {
+      throw new DOMException('Optimization cancelled', 'AbortError');
+    }
+
+    const result = await optimizeImage(image, options, encoded);
+    if (result.dataUrl) {
+      svg = replaceEmbeddedImage(svg, image, result.dataUrl);
+    }
+    results.push(result.savings);
+
+    if (progressCallback) {
+      progressCallback(Math.round(((position + 1) / images.length) * 100));
+    }
+  }
+
+  return {
+    svg,
+    images: results,
+    originalSize: results.reduce((total, result) => total + result.originalSize, 0),
+    size: results.reduce((total, result) => total + result.size, 0),
+    svgOriginalSize: new TextEncoder().encode(svgContent).length,
+    svgSize: new TextEncoder().encode(svg).length
+  };
+}
+
+/**
+ * Tells whether an image may have transparent pixels, from its header
+ *
+ * Only PNG (alpha channel or tRNS chunk), JPEG and lossy WebP without
+ * alpha are known to be opaque; other formats are assumed transparent.
+ *
+ * @param {Uint8Array} bytes - Image file
+ * @param {string} format - Image MIME type
+ * @returns {boolean} False only for images known to be opaque
+ *
+ * @example
+ * mayHaveTransparency(jpegBytes, 'image/jpeg'); // false
+ */
+export function mayHaveTransparency(bytes, format) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  switch (normalizeMimeType(format)) {
+    case 'image/jpeg':
+      return false;
+    case 'image/png': {
+      if (bytes.length < 26) {
+        return true;
+      }
+      // Colour types 4 and 6 carry alpha; others may add a tRNS chunk before IDAT
+      const colorType = bytes[25];
+      if (colorType === 4 || colorType === 6) {
+        return true;
+      }
+      for (let offset = 8; offset + 8 <= bytes.length;) {
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        if (type === 'tRNS') {
+          return true;
+        }
+        if (type === 'IDAT') {
+          return false;
+        }
+        offset += 12 + view.getUint32(offset);
+      }
+      return true;
+    }
+    case 'image/webp': {
+      const chunk = bytes.length >= 16 ? String.fromCharCode(...bytes.subarray(12, 16)) : '';
+      if (chunk === 'VP8 ') {
+        return false;
+      }
+      // VP8X stores an alpha flag; lossless VP8L may always carry alpha
+      return chunk !== 'VP8X' || (bytes[20] & 0x10) !== 0;
+    }
+    default:
+      return true;
+  }
+}
+
+/**
+ * Optimizes one image, reusing the encoding of an identical one
+ *
+ * @param {import('./svgExtractor.js').ExtractedImage} image - Image to optimize
+ * @param {OptimizeOptions} options - Optimization options
+ * @param {Map<string, Object>} encoded - Results by data URL and target size
+ * @returns {Promise<{dataUrl: string|null, savings: ImageSavings}>} New data URL
+ *   (null to keep the image) and savings
+ */
+async function optimizeImage(image, options, encoded) {
+  const { format = AUTO_FORMAT, quality = DEFAULT_OPTIMIZE_QUALITY, scale = 1 } = options;
+  const kept = (status, reason) => ({
+    dataUrl: null,
+    savings: {
+      index: image.index,
+      status,
+      reason,
+      originalFormat: image.format,
+      format: image.format,
+      originalSize: image.size,
+      size: image.size,
+      width: image.width ?? null,
+      height: image.height ?? null
+    }
+  });
+
+  const imageFormat = normalizeMimeType(image.format);
+  if (image.depth > 0 || image.linkedUrl) {
+    return kept(OPTIMIZE_STATUS.SKIPPED, 'Not embedded in the SVG itself');
+  }
+  if (imageFormat === 'image/svg+xml') {
+    return kept(OPTIMIZE_STATUS.SKIPPED, 'Vector image');
+  }
+  if (imageFormat === 'image/gif') {
+    return kept(OPTIMIZE_STATUS.SKIPPED, 'GIFs may be animated');
+  }
+
+  const resize = scale ? { mode: RESIZE_MODES.RENDERED, scale } : null;
+  const target = computeTargetSize(image, resize);
+  const key = `${image.dataUrl}|${target ? `${target.width}x${target.height}` : ''}`;
+
+  if (!encoded.has(key)) {
+    encoded.set(key, encodeSmaller(image, {
+      format,
+      quality,
+      resize
+    }));
+  }
+
+  const result = await encoded.get(key);
+  if (result.error) {
+    return kept(OPTIMIZE_STATUS.FAILED, result.error.message);
+  }
+  if (!result.dataUrl) {
+    return kept(OPTIMIZE_STATUS.UNCHANGED, 'Already as small as it gets');
+  }
+
+  return {
+    dataUrl: result.dataUrl,
+    savings: {
+      index: image.index,
+      status: OPTIMIZE_STATUS.OPTIMIZED,
+      reason: null,
+      originalFormat: image.format,
+      format: result.format,
+      originalSize: image.size,
+      size: result.size,
+      width: result.width,
+      height: result.height
+    }
+  };
+}
+
+/**
+ * Picks the output format of an image, never dropping transparency for JPEG
+ *
+ * @param {import('./svgExtractor.js').ExtractedImage} image - Image to optimize
+ * @param {string} format - Requested format (AUTO_FORMAT or one of OUTPUT_FORMATS)
+ * @returns {string} Format to pass to convertImage
+ */
+function chooseFormat(image, format) {
+  if (format !== AUTO_FORMAT && format !== OUTPUT_FORMATS.JPEG) {
+    return format;
+  }
+  if (!mayHaveTransparency(decodeDataUrl(image.dataUrl), image.format)) {
+    return OUTPUT_FORMATS.JPEG;
+  }
+  return format === AUTO_FORMAT ? OUTPUT_FORMATS.WEBP : OUTPUT_FORMATS.ORIGINAL;
+}
+
+/**
+ * Converts an image, keeping the result only if it is smaller
+ *
+ * Errors, including image data that cannot be decoded, are returned rather
+ * than thrown so one broken image does not stop the others.
+ *
+ * @param {import('./svgExtractor.js').ExtractedImage} image - Image to convert
+ * @param {import('./imageConverter.js').ConversionOptions} conversion - Conversion options;
+ *   the format may be AUTO_FORMAT (see chooseFormat)
+ * @returns {Promise<{dataUrl?: string, format?: string, size?: number, width?: number|null,
+ *   height?: number|null, error?: Error}>} New image, {} if not smaller, or the error
+ */
+async function encodeSmaller(image, conversion) {
+  try {
+    const converted = await convertImage(image, { ...conversion, format: chooseFormat(image, conversion.format) });
+    if (!converted.converted) {
+      return {};
+    }
+
+    const bytes = await readFileBytes(converted.blob);
+    if (bytes.length >= image.size) {
+      return {};
+    }
+    return {
+      dataUrl: encodeDataUrl(bytes, converted.format),
+      format: converted.format,
+      size: bytes.length,
+      width: converted.width,
+      height: converted.height
+    };
+  } catch (error) {
+    return { error };
+  }
+}
@@ -0,0 +1,277 @@
+/**
+ * @fileoverview Resolution of SVG reference graphs (use, patterns, masks...)
+ * @module lib/svgReferences
+ */
+
+import { parseCssUrls } from './cssUrlParser.js';
+
+/**
+ * Elements whose content is never drawn where it appears, only when
+ * referenced from elsewhere
+ * @type {Set<string>}
+ */
+const NON_RENDERING_ELEMENTS = new Set([
+  'defs', 'symbol', 'pattern', 'mask', 'clipPath', 'marker',
+  'linearGradient', 'radialGradient', 'filter'
+]);
+
+/**
+ * Elements whose href is navigation rather than a rendering reference
+ * @type {Set<string>}
+ */
+const LINK_ELEMENTS = new Set(['a']);
+
+/**
+ * @typedef {Object} ElementDescriptor
+ * @property {string} tagName - Local name of the element
+ * @property {string|null} elementId - id attribute
+ * @property {string} elementPath - Location, e.g. '/svg/g[2]/use[1]'
+ */
+
+/**
+ * @typedef {Object} ReferenceGraph
+ * @property {Map<Element, Element[]>} referrers - Elements referencing each element
+ *   (through href="#id" or url(#id))
+ * @property {Set<Element>} styleElements - <style> elements, whose url(#id)
+ *   references cannot be tied to specific elements without selector matching
+ */
+
+/**
+ * Builds the graph of internal references in an SVG document
+ *
+ * Covers href/xlink:href fragment links (<use>, <pattern> inheritance,
+ * <feImage>, ...) and url(#id) values in presentation attributes, style
+ * attributes and <style> blocks (fill, stroke, mask, clip-path, filter,
+ * markers...).
+ *
+ * @param {Document} doc - Parsed SVG document
+ * @returns {ReferenceGraph} Reference graph
+ *
+ * @example
+ * const graph = buildReferenceGraph(doc);
+ * const consumers = findConsumers(imageElement, graph);
+ */
+export function buildReferenceGraph(doc) {
+  const byId = new Map();
+  const links = [];
+  const styleElements = new Set();
+
+  walk(doc.documentElement, (element) => {
+    const id = element.getAttribute('id');
+    if (id && !byId.has(id)) {
+      byId.set(id, element);
+    }
+
+    const name = getName(element);
+    if (name === 'style') {
+      styleElements.add(element);
+      parseCssUrls(element.textContent).forEach(({ url }) => {
+        links.push({ from: element, id: getFragmentId(url) });
+      });
+    }
+
+    Array.from(element.attributes).forEach((attribute) => {
+      const attributeName = attribute.localName || attribute.name;
+      if (attributeName === 'href') {
+        if (!LINK_ELEMENTS.has(name)) {
+          links.push({ from: element, id: getFragmentId(attribute.value) });
+        }
+        return;
+      }
+      if (attribute.value.includes('url(')) {
+        parseCssUrls(attribute.value).forEach(({ url }) => {
+          links.push({ from: element, id: getFragmentId(url) });
+        });
+      }
+    });
+  });
+
+  const referrers = new Map();
+  links.forEach(({ from, id }) => {
+    const target = id ? byId.get(id) : null;
+    if (!target || target === from) {
+      return;
+    }
+    if (!referrers.has(target)) {
+      referrers.set(target, []);
+    }
+    referrers.get(target).push(from);
+  });
+
+  return { referrers, styleElements };
+}
+
+/**
+ * Finds the rendered elements that cause an element to be drawn
+ *
+ * An element outside any non-rendering container (defs, symbol, pattern,
+ * mask, clipPath, marker...) renders itself. References to it or to its
+ * enclosing elements (up to the outermost container) are followed as well, through chains such as
+ * use → symbol → use, or fill="url(#p)" → pattern → pattern href.
+ * <style> blocks referencing a container are reported as consumers, since
+ * their selectors are not evaluated.
+ *
+ * @param {Element} element - Element to resolve (e.g. an <image>)
+ * @param {ReferenceGraph} graph - Graph from buildReferenceGraph()
+ * @returns {Element[]} Distinct consuming elements; empty if never rendered
+ *
+ * @example
+ * findConsumers(imageInsidePattern, graph); // [<rect fill="url(#pattern)">]
+ */
+export function findConsumers(element, graph) {
+  const consumers = new Set();
+  collectConsumers(element, graph, new Set(), consumers);
+  return Array.from(consumers);
+}
+
+/**
+ * Describes an element for reporting
+ *
+ * @param {Element} element - Element to describe
+ * @returns {ElementDescriptor} Descriptor
+ *
+ * @example
+ * describeElement(useElement); // { tagName: 'use', elementId: 'logo-1', elementPath: '/svg/use[1]' }
+ */
+export function describeElement(element) {
+  return {
+    tagName: getName(element),
+    elementId: element.getAttribute('id'),
+    elementPath: getElementPath(element)
+  };
+}
+
+/**
+ * Builds an XPath-like location for an element, with 1-based positions
+ * among same-named siblings
+ *
+ * @param {Element} element - Element to locate
+ * @returns {string} Path such as '/svg/g[2]/image[1]'
+ *
+ * @example
+ * getElementPath(image); // '/svg/g[2]/image[1]'
+ */
+export function getElementPath(element) {
+  const segments = [];
+
+  for (let node = element; node && node.nodeType === 1; node = node.parentNode) {
+    const name = getName(node);
+    const parent = node.parentNode;
+
+    if (!parent || parent.nodeType !== 1) {
+      segments.unshift(name);
+      break;
+    }
+
+    let position = 0;
+    for (let sibling = parent.firstChild; sibling; sibling = sibling.nextSibling) {
+      if (sibling.nodeType === 1 && getName(sibling) === name) {
+        position++;
+      }
+      if (sibling === node) {
+        break;
+      }
+    }
+    segments.unshift(`${name}[${position}]`);
+  }
+
+  return `/${segments.join('/')}`;
+}
+
+/**
+ * @param {Element} element - Element being resolved
+ * @param {ReferenceGraph} graph - Reference graph
+ * @param {Set<Element>} visited - Elements already resolved (cycle protection)
+ * @param {Set<Element>} consumers - Accumulated consumers
+ */
+function collectConsumers(element, graph, visited, consumers) {
+  if (visited.has(element)) {
+    return;
+  }
+  visited.add(element);
+
+  // Element and its ancestors (root excluded), noting the outermost non-rendering container
+  const chain = [];
+  let container = null;
+  for (let node = element; node && node.nodeType === 1 && node.parentNode?.nodeType === 1; node = node.parentNode) {
+    chain.push(node);
+    if (NON_RENDERING_ELEMENTS.has(getName(node))) {
+      container = node;
+    }
+  }
+
+  // Outside containers the element renders itself; it (or an ancestor) may
+  // also be drawn again by <use>. Inside, only references can render it, and
+  // display="none" on the container itself does not prevent that.
+  const targets = container ? chain.slice(0, chain.indexOf(container) + 1) : chain;
+  if ((container ? targets.slice(0, -1) : targets).some(isHidden)) {
+    return;
+  }
+  if (!container) {
+    consumers.add(element);
+  }
+
+  targets.forEach((target) => {
+    (graph.referrers.get(target) || []).forEach((referrer) => {
+      if (graph.styleElements.has(referrer)) {
+        consumers.add(referrer);
+      } else {
+        collectConsumers(referrer, graph, visited, consumers);
+      }
+    });
+  });
+}
+
+/**
+ * Checks for display="none" on an element, as an attribute or in its
+ * style attribute
+ *
+ * @param {Element} element - Element to check
+ * @returns {boolean}
+ */
+function isHidden(element) {
+  if ((element.getAttribute('display') || '').trim() === 'none') {
+    return true;
+  }
+  return /(^|;)\s*display\s*:\s*none\s*(;|!|$)/i.test(element.getAttribute('style') || '');
+}
+
+/**
+ * @param {string} url - href or url() value
+ * @returns {string|null} Fragment identifier for same-document references
+ */
+function getFragmentId(url) {
+  const trimmed = (url || '').trim();
+  if (!trimmed.startsWith('#') || trimmed.length < 2) {
+    return null;
+  }
+  try {
+    return decodeURIComponent(trimmed.slice(1));
+  } catch {
+    return trimmed.slice(1);
+  }
+}
+
+/**
+ * @param {Element} element - Element
+ * @returns {string} Local name (without namespace prefix)
+ */
+function getName(element) {
+  return element.localName || element.nodeName;
+}
+
+/**
+ * @param {Element} root - Element to start from
+ * @param {function(Element): void} visit - Called for each element
+ */
+function walk(root, visit) {
+  if (!root) {
+    return;
+  }
+  visit(root);
+  for (let child = root.firstChild; child; child = child.nextSibling) {
+    if (child.nodeType === 1) {
+      walk(child, visit);
+    }
+  }
+}
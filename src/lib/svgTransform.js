@@ -0,0 +1,127 @@
+/**
+ * @fileoverview SVG transform attribute parsing and matrix helpers
+ * @module lib/svgTransform
+ */
+
+/**
+ * 2D affine matrix [a, b, c, d, e, f] as used by SVG:
+ * x' = a*x + c*y + e, y' = b*x + d*y + f
+ * @typedef {number[]} Matrix
+ */
+
+/**
+ * Identity matrix
+ * @type {Matrix}
+ */
+export const IDENTITY_MATRIX = Object.freeze([1, 0, 0, 1, 0, 0]);
+
+/**
+ * Parses an SVG transform attribute into a single matrix
+ *
+ * Supports matrix, translate, scale, rotate (with optional center), skewX
+ * and skewY. Unknown or malformed functions are ignored.
+ *
+ * @param {string} transform - Transform attribute value
+ * @returns {Matrix} Combined matrix (identity for empty input)
+ *
+ * @example
+ * parseTransform('translate(10 20) scale(2)'); // [2, 0, 0, 2, 10, 20]
+ */
+export function parseTransform(transform) {
+  let matrix = [...IDENTITY_MATRIX];
+  if (!transform) {
+    return matrix;
+  }
+
+  const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+
+  while ((match = pattern.exec(transform)) !== null) {
+    const args = match[2].trim().split(/[\s,]+/).filter(Boolean).map(Number);
+    if (args.some(Number.isNaN)) {
+      continue;
+    }
+    const step = functionToMatrix(match[1], args);
+    if (step) {
+      matrix = multiplyMatrices(matrix, step);
+    }
+  }
+
+  return matrix;
+}
+
+/**
+ * Multiplies two matrices (applies `right` first, then `left`)
+ *
+ * @param {Matrix} left - Outer transform
+ * @param {Matrix} right - Inner transform
+ * @returns {Matrix} Product matrix
+ *
+ * @example
+ * multiplyMatrices([2, 0, 0, 2, 0, 0], [1, 0, 0, 1, 5, 5]); // [2, 0, 0, 2, 10, 10]
+ */
+export function multiplyMatrices(left, right) {
+  const [a1, b1, c1, d1, e1, f1] = left;
+  const [a2, b2, c2, d2, e2, f2] = right;
+  return [
+    a1 * a2 + c1 * b2,
+    b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2,
+    b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1,
+    b1 * e2 + d1 * f2 + f1
+  ];
+}
+
+/**
+ * Gets the horizontal and vertical scale factors of a matrix
+ *
+ * @param {Matrix} matrix - Affine matrix
+ * @returns {{x: number, y: number}} Length of the transformed unit vectors
+ *
+ * @example
+ * getMatrixScale([2, 0, 0, 3, 0, 0]); // { x: 2, y: 3 }
+ */
+export function getMatrixScale(matrix) {
+  const [a, b, c, d] = matrix;
+  return { x: Math.hypot(a, b), y: Math.hypot(c, d) };
+}
+
+/**
+ * Converts one transform function to a matrix
+ *
+ * @param {string} name - Function name
+ * @param {number[]} args - Numeric arguments
+ * @returns {Matrix|null} Matrix, or null if the arguments are invalid
+ */
+function functionToMatrix(name, args) {
+  switch (name) {
+    case 'matrix':
+      return args.length === 6 ? args : null;
+    case 'translate':
+      return args.length >= 1 ? [1, 0, 0, 1, args[0], args[1] || 0] : null;
+    case 'scale':
+      return args.length >= 1 ? [args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0] : null;
+    case 'rotate': {
+      if (args.length < 1) {
+        return null;
+      }
+      const radians = (args[0] * Math.PI) / 180;
+      const cos = Math.cos(radians);
+      const sin = Math.sin(radians);
+      const rotation = [cos, sin, -sin, cos, 0, 0];
+      if (args.length < 3) {
+        return rotation;
+      }
+      // rotate(a, cx, cy) = translate(cx, cy) rotate(a) translate(-cx, -cy)
+      const [, cx, cy] = args;
+      return multiplyMatrices(multiplyMatrices([1, 0, 0, 1, cx, cy], rotation), [1, 0, 0, 1, -cx, -cy]);
+    }
+    case 'skewX':
+      return args.length >= 1 ? [1, 0, Math.tan((args[0] * Math.PI) / 180), 1, 0, 0] : null;
+    case 'skewY':
+      return args.length >= 1 ? [1, Math.tan((args[0] * Math.PI) / 180), 0, 1, 0, 0] : null;
+    default:
+      return null;
+  }
+}
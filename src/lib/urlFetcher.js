@@ -5,18 +5,22 @@
 
 import { FetchError, ValidationError } from './errorHandler.js';
 import { isValidUrl } from './validators.js';
+import { buildProxyUrl } from './corsProxy.js';
 import { ERROR_MESSAGES } from '../constants/messages.js';
 
 /**
  * Fetches SVG content from URL with proper error handling
  *
  * Validates URL format, handles network errors, CORS issues, and timeouts.
- * Includes retry logic for transient failures.
+ * Includes retry logic for transient failures. When a CORS proxy is given,
+ * a request blocked by CORS is repeated through the proxy.
  *
  * @param {string} url - URL to fetch from
  * @param {Object} [options={}] - Fetch options
  * @param {number} [options.timeout=30000] - Timeout in milliseconds
  * @param {number} [options.retries=0] - Number of retry attempts
+ * @param {string|null} [options.proxy=null] - CORS proxy URL template
+ *   (see buildProxyUrl), used only when the direct request hits CORS_ERROR
  * @returns {Promise<string>} SVG content as text
  * @throws {ValidationError} If URL format is invalid
  * @throws {FetchError} For network or HTTP errors
@@ -28,6 +32,121 @@ import { ERROR_MESSAGES } from '../constants/messages.js';
  * });
  */
 export async function fetchSvgFromUrl(url, options = {}) {
+  return fetchWithRetry(url, options, async (response) => {
+    // Get content
+    const content = await response.text();
+
+    // Validate it looks like SVG
+    if (!content.includes('<svg')) {
+      throw new FetchError(
+        'URL did not return SVG content',
+        url,
+        response.status
+      );
+    }
+
+    return content;
+  });
+}
+
+/**
+ * Fetches a text document from URL without requiring it to be SVG, so the
+ * caller can tell SVG and HTML pages apart
+ *
+ * Uses the same validation, timeout, retry, CORS and proxy handling as
+ * fetchSvgFromUrl().
+ *
+ * @param {string} url - URL to fetch from
+ * @param {Object} [options={}] - Fetch options
+ * @param {number} [options.timeout=30000] - Timeout in milliseconds
+ * @param {number} [options.retries=0] - Number of retry attempts
+ * @param {string|null} [options.proxy=null] - CORS proxy URL template
+ * @returns {Promise<{content: string, mimeType: string|null, url: string}>} Body
+ *   text, Content-Type without parameters (null if absent) and the final URL
+ *   after redirects, to resolve relative links against
+ * @throws {ValidationError} If URL format is invalid
+ * @throws {FetchError} For network or HTTP errors
+ *
+ * @example
+ * const { content, mimeType, url } = await fetchDocumentFromUrl('https://example.com/');
+ * if (isHtmlDocument(content, mimeType)) {
+ *   const sources = findPageSvgSources(content, url);
+ * }
+ */
+export async function fetchDocumentFromUrl(url, options = {}) {
+  return fetchWithRetry(url, options, async (response, proxied) => {
+    const contentType = response.headers.get('content-type');
+    const mimeType = contentType ? contentType.split(';')[0].trim().toLowerCase() : null;
+    const content = await response.text();
+
+    // A proxied response's URL is the proxy's, not the page's
+    return { content, mimeType: mimeType || null, url: (!proxied && response.url) || url };
+  });
+}
+
+/**
+ * Fetches an image from URL, e.g. an external <image> href
+ *
+ * Uses the same validation, timeout, retry, CORS and proxy handling as
+ * fetchSvgFromUrl().
+ *
+ * @param {string} url - Absolute http(s) URL of the image
+ * @param {Object} [options={}] - Fetch options
+ * @param {number} [options.timeout=30000] - Timeout in milliseconds
+ * @param {number} [options.retries=0] - Number of retry attempts
+ * @param {string|null} [options.proxy=null] - CORS proxy URL template
+ * @returns {Promise<{bytes: Uint8Array, mimeType: string|null}>} Image bytes and
+ *   the Content-Type without parameters (null if absent)
+ * @throws {ValidationError} If URL format is invalid
+ * @throws {FetchError} For network or HTTP errors
+ *
+ * @example
+ * const { bytes, mimeType } = await fetchImageFromUrl('https://example.com/photo.png');
+ */
+export async function fetchImageFromUrl(url, options = {}) {
+  return fetchWithRetry(url, options, async (response) => {
+    const contentType = response.headers.get('content-type');
+    const mimeType = contentType ? contentType.split(';')[0].trim().toLowerCase() : null;
+    const bytes = new Uint8Array(await response.arrayBuffer());
+
+    return { bytes, mimeType: mimeType || null };
+  });
+}
+
+/**
+ * Fetches a URL with timeout and retries, falling back to the CORS proxy
+ * (if any) when the direct request is blocked by CORS
+ *
+ * @param {string} url - URL to fetch from
+ * @param {{timeout?: number, retries?: number, proxy?: string|null}} options - Fetch options
+ * @param {function(Response, boolean): Promise<*>} readResponse - Reads the body of a
+ *   2xx response, told whether it came through the proxy; may throw FetchError to reject it
+ * @returns {Promise<*>} Value returned by readResponse
+ */
+async function fetchWithRetry(url, options, readResponse) {
+  const { proxy = null, ...requestOptions } = options;
+
+  try {
+    return await request(url, requestOptions, response => readResponse(response, false));
+  } catch (error) {
+    if (proxy && error instanceof FetchError && error.message === ERROR_MESSAGES.CORS_ERROR) {
+      return request(buildProxyUrl(proxy, url), requestOptions, response => readResponse(response, true));
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fetches a URL with timeout and retries, handing successful responses to
+ * a reader
+ *
+ * @param {string} url - URL to fetch from
+ * @param {{timeout?: number, retries?: number}} options - Fetch options
+ * @param {function(Response): Promise<*>} readResponse - Reads the body of a
+ *   2xx response; may throw FetchError to reject it
+ * @returns {Promise<*>} Value returned by readResponse
+ */
+async function request(url, options, readResponse) {
   const { timeout = 30000, retries = 0 } = options;
 
   // Validate URL
@@ -62,19 +181,7 @@ export async function fetchSvgFromUrl(url, options = {}) {
           );
         }
 
-        // Get content
-        const content = await response.text();
-
-        // Validate it looks like SVG
-        if (!content.includes('<svg')) {
-          throw new FetchError(
-            'URL did not return SVG content',
-            url,
-            response.status
-          );
-        }
-
-        return content;
+        return await readResponse(response);
 
       } catch (error) {
         clearTimeout(timeoutId);
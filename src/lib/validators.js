@@ -3,6 +3,12 @@
  * @module lib/validators
  */
 
+/**
+ * Default size limit for files parsed in full (see isValidFile)
+ * @type {number}
+ */
+export const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024;
+
 /**
  * Validates URL format
  *
@@ -53,28 +59,37 @@ export function isValidSvg(content) {
  * Validates file
  *
  * Checks file size and type to ensure it's a valid SVG file under the size limit.
+ * Gzip-compressed SVG (.svgz) and ZIP archives are accepted as well.
  *
  * @param {File} file - File object to validate
+ * @param {Object} [options={}] - Validation options
+ * @param {number} [options.maxSize=DEFAULT_MAX_FILE_SIZE] - Size limit in bytes
+ *   (Infinity for none)
  * @returns {{valid: boolean, error: string|null}} Validation result
  *
  * @example
  * isValidFile(fileObject); // { valid: true, error: null }
+ * isValidFile(hugeFile, { maxSize: Infinity }); // only the type is checked
  */
-export function isValidFile(file) {
-  const maxSize = 10 * 1024 * 1024; // 10MB
-  const validTypes = ['image/svg+xml', 'text/xml', 'application/xml'];
+export function isValidFile(file, options = {}) {
+  const { maxSize = DEFAULT_MAX_FILE_SIZE } = options;
+  const validTypes = [
+    'image/svg+xml', 'text/xml', 'application/xml',
+    'application/gzip', 'application/x-gzip',
+    'application/zip', 'application/x-zip-compressed'
+  ];
 
   if (!file) {
     return { valid: false, error: 'No file provided' };
   }
 
   if (file.size > maxSize) {
-    return { valid: false, error: 'File size exceeds 10MB limit' };
+    return { valid: false, error: `File size exceeds ${Math.round(maxSize / (1024 * 1024))}MB limit` };
   }
 
   // Check MIME type or file extension
-  if (!validTypes.includes(file.type) && !file.name.endsWith('.svg')) {
-    return { valid: false, error: 'File must be an SVG file' };
+  if (!validTypes.includes(file.type) && !/\.(svgz?|zip)$/i.test(file.name)) {
+    return { valid: false, error: 'File must be an SVG file (.svg, .svgz) or a ZIP archive' };
   }
 
   return { valid: true, error: null };
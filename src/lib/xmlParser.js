@@ -0,0 +1,85 @@
+/**
+ * @fileoverview XML parsing and serialization with a pluggable implementation
+ * @module lib/xmlParser
+ */
+
+import { ERROR_MESSAGES } from '../constants/messages.js';
+
+/**
+ * @typedef {Object} XmlImplementation
+ * @property {typeof DOMParser} DOMParser - DOMParser-compatible class
+ * @property {typeof XMLSerializer} [XMLSerializer] - XMLSerializer-compatible class,
+ *   needed by functions that write SVG (externalizeImages, replaceEmbeddedImage...)
+ */
+
+/**
+ * Implementation set with setXmlParser(), used instead of the globals
+ * @type {XmlImplementation|null}
+ */
+let implementation = null;
+
+/**
+ * Sets the XML parser used where the platform has no DOMParser, such as Node
+ *
+ * Any DOMParser/XMLSerializer pair implementing the DOM Core API works,
+ * e.g. @xmldom/xmldom or linkedom (which also parses the 'text/html' that
+ * findPageSvgSources needs). Pass null to go back to the globals.
+ *
+ * @param {XmlImplementation|null} xml - Parser classes, or null
+ *
+ * @example
+ * import { DOMParser, XMLSerializer } from '@xmldom/xmldom';
+ * setXmlParser({ DOMParser, XMLSerializer });
+ * const images = extractImages(svg);
+ */
+export function setXmlParser(xml) {
+  implementation = xml;
+}
+
+/**
+ * Parses markup, returning null when the parser reports an error
+ *
+ * Both browser-style errors (a <parsererror> element in the result) and
+ * parsers that throw are handled.
+ *
+ * @param {string} text - Markup
+ * @param {string} [mimeType='image/svg+xml'] - Type passed to parseFromString
+ * @returns {Document|null} Parsed document
+ * @throws {Error} If no parser is available
+ *
+ * @example
+ * const doc = parseXml('<svg xmlns="http://www.w3.org/2000/svg"/>');
+ */
+export function parseXml(text, mimeType = 'image/svg+xml') {
+  const Parser = implementation?.DOMParser || globalThis.DOMParser;
+  if (!Parser) {
+    throw new Error(ERROR_MESSAGES.NO_XML_PARSER);
+  }
+
+  let doc;
+  try {
+    doc = new Parser().parseFromString(text, mimeType);
+  } catch {
+    return null;
+  }
+
+  if (!doc || !doc.documentElement || doc.getElementsByTagName('parsererror').length > 0) {
+    return null;
+  }
+  return doc;
+}
+
+/**
+ * Serializes a document or element back to markup
+ *
+ * @param {Node} node - Document or element
+ * @returns {string} Markup
+ * @throws {Error} If no serializer is available
+ */
+export function serializeXml(node) {
+  const Serializer = implementation?.XMLSerializer || globalThis.XMLSerializer;
+  if (!Serializer) {
+    throw new Error(ERROR_MESSAGES.NO_XML_PARSER);
+  }
+  return new Serializer().serializeToString(node);
+}
@@ -5,6 +5,24 @@
 
 import JSZip from 'jszip';
 import { ERROR_MESSAGES } from '../constants/messages.js';
+import { decodeDataUrl } from './dataUrl.js';
+import { groupDuplicateImages } from './imageDeduplicator.js';
+import { buildFilename, createUniqueNamer, DEFAULT_FILENAME_TEMPLATE } from './filenameTemplate.js';
+import {
+  createManifestEntry,
+  serializeManifestJson,
+  serializeManifestCsv,
+  MANIFEST_JSON_FILENAME,
+  MANIFEST_CSV_FILENAME
+} from './zipManifest.js';
+import { convertImage, needsConversion } from './imageConverter.js';
+
+/**
+ * Name of the file mapping each written image to the SVG elements that
+ * referenced it (written in deduplicated exports)
+ * @type {string}
+ */
+export const IMAGE_MAP_FILENAME = 'image-map.json';
 
 /**
  * Generates a ZIP file from multiple images
@@ -12,50 +30,110 @@ import { ERROR_MESSAGES } from '../constants/messages.js';
  * Creates a ZIP archive containing all provided images with proper filenames.
  * Supports progress tracking via callback for user feedback during generation.
  *
+ * With `unique`, identical images (see groupDuplicateImages) are written
+ * once, and an image-map.json lists the SVG elements that referenced each file.
+ *
+ * Images from several SVG files (see processSvgFiles) are written to one
+ * folder per `sourceFile`, each numbered from image-1 and deduplicated on
+ * its own.
+ *
+ * With `conversion`, images are re-encoded to another format (see
+ * convertImage); filenames take the new extension.
+ *
+ * Filenames follow `filenameTemplate` (see buildFilename), with {index}
+ * counting within each folder; repeated names are numbered.
+ *
+ * With `svgs` (see externalizeImages), each rewritten SVG is written with
+ * the image files it links to, at the paths it uses; several SVGs get a
+ * folder each. `images` may then be empty.
+ *
+ * With `manifest`, manifest.json and manifest.csv at the archive root
+ * describe every written file: its source SVG, element, formats, size,
+ * dimensions, hash and warnings (see createManifestEntry).
+ *
  * @param {Array<Object>} images - Array of extracted image objects
  * @param {Function} [progressCallback] - Optional callback for progress updates (receives percent)
- * @returns {Promise<Blob>} ZIP file as Blob
- * @throws {Error} If ZIP generation fails
+ * @param {Object} [options={}] - Export options
+ * @param {boolean} [options.unique=false] - Write each distinct image only once
+ * @param {import('./imageConverter.js').ConversionOptions|null} [options.conversion=null] - Convert
+ *   images to another format
+ * @param {string} [options.filenameTemplate=DEFAULT_FILENAME_TEMPLATE] - Image filename template
+ * @param {boolean} [options.manifest=false] - Write manifest.json and manifest.csv
+ * @param {import('./svgExternalizer.js').ExternalizedSvg[]} [options.svgs=[]] - Rewritten
+ *   SVGs to bundle with their image files
+ * @param {'blob'|'uint8array'|'nodebuffer'} [options.type='blob'] - Output type;
+ *   'uint8array' or 'nodebuffer' where Blob is not wanted, e.g. in Node
+ * @returns {Promise<Blob|Uint8Array>} ZIP file (a Blob unless `type` says otherwise)
+ * @throws {Error} If ZIP generation fails, or the browser cannot encode the
+ *   conversion format
  *
  * @example
  * const zipBlob = await generateZip(images, (percent) => {
  *   console.log(`Progress: ${percent}%`);
  * });
+ *
+ * @example
+ * await hashImages(images);
+ * const zipBlob = await generateZip(images, null, { unique: true });
+ *
+ * @example
+ * const zipBlob = await generateZip(images, null, { conversion: { format: 'image/webp', quality: 0.8 } });
+ *
+ * @example
+ * await hashImages(images);
+ * const zipBlob = await generateZip(images, null, { manifest: true });
+ *
+ * @example
+ * const cleaned = externalizeImages(svgContent, { name: 'logo.svg' });
+ * const zipBlob = await generateZip([], null, { svgs: [cleaned] });
+ *
+ * @example
+ * // Node: write the archive to disk
+ * const bytes = await generateZip(images, null, { type: 'uint8array' });
+ * await fs.promises.writeFile('images.zip', bytes);
  */
-export async function generateZip(images, progressCallback = null) {
-  if (!images || images.length === 0) {
+export async function generateZip(images, progressCallback = null, options = {}) {
+  const {
+    unique = false,
+    conversion = null,
+    filenameTemplate = DEFAULT_FILENAME_TEMPLATE,
+    manifest = false,
+    svgs = [],
+    type = 'blob'
+  } = options;
+  const naming = { template: filenameTemplate, date: new Date() };
+
+  if ((!images || images.length === 0) && svgs.length === 0) {
     throw new Error('No images provided for ZIP generation');
   }
 
   try {
     const zip = new JSZip();
 
-    // Add each image to the ZIP (filter valid images first)
-    const validImages = images.filter((img, index) => {
-      const base64Data = img.dataUrl?.split(',')[1];
-      if (!base64Data || base64Data.length === 0) {
-        console.warn(`Image at index ${index} has no valid base64 data, skipping`);
-        return false;
-      }
-      return true;
-    });
+    const sources = images.length > 0 ? groupBySourceFile(images) : [];
+    const folderNames = sources.length > 1 ? getFolderNames(sources.map(({ sourceFile }) => sourceFile)) : [''];
 
-    if (validImages.length === 0) {
-      throw new Error('No valid images to include in ZIP');
+    const written = [];
+    for (const [position, { images: sourceImages }] of sources.entries()) {
+      written.push(...await addImagesToZip(zip, sourceImages, folderNames[position], { unique, conversion, naming }));
     }
 
-    validImages.forEach((img, index) => {
-      const filename = generateFilename(img, index);
-      const base64Data = img.dataUrl.split(',')[1];
+    const svgFolders = svgs.length > 1 ? getFolderNames(svgs.map(({ name }) => name)) : [''];
+    svgs.forEach((document, position) => addSvgToZip(zip, document, svgFolders[position]));
+
+    if (written.length === 0 && svgs.length === 0) {
+      throw new Error('No valid images to include in ZIP');
+    }
 
-      // Add file to ZIP
-      zip.file(filename, base64Data, { base64: true });
-    });
+    if (manifest) {
+      zip.file(MANIFEST_JSON_FILENAME, serializeManifestJson(written, naming.date));
+      zip.file(MANIFEST_CSV_FILENAME, serializeManifestCsv(written));
+    }
 
     // Generate ZIP with compression
-    const blob = await zip.generateAsync(
+    const archive = await zip.generateAsync(
       {
-        type: 'blob',
+        type,
         compression: 'DEFLATE',
         compressionOptions: {
           level: 6 // Balance between speed and size
@@ -69,37 +147,216 @@ export async function generateZip(images, progressCallback = null) {
       }
     );
 
-    return blob;
+    return archive;
 
   } catch (error) {
+    // The user can pick another format; other failures are generic
+    if (error.message === ERROR_MESSAGES.FORMAT_NOT_SUPPORTED) {
+      throw error;
+    }
     console.error('ZIP generation failed:', error);
     throw new Error(ERROR_MESSAGES.ZIP_GENERATION_FAILED);
   }
 }
 
+/**
+ * Writes one source's images (and image map) into the ZIP
+ *
+ * @param {JSZip} zip - Archive being built
+ * @param {Array<Object>} images - Images of one source
+ * @param {string} folder - Folder name, '' for the archive root
+ * @param {Object} options - Export options
+ * @param {boolean} options.unique - Write each distinct image only once
+ * @param {import('./imageConverter.js').ConversionOptions|null} options.conversion - Conversion options
+ * @param {{template: string, date: Date}} options.naming - Filename template and date
+ * @returns {Promise<import('./zipManifest.js').ManifestEntry[]>} One entry per image written
+ */
+async function addImagesToZip(zip, images, folder, options) {
+  const { unique, conversion, naming } = options;
+  const uniqueName = createUniqueNamer(unique ? [IMAGE_MAP_FILENAME] : []);
+  const target = folder ? zip.folder(folder) : zip;
+
+  // One entry per image, or per group of identical images
+  const entries = unique
+    ? groupDuplicateImages(images).map(group => ({ img: group.image, group }))
+    : images.map(img => ({ img, group: null }));
+
+  // Decode each image first, skipping any without usable data
+  const validImages = [];
+  entries.forEach(({ img, group }, index) => {
+    let bytes;
+    try {
+      bytes = decodeDataUrl(img.dataUrl);
+    } catch (error) {
+      console.warn(`Image at index ${index} has no valid data, skipping:`, error.message);
+      return;
+    }
+    if (bytes.length === 0) {
+      console.warn(`Image at index ${index} has no valid data, skipping`);
+      return;
+    }
+    validImages.push({ img, group, bytes });
+  });
+
+  const imageMap = {};
+  const manifestEntries = [];
+
+  for (const [index, { img, group, bytes }] of validImages.entries()) {
+    let data = bytes;
+    let format = img.format;
+    let size = bytes.length;
+    let dimensions = {};
+    const warnings = [];
+    if (conversion && needsConversion(img, conversion)) {
+      try {
+        const converted = await convertImage(img, conversion);
+        ({ blob: data, format } = converted);
+        size = converted.blob.size;
+        dimensions = { width: converted.width, height: converted.height };
+      } catch (error) {
+        if (error.message === ERROR_MESSAGES.FORMAT_NOT_SUPPORTED) {
+          throw error;
+        }
+        console.warn(`Image at index ${index} could not be converted, keeping its format:`, error.message);
+        warnings.push(`Not converted: ${error.message}`);
+      }
+    }
+
+    // Numbered like the cards and single downloads, not by position in this folder
+    const filename = uniqueName(generateFilename({ ...img, format }, img.index ?? index, naming));
+
+    // Add file to ZIP
+    target.file(filename, data);
+
+    if (group) {
+      imageMap[filename] = describeReferences(group);
+    }
+
+    manifestEntries.push(createManifestEntry(img, {
+      file: folder ? `${folder}/${filename}` : filename,
+      format,
+      size,
+      ...dimensions,
+      warnings
+    }));
+  }
+
+  if (unique && validImages.length > 0) {
+    target.file(IMAGE_MAP_FILENAME, JSON.stringify(imageMap, null, 2));
+  }
+
+  return manifestEntries;
+}
+
+/**
+ * Writes a rewritten SVG and the image files it links to into the ZIP
+ *
+ * @param {JSZip} zip - Archive being built
+ * @param {import('./svgExternalizer.js').ExternalizedSvg} document - Rewritten SVG
+ * @param {string} folder - Folder name, '' for the archive root
+ */
+function addSvgToZip(zip, document, folder) {
+  const target = folder ? zip.folder(folder) : zip;
+  const name = (document.name || '').split(/[\\/]/).pop() || 'image.svg';
+
+  target.file(name, document.svg);
+  document.files.forEach((file) => {
+    target.file(file.path, decodeDataUrl(file.dataUrl));
+  });
+}
+
+/**
+ * Splits images by the SVG file they came from, in order of first appearance
+ *
+ * @param {Array<Object>} images - Extracted images
+ * @returns {Array<{sourceFile: string, images: Array<Object>}>} Images per source
+ *   (a single group with sourceFile '' when no image has one)
+ */
+function groupBySourceFile(images) {
+  const groups = new Map();
+  images.forEach((image) => {
+    const sourceFile = image.sourceFile || '';
+    if (!groups.has(sourceFile)) {
+      groups.set(sourceFile, { sourceFile, images: [] });
+    }
+    groups.get(sourceFile).images.push(image);
+  });
+  return Array.from(groups.values());
+}
+
+/**
+ * Derives distinct, filesystem-safe folder names from source file names
+ *
+ * Relative paths (folder uploads, files inside ZIP archives) keep their
+ * structure: 'icons/social/logo.svg' becomes 'icons/social/logo'.
+ *
+ * @param {string[]} sourceFiles - Source names, possibly relative paths
+ * @returns {string[]} Folder paths in the same order
+ *
+ * @example
+ * getFolderNames(['icons/logo.svg', 'logo.svgz', 'logo.svg']); // ['icons/logo', 'logo', 'logo-2']
+ */
+export function getFolderNames(sourceFiles) {
+  const used = new Set();
+  return sourceFiles.map((sourceFile) => {
+    const segments = (sourceFile || '')
+      .split(/[\\/]+/)
+      .filter(segment => segment && segment !== '.' && segment !== '..')
+      .map(segment => segment.replace(/[:*?"<>|\u0000-\u001f]+/g, '_').replace(/^\.+/, '_'));
+    if (segments.length > 0) {
+      segments[segments.length - 1] = segments[segments.length - 1].replace(/\.svgz?$/i, '') || '_';
+    }
+    const base = segments.join('/') || 'untitled';
+
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+      name = `${base}-${n}`;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+/**
+ * Lists the SVG elements that referenced a group of identical images
+ *
+ * @param {import('./imageDeduplicator.js').DuplicateGroup} group - Duplicate group
+ * @returns {Object} Image map entry
+ */
+function describeReferences(group) {
+  return {
+    hash: group.image.hash || null,
+    count: group.images.length,
+    references: group.images.map((image, position) => ({
+      index: group.indices[position],
+      source: image.source || null,
+      elementId: image.elementId || null,
+      elementPath: image.elementPath || null,
+      path: image.path || null
+    }))
+  };
+}
+
 /**
  * Generates a filename for an image
  *
- * Creates descriptive filenames based on image format and index.
- * Format: image-{number}.{extension}
+ * Creates filenames from a template (see buildFilename), by default
+ * image-{number}.{extension}.
  *
  * @param {Object} image - Image object
- * @param {string} image.format - Image MIME type
+ * @param {string} image.format - Image MIME type (the detected format for extracted images)
  * @param {number} index - Image index
+ * @param {{template?: string, date?: Date}} [options={}] - Filename template and date
  * @returns {string} Generated filename
  *
  * @example
  * generateFilename({ format: 'image/png' }, 0); // 'image-1.png'
  * generateFilename({ format: 'image/jpeg' }, 5); // 'image-6.jpeg'
+ * generateFilename({ format: 'image/svg+xml' }, 0); // 'image-1.svg'
+ * generateFilename({ format: 'image/png', elementId: 'logo' }, 0, { template: '{id}' }); // 'logo.png'
  */
-export function generateFilename(image, index) {
-  // Extract extension from MIME type
-  // e.g., 'image/png' -> 'png'
-  const format = image.format || 'image/png';
-  const ext = format.split('/')[1] || 'png';
-
-  // Use 1-based numbering for user-friendliness
-  return `image-${index + 1}.${ext}`;
+export function generateFilename(image, index, options = {}) {
+  return buildFilename(image, { ...options, index, format: image.format || 'image/png' });
 }
 
 /**
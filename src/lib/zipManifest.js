@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Manifest describing the images written to a ZIP export
+ * @module lib/zipManifest
+ */
+
+/**
+ * Name of the JSON manifest at the archive root
+ * @type {string}
+ */
+export const MANIFEST_JSON_FILENAME = 'manifest.json';
+
+/**
+ * Name of the CSV manifest at the archive root
+ * @type {string}
+ */
+export const MANIFEST_CSV_FILENAME = 'manifest.csv';
+
+/**
+ * Manifest fields, in CSV column order
+ * @type {string[]}
+ */
+export const MANIFEST_FIELDS = [
+  'file',
+  'sourceFile',
+  'index',
+  'elementId',
+  'elementPath',
+  'declaredFormat',
+  'detectedFormat',
+  'format',
+  'size',
+  'width',
+  'height',
+  'hash',
+  'warnings'
+];
+
+/**
+ * @typedef {Object} ManifestEntry
+ * @property {string} file - Path of the file in the archive
+ * @property {string|null} sourceFile - SVG the image was extracted from
+ * @property {number} index - Position of the image in the extraction results
+ * @property {string|null} elementId - id attribute of the referencing element
+ * @property {string|null} elementPath - Path of the referencing element in the SVG
+ * @property {string|null} declaredFormat - MIME type declared by the data URL
+ * @property {string|null} detectedFormat - MIME type detected from the bytes
+ * @property {string} format - MIME type of the written file
+ * @property {number} size - Size of the written file in bytes
+ * @property {number|null} width - Pixel width of the written file
+ * @property {number|null} height - Pixel height of the written file
+ * @property {string|null} hash - SHA-256 of the extracted image (before conversion)
+ * @property {string[]} warnings - Problems found with the image
+ */
+
+/**
+ * Describes one written file for the manifest
+ *
+ * @param {Object} image - Extracted image
+ * @param {Object} written - What was written to the archive
+ * @param {string} written.file - Path in the archive
+ * @param {string} written.format - MIME type of the file
+ * @param {number} written.size - Size in bytes
+ * @param {number|null} [written.width] - Pixel width (default: the image's)
+ * @param {number|null} [written.height] - Pixel height (default: the image's)
+ * @param {string[]} [written.warnings=[]] - Export problems, added to the image's own
+ * @returns {ManifestEntry} Manifest entry
+ *
+ * @example
+ * createManifestEntry(image, { file: 'logo/image-1.png', format: 'image/png', size: 1534 });
+ */
+export function createManifestEntry(image, written) {
+  return {
+    file: written.file,
+    sourceFile: image.sourceFile || null,
+    index: image.index,
+    elementId: image.elementId || null,
+    elementPath: image.elementPath || null,
+    declaredFormat: image.declaredFormat || null,
+    detectedFormat: image.detectedFormat || null,
+    format: written.format,
+    size: written.size,
+    width: written.width !== undefined ? written.width : image.width ?? null,
+    height: written.height !== undefined ? written.height : image.height ?? null,
+    hash: image.hash || null,
+    warnings: [...getImageWarnings(image), ...(written.warnings || [])]
+  };
+}
+
+/**
+ * Lists what is questionable about an extracted image
+ *
+ * @param {Object} image - Extracted image
+ * @returns {string[]} Warnings, empty if none
+ *
+ * @example
+ * getImageWarnings({ formatMismatch: true, declaredFormat: 'image/png', detectedFormat: 'image/jpeg' });
+ * // ['Declared as image/png but the data is image/jpeg']
+ */
+export function getImageWarnings(image) {
+  const warnings = [];
+  if (image.formatMismatch) {
+    warnings.push(`Declared as ${image.declaredFormat} but the data is ${image.detectedFormat}`);
+  }
+  if (image.detectedFormat === null) {
+    warnings.push('Format could not be detected from the data');
+  }
+  if (image.rendered === false) {
+    warnings.push('Defined but never rendered');
+  }
+  return warnings;
+}
+
+/**
+ * Serializes manifest entries as JSON
+ *
+ * @param {ManifestEntry[]} entries - Manifest entries
+ * @param {Date} [date=new Date()] - Export date
+ * @returns {string} JSON text
+ */
+export function serializeManifestJson(entries, date = new Date()) {
+  return JSON.stringify({ generated: date.toISOString(), imageCount: entries.length, images: entries }, null, 2);
+}
+
+/**
+ * Serializes manifest entries as CSV (RFC 4180), one row per file, with
+ * warnings joined by '; '
+ *
+ * @param {ManifestEntry[]} entries - Manifest entries
+ * @returns {string} CSV text with a header row
+ *
+ * @example
+ * serializeManifestCsv(entries);
+ * // 'file,sourceFile,index,...\r\nimage-1.png,logo.svg,0,...'
+ */
+export function serializeManifestCsv(entries) {
+  const rows = entries.map(entry => MANIFEST_FIELDS.map((field) => {
+    const value = entry[field];
+    return escapeCsvValue(Array.isArray(value) ? value.join('; ') : value);
+  }).join(','));
+
+  return [MANIFEST_FIELDS.join(','), ...rows].join('\r\n');
+}
+
+/**
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell, quoted when needed
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { gzipSync } from 'node:zlib';
+import JSZip from 'jszip';
+import { isGzip, isZipFile, gunzip, expandZipArchive, MAX_EXPANDED_SIZE } from '../../src/lib/archiveReader.js';
+import { readSvgFile } from '../../src/lib/fileReader.js';
+import { processSvgFiles } from '../../src/lib/batchProcessor.js';
+
+const svg = '<svg xmlns="http://www.w3.org/2000/svg"><image href="data:image/png;base64,AAA" /></svg>';
+
+const makeZip = async (entries) => {
+  const zip = new JSZip();
+  Object.entries(entries).forEach(([path, content]) => zip.file(path, content));
+  const bytes = await zip.generateAsync({ type: 'uint8array' });
+  return new File([bytes], 'icons.zip', { type: 'application/zip' });
+};
+
+describe('archiveReader', () => {
+  describe('isGzip / isZipFile', () => {
+    it('should recognize gzip data and ZIP files', () => {
+      expect(isGzip(new Uint8Array(gzipSync(svg)))).toBe(true);
+      expect(isGzip(new TextEncoder().encode(svg))).toBe(false);
+      expect(isZipFile(new File([''], 'ICONS.ZIP'))).toBe(true);
+      expect(isZipFile(new File([''], 'archive', { type: 'application/zip' }))).toBe(true);
+      expect(isZipFile(new File([''], 'logo.svg'))).toBe(false);
+    });
+  });
+
+  describe('gunzip', () => {
+    it('should decompress gzip data', async () => {
+      const bytes = await gunzip(new Uint8Array(gzipSync(svg)));
+      expect(new TextDecoder().decode(bytes)).toBe(svg);
+    });
+
+    it('should reject corrupt data', async () => {
+      await expect(gunzip(new Uint8Array([0x1f, 0x8b, 1, 2, 3]))).rejects.toThrow();
+    });
+  });
+
+  describe('readSvgFile (.svgz)', () => {
+    it('should decompress .svgz files', async () => {
+      const file = new File([gzipSync(svg)], 'logo.svgz', { type: 'image/svg+xml' });
+      expect(await readSvgFile(file)).toBe(svg);
+    });
+
+    it('should read .svgz files that are not actually compressed', async () => {
+      const file = new File([svg], 'logo.svgz');
+      expect(await readSvgFile(file)).toBe(svg);
+    });
+  });
+
+  describe('expandZipArchive', () => {
+    it('should list SVG and SVGZ entries with their archive paths', async () => {
+      const archive = await makeZip({
+        'logo.svg': svg,
+        'social/share.svgz': gzipSync(svg),
+        'readme.txt': 'hello',
+        '__MACOSX/._logo.svg': 'junk',
+        '.hidden/secret.svg': svg
+      });
+
+      const files = await expandZipArchive(archive);
+
+      expect(files.map(file => file.webkitRelativePath)).toEqual(['icons.zip/logo.svg', 'icons.zip/social/share.svgz']);
+      expect(files.map(file => file.name)).toEqual(['logo.svg', 'share.svgz']);
+    });
+
+    it('should reject entries whose declared size exceeds the limit before inflating them', async () => {
+      const bytes = await new JSZip().file('bomb.svg', svg).generateAsync({ type: 'uint8array' });
+      // Patch the uncompressed size in the central directory header (PK\x01\x02, offset 24)
+      const view = new DataView(bytes.buffer);
+      for (let i = 0; i < bytes.length - 4; i++) {
+        if (view.getUint32(i, true) === 0x02014b50) {
+          view.setUint32(i + 24, MAX_EXPANDED_SIZE + 1, true);
+        }
+      }
+
+      await expect(expandZipArchive(new File([bytes], 'bomb.zip'))).rejects.toThrow('beyond the 100MB limit');
+    });
+
+    it('should accept archives over the single-file limit and honour maxSize', async () => {
+      const zip = new JSZip().file('logo.svg', svg).file('padding.bin', new Uint8Array(11 * 1024 * 1024), { compression: 'STORE' });
+      const archive = new File([await zip.generateAsync({ type: 'uint8array' })], 'big.zip');
+
+      expect(await expandZipArchive(archive)).toHaveLength(1);
+      await expect(expandZipArchive(archive, { maxSize: 1024 * 1024 })).rejects.toThrow('File size exceeds 1MB limit');
+    });
+
+    it('should find the declared entry sizes where the pre-inflate check reads them', async () => {
+      // expandZipArchive relies on JSZip's private _data; this fails if a JSZip update moves it
+      const zip = await JSZip.loadAsync(await new JSZip().file('logo.svg', svg).generateAsync({ type: 'uint8array' }));
+
+      expect(zip.files['logo.svg']._data.uncompressedSize).toBe(svg.length);
+    });
+
+    it('should reject files that are not ZIP archives', async () => {
+      await expect(expandZipArchive(new File(['not a zip'], 'broken.zip'))).rejects.toThrow('Failed to read ZIP archive');
+    });
+  });
+
+  describe('processSvgFiles (archives)', () => {
+    it('should expand archives into one source per SVG', async () => {
+      const archive = await makeZip({ 'a.svg': svg, 'nested/b.svgz': gzipSync(svg) });
+
+      const results = await processSvgFiles([archive, new File([svg], 'c.svg')]);
+
+      expect(results.map(result => result.name)).toEqual(['icons.zip/a.svg', 'icons.zip/nested/b.svgz', 'c.svg']);
+      expect(results.every(result => result.images.length === 1)).toBe(true);
+      expect(results[1].images[0].sourceFile).toBe('icons.zip/nested/b.svgz');
+    });
+
+    it('should report archives without SVG files', async () => {
+      const archive = await makeZip({ 'readme.txt': 'hello' });
+
+      const results = await processSvgFiles([archive]);
+
+      expect(results).toHaveLength(1);
+      expect(results[0].name).toBe('icons.zip');
+      expect(results[0].error.message).toBe('ZIP archive does not contain any SVG files');
+    });
+  });
+});
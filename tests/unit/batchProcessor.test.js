@@ -0,0 +1,153 @@
+import { describe, it, expect, vi } from 'vitest';
+import { File as NodeFile } from 'node:buffer';
+import { processSvgFiles, processSvgSources, getSourceName, FILE_STATUS } from '../../src/lib/batchProcessor.js';
+
+const svgFile = (name, body) => new File([`<svg>${body}</svg>`], name, { type: 'image/svg+xml' });
+
+describe('batchProcessor', () => {
+  describe('processSvgFiles', () => {
+    it('should extract images from every file, tagged with their source', async () => {
+      const results = await processSvgFiles([
+        svgFile('a.svg', '<image href="data:image/png;base64,AAA" /><image href="data:image/png;base64,BBB" />'),
+        svgFile('b.svg', '<image href="data:image/gif;base64,CCC" /><image href="photo.png" />')
+      ]);
+
+      expect(results.map(result => result.name)).toEqual(['a.svg', 'b.svg']);
+      expect(results[0].images).toHaveLength(2);
+      expect(results[1].images[0].sourceFile).toBe('b.svg');
+      expect(results[1].linkedImages[0].sourceFile).toBe('b.svg');
+      expect(results[1].content).toContain('<svg>');
+    });
+
+    it('should number images and IDs across the batch', async () => {
+      const results = await processSvgFiles([
+        svgFile('a.svg', '<image href="data:image/png;base64,AAA" />'),
+        svgFile('b.svg', '<image href="data:image/png;base64,BBB" />')
+      ]);
+      const images = results.flatMap(result => result.images);
+
+      expect(images.map(img => img.index)).toEqual([0, 1]);
+      expect(new Set(images.map(img => img.id)).size).toBe(2);
+    });
+
+    it('should keep nested images pointing at their parent', async () => {
+      const nested = btoa('<svg xmlns="http://www.w3.org/2000/svg"><image href="data:image/png;base64,INNER" /></svg>');
+      const results = await processSvgFiles([
+        svgFile('a.svg', '<image href="data:image/png;base64,AAA" />'),
+        svgFile('b.svg', `<image href="data:image/svg+xml;base64,${nested}" />`)
+      ], { recursive: true });
+      const [parent, child] = results[1].images;
+
+      expect(child.parentId).toBe(parent.id);
+      expect(child.index).toBe(2);
+    });
+
+    it('should report failed files without stopping the batch', async () => {
+      const results = await processSvgFiles([
+        new File(['not svg'], 'notes.txt', { type: 'text/plain' }),
+        svgFile('broken.svg', '<image></svg'),
+        svgFile('ok.svg', '<image href="data:image/png;base64,AAA" />')
+      ]);
+
+      expect(results[0].error.message).toContain('SVG file');
+      expect(results[1].error).toBeInstanceOf(Error);
+      expect(results[2].error).toBeNull();
+      expect(results[2].images).toHaveLength(1);
+      expect(results[2].images[0].index).toBe(0);
+    });
+
+    it('should report per-file progress', async () => {
+      const progress = vi.fn();
+      await processSvgFiles([
+        svgFile('a.svg', '<image href="data:image/png;base64,AAA" />'),
+        new File(['x'], 'b.png', { type: 'image/png' })
+      ], {}, progress);
+
+      const events = progress.mock.calls.map(([event]) => event);
+      expect(events.slice(0, 2).map(event => event.status)).toEqual([FILE_STATUS.PENDING, FILE_STATUS.PENDING]);
+      expect(events).toContainEqual(expect.objectContaining({ name: 'a.svg', status: FILE_STATUS.DONE, imageCount: 1 }));
+      expect(events).toContainEqual(expect.objectContaining({ name: 'b.png', status: FILE_STATUS.FAILED, fileIndex: 1, total: 2 }));
+    });
+  });
+
+  describe('processSvgSources', () => {
+    it('should load each source and resolve its links against its own base URL', async () => {
+      const results = await processSvgSources([
+        { name: 'inline-svg-1', location: '/html/body[1]/svg[1]', load: async () => '<svg><image href="a.png" /></svg>' },
+        { name: 'img-1-logo.svg', baseUrl: 'https://example.com/art/logo.svg', load: async () => '<svg><image href="b.png" /></svg>' }
+      ], { baseUrl: 'https://example.com/' });
+
+      expect(results[0].location).toBe('/html/body[1]/svg[1]');
+      expect(results[1].location).toBeNull();
+      expect(results[0].linkedImages[0].url).toBe('https://example.com/a.png');
+      expect(results[1].linkedImages[0].url).toBe('https://example.com/art/b.png');
+      expect(results[1].linkedImages[0].index).toBe(1);
+    });
+
+    it('should report sources with a known error as failed without loading them', async () => {
+      const load = vi.fn();
+      const results = await processSvgSources([{ name: 'img-1', load, error: new Error('unreachable') }]);
+
+      expect(load).not.toHaveBeenCalled();
+      expect(results[0].error.message).toBe('unreachable');
+    });
+
+    it('should report images found by a streaming scan while reading', async () => {
+      const progress = [];
+      const scan = async ({ onImage, onProgress }) => {
+        onProgress(50);
+        onImage({});
+        onProgress(100);
+        return [{ index: 0, id: 'img-1-0', depth: 0, parentId: null }];
+      };
+      const results = await processSvgSources([{ name: 'huge.svg', scan }], {}, p => progress.push(p));
+
+      expect(results[0].streamed).toBe(true);
+      expect(results[0].content).toBeNull();
+      expect(results[0].images[0].sourceFile).toBe('huge.svg');
+      expect(progress.filter(p => p.status === FILE_STATUS.READING).map(p => [p.percent, p.imageCount]))
+        .toEqual([[0, undefined], [50, 0], [50, 1], [100, 1]]);
+    });
+
+    it('should stop the whole run when cancelled', async () => {
+      const controller = new AbortController();
+      const second = vi.fn(async () => '<svg/>');
+      const sources = [
+        { name: 'a.svg', load: async () => { controller.abort(); return '<svg/>'; } },
+        { name: 'b.svg', load: second }
+      ];
+
+      await expect(processSvgSources(sources, { signal: controller.signal })).rejects.toThrow('cancelled');
+      expect(second).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('streaming threshold', () => {
+    it('should scan files over the threshold instead of parsing them', async () => {
+      const body = '<svg><image href="data:image/png;base64,AAA" /></svg>';
+      const file = new NodeFile([body], 'big.svg', { type: 'image/svg+xml' });
+      const results = await processSvgFiles([file], { streamingThreshold: 10 });
+
+      expect(results[0].streamed).toBe(true);
+      expect(results[0].images).toHaveLength(1);
+      expect(results[0].images[0].elementPath).toBeNull();
+    });
+
+    it('should still reject files that are not SVGs', async () => {
+      const file = new NodeFile(['x'.repeat(100)], 'big.png', { type: 'image/png' });
+      const results = await processSvgFiles([file], { streamingThreshold: 10 });
+
+      expect(results[0].error.message).toContain('SVG');
+    });
+  });
+
+  describe('getSourceName', () => {
+    it('should prefer the relative path of folder uploads', () => {
+      const file = new File(['<svg/>'], 'logo.svg');
+      expect(getSourceName(file)).toBe('logo.svg');
+
+      Object.defineProperty(file, 'webkitRelativePath', { value: 'icons/logo.svg' });
+      expect(getSourceName(file)).toBe('icons/logo.svg');
+    });
+  });
+});
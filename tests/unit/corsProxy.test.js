@@ -0,0 +1,129 @@
+import { describe, it, expect, vi, afterEach, beforeEach } from 'vitest';
+import {
+  buildProxyUrl,
+  isValidProxyTemplate,
+  getProxyTemplate,
+  setProxyTemplate,
+  PROXY_STORAGE_KEY
+} from '../../src/lib/corsProxy.js';
+import { fetchSvgFromUrl, fetchDocumentFromUrl } from '../../src/lib/urlFetcher.js';
+import { ValidationError } from '../../src/lib/errorHandler.js';
+
+const target = 'https://assets.internal/icons/logo.svg?v=1';
+const proxy = 'http://localhost:8787/?url={url}';
+
+const respondSvg = () => new Response('<svg xmlns="http://www.w3.org/2000/svg"/>', {
+  status: 200,
+  headers: { 'Content-Type': 'image/svg+xml' }
+});
+
+describe('corsProxy', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('buildProxyUrl', () => {
+    it('should encode the target URL into the placeholder', () => {
+      expect(buildProxyUrl(proxy, target))
+        .toBe('http://localhost:8787/?url=https%3A%2F%2Fassets.internal%2Ficons%2Flogo.svg%3Fv%3D1');
+    });
+
+    it('should append the target URL to templates without a placeholder', () => {
+      expect(buildProxyUrl('https://proxy.local/fetch?u=', 'https://a.test/x.svg'))
+        .toBe('https://proxy.local/fetch?u=https%3A%2F%2Fa.test%2Fx.svg');
+    });
+  });
+
+  describe('isValidProxyTemplate', () => {
+    it('should accept http(s) templates', () => {
+      expect(isValidProxyTemplate(proxy).valid).toBe(true);
+      expect(isValidProxyTemplate('https://proxy.local/{url}').valid).toBe(true);
+    });
+
+    it('should reject empty and non-http templates', () => {
+      expect(isValidProxyTemplate('').valid).toBe(false);
+      expect(isValidProxyTemplate('proxy.local/?url={url}').valid).toBe(false);
+      expect(isValidProxyTemplate('ftp://proxy.local/{url}').error).toContain('http');
+    });
+  });
+
+  describe('getProxyTemplate / setProxyTemplate', () => {
+    it('should persist the template in localStorage', () => {
+      setProxyTemplate(` ${proxy} `);
+
+      expect(localStorage.getItem(PROXY_STORAGE_KEY)).toBe(proxy);
+      expect(getProxyTemplate()).toBe(proxy);
+    });
+
+    it('should clear the setting when given an empty template', () => {
+      setProxyTemplate(proxy);
+      setProxyTemplate('');
+
+      expect(getProxyTemplate()).toBeNull();
+    });
+
+    it('should refuse invalid templates', () => {
+      expect(() => setProxyTemplate('not a url')).toThrow(ValidationError);
+      expect(getProxyTemplate()).toBeNull();
+    });
+
+    it('should return null when storage is unavailable', () => {
+      const storage = { getItem: () => { throw new Error('SecurityError'); } };
+      expect(getProxyTemplate(storage)).toBeNull();
+    });
+  });
+
+  describe('proxy fallback in urlFetcher', () => {
+    it('should retry through the proxy when the direct request hits CORS', async () => {
+      const fetchMock = vi.fn()
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+        .mockResolvedValueOnce(respondSvg());
+      vi.stubGlobal('fetch', fetchMock);
+
+      const svg = await fetchSvgFromUrl(target, { proxy });
+
+      expect(svg).toContain('<svg');
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+      expect(fetchMock.mock.calls[1][0]).toBe(buildProxyUrl(proxy, target));
+    });
+
+    it('should not use the proxy when the direct request succeeds', async () => {
+      const fetchMock = vi.fn(async () => respondSvg());
+      vi.stubGlobal('fetch', fetchMock);
+
+      await fetchSvgFromUrl(target, { proxy });
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not use the proxy for other errors', async () => {
+      const fetchMock = vi.fn(async () => new Response('Not found', { status: 404, statusText: 'Not Found' }));
+      vi.stubGlobal('fetch', fetchMock);
+
+      await expect(fetchSvgFromUrl(target, { proxy })).rejects.toThrow('HTTP 404');
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report the CORS error when no proxy is configured', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new TypeError('Failed to fetch')));
+
+      await expect(fetchSvgFromUrl(target)).rejects.toThrow('CORS');
+    });
+
+    it('should keep the original URL as base for proxied documents', async () => {
+      const response = new Response('<html></html>', { status: 200, headers: { 'Content-Type': 'text/html' } });
+      Object.defineProperty(response, 'url', { value: buildProxyUrl(proxy, target) });
+      vi.stubGlobal('fetch', vi.fn()
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+        .mockResolvedValueOnce(response));
+
+      const page = await fetchDocumentFromUrl(target, { proxy });
+
+      expect(page.url).toBe(target);
+    });
+  });
+});
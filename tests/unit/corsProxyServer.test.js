@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import http from 'node:http';
+import { createProxyServer } from '../../scripts/cors-proxy.js';
+
+const listen = server => new Promise((resolve) => {
+  server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+const close = server => new Promise(resolve => server.close(resolve));
+
+describe('cors-proxy script', () => {
+  let upstream;
+  let upstreamUrl;
+  let proxy;
+  let proxyUrl;
+
+  beforeAll(async () => {
+    upstream = http.createServer((req, res) => {
+      if (req.url === '/moved.svg') {
+        res.writeHead(302, { Location: '/logo.svg' }).end();
+      } else if (req.url === '/escape.svg') {
+        res.writeHead(302, { Location: `http://localhost:${upstream.address().port}/logo.svg` }).end();
+      } else if (req.url === '/loop.svg') {
+        res.writeHead(302, { Location: '/loop.svg' }).end();
+      } else if (req.url === '/logo.svg') {
+        res.writeHead(200, { 'Content-Type': 'image/svg+xml' });
+        res.end('<svg xmlns="http://www.w3.org/2000/svg"/>');
+      } else {
+        res.writeHead(404).end('Not found');
+      }
+    });
+    upstreamUrl = await listen(upstream);
+
+    proxy = createProxyServer({ allowedHosts: ['127.0.0.1'] });
+    proxyUrl = await listen(proxy);
+  });
+
+  afterAll(async () => {
+    await close(proxy);
+    await close(upstream);
+  });
+
+  it('should return the upstream response with CORS headers', async () => {
+    const response = await fetch(`${proxyUrl}/?url=${encodeURIComponent(`${upstreamUrl}/logo.svg`)}`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('access-control-allow-origin')).toBe('*');
+    expect(response.headers.get('content-type')).toBe('image/svg+xml');
+    expect(await response.text()).toBe('<svg xmlns="http://www.w3.org/2000/svg"/>');
+  });
+
+  it('should pass upstream errors through', async () => {
+    const response = await fetch(`${proxyUrl}/?url=${encodeURIComponent(`${upstreamUrl}/missing.svg`)}`);
+
+    expect(response.status).toBe(404);
+    expect(response.headers.get('access-control-allow-origin')).toBe('*');
+  });
+
+  it('should answer CORS preflight requests', async () => {
+    const response = await fetch(`${proxyUrl}/?url=x`, { method: 'OPTIONS' });
+
+    expect(response.status).toBe(204);
+    expect(response.headers.get('access-control-allow-methods')).toContain('GET');
+  });
+
+  it('should reject missing and non-http targets', async () => {
+    expect((await fetch(`${proxyUrl}/`)).status).toBe(400);
+    expect((await fetch(`${proxyUrl}/?url=${encodeURIComponent('file:///etc/passwd')}`)).status).toBe(400);
+  });
+
+  it('should reject hosts outside the allow list', async () => {
+    const response = await fetch(`${proxyUrl}/?url=${encodeURIComponent('http://example.com/logo.svg')}`);
+
+    expect(response.status).toBe(403);
+  });
+
+  it('should follow redirects within the allow list', async () => {
+    const response = await fetch(`${proxyUrl}/?url=${encodeURIComponent(`${upstreamUrl}/moved.svg`)}`);
+
+    expect(response.status).toBe(200);
+    expect(await response.text()).toBe('<svg xmlns="http://www.w3.org/2000/svg"/>');
+  });
+
+  it('should reject redirects to hosts outside the allow list', async () => {
+    const response = await fetch(`${proxyUrl}/?url=${encodeURIComponent(`${upstreamUrl}/escape.svg`)}`);
+
+    expect(response.status).toBe(403);
+    expect(await response.text()).toContain('localhost');
+  });
+
+  it('should stop after too many redirects', async () => {
+    const response = await fetch(`${proxyUrl}/?url=${encodeURIComponent(`${upstreamUrl}/loop.svg`)}`);
+
+    expect(response.status).toBe(502);
+  });
+
+  it('should report unreachable upstreams', async () => {
+    const closed = http.createServer();
+    const closedUrl = await listen(closed);
+    await close(closed);
+
+    const response = await fetch(`${proxyUrl}/?url=${encodeURIComponent(`${closedUrl}/logo.svg`)}`);
+
+    expect(response.status).toBe(502);
+  });
+});
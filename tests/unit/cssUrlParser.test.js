@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { parseCssUrls } from '../../src/lib/cssUrlParser.js';
+
+describe('cssUrlParser', () => {
+  describe('parseCssUrls', () => {
+    it('should find unquoted url() values', () => {
+      const refs = parseCssUrls('rect { background-image: url(data:image/png;base64,ABC123); }');
+      expect(refs).toHaveLength(1);
+      expect(refs[0].url).toBe('data:image/png;base64,ABC123');
+    });
+
+    it('should find single and double quoted url() values', () => {
+      const refs = parseCssUrls(`a { background: url('one.png'); } b { background: url( "two.png" ) }`);
+      expect(refs.map(ref => ref.url)).toEqual(['one.png', 'two.png']);
+    });
+
+    it('should be case-insensitive for the url token', () => {
+      const refs = parseCssUrls('a { background: URL(data:image/gif;base64,R0lG) }');
+      expect(refs[0].url).toBe('data:image/gif;base64,R0lG');
+    });
+
+    it('should ignore url() inside comments and strings', () => {
+      const css = '/* url(commented.png) */ a { content: "url(string.png)"; background: url(real.png) }';
+      expect(parseCssUrls(css).map(ref => ref.url)).toEqual(['real.png']);
+    });
+
+    it('should not match identifiers ending in url', () => {
+      expect(parseCssUrls('a { x: myurl(foo.png) }')).toHaveLength(0);
+    });
+
+    it('should resolve CSS escapes', () => {
+      const refs = parseCssUrls('a { background: url("a\\"b.png") } b { background: url(c\\29 .png) }');
+      expect(refs.map(ref => ref.url)).toEqual(['a"b.png', 'c).png']);
+    });
+
+    it('should report offsets covering the whole url() token', () => {
+      const css = 'a { fill: url(#grad) }';
+      const [ref] = parseCssUrls(css);
+      expect(css.slice(ref.start, ref.end)).toBe('url(#grad)');
+    });
+
+    it('should report the property each url() belongs to', () => {
+      const css = '@import url(base.css); @font-face { src: url(a.woff2) } a:hover { /* x */ Background-Image: image-set(url(b.png) 1x); cursor: url(c.cur), auto }';
+      expect(parseCssUrls(css).map(ref => ref.property)).toEqual([null, 'src', 'background-image', 'cursor']);
+      expect(parseCssUrls('fill: url(#grad); mask: url(m.svg)').map(ref => ref.property)).toEqual(['fill', 'mask']);
+    });
+
+    it('should ignore unterminated url()', () => {
+      expect(parseCssUrls('a { background: url(data:image/png;base64,ABC')).toHaveLength(0);
+    });
+
+    it('should return empty array for empty input', () => {
+      expect(parseCssUrls('')).toEqual([]);
+      expect(parseCssUrls(null)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseDataUrl,
+  decodeDataUrl,
+  decodeDataUrlHead,
+  decodeDataUrlText,
+  getDataUrlByteLength,
+  encodeDataUrl
+} from '../../src/lib/dataUrl.js';
+
+describe('dataUrl', () => {
+  describe('parseDataUrl', () => {
+    it('should parse base64 data URLs', () => {
+      const parsed = parseDataUrl('data:image/png;base64,iVBORw0K');
+      expect(parsed).toEqual({
+        mimeType: 'image/png',
+        parameters: {},
+        base64: true,
+        data: 'iVBORw0K'
+      });
+    });
+
+    it('should parse media type parameters', () => {
+      const parsed = parseDataUrl('data:image/svg+xml;charset="UTF-8",%3Csvg%3E');
+      expect(parsed.mimeType).toBe('image/svg+xml');
+      expect(parsed.parameters).toEqual({ charset: 'UTF-8' });
+      expect(parsed.base64).toBe(false);
+      expect(parsed.data).toBe('%3Csvg%3E');
+    });
+
+    it('should keep bare parameter tokens such as utf8', () => {
+      const parsed = parseDataUrl('data:image/svg+xml;utf8,<svg></svg>');
+      expect(parsed.parameters).toEqual({ utf8: '' });
+      expect(parsed.data).toBe('<svg></svg>');
+    });
+
+    it('should lowercase the MIME type and base64 flag', () => {
+      const parsed = parseDataUrl('DATA:Image/PNG;BASE64,AAAA');
+      expect(parsed.mimeType).toBe('image/png');
+      expect(parsed.base64).toBe(true);
+    });
+
+    it('should default to text/plain when the media type is omitted', () => {
+      expect(parseDataUrl('data:,hello').mimeType).toBe('text/plain');
+      expect(parseDataUrl('data:;base64,aGVsbG8=').base64).toBe(true);
+    });
+
+    it('should keep commas inside the payload', () => {
+      expect(parseDataUrl('data:image/svg+xml,<svg a="1,2"/>').data).toBe('<svg a="1,2"/>');
+    });
+
+    it('should return null for non data URLs', () => {
+      expect(parseDataUrl('https://example.com/a.png')).toBeNull();
+      expect(parseDataUrl('data:image/png')).toBeNull();
+      expect(parseDataUrl(null)).toBeNull();
+    });
+  });
+
+  describe('decodeDataUrl', () => {
+    it('should decode base64 payloads', () => {
+      expect(Array.from(decodeDataUrl('data:text/plain;base64,aGk='))).toEqual([104, 105]);
+    });
+
+    it('should ignore whitespace in wrapped base64 payloads', () => {
+      expect(Array.from(decodeDataUrl('data:text/plain;base64,aGVs\n  bG8='))).toEqual([104, 101, 108, 108, 111]);
+    });
+
+    it('should percent-decode binary payloads', () => {
+      expect(Array.from(decodeDataUrl('data:image/png,%89PNG'))).toEqual([0x89, 0x50, 0x4e, 0x47]);
+    });
+
+    it('should encode raw characters as UTF-8', () => {
+      expect(Array.from(decodeDataUrl('data:text/plain,é'))).toEqual([0xc3, 0xa9]);
+    });
+
+    it('should keep invalid percent escapes literally', () => {
+      expect(new TextDecoder().decode(decodeDataUrl('data:text/plain,100%zz'))).toBe('100%zz');
+    });
+
+    it('should throw for invalid base64', () => {
+      expect(() => decodeDataUrl('data:image/png;base64,@@@@')).toThrow('invalid base64');
+    });
+
+    it('should throw for non data URLs', () => {
+      expect(() => decodeDataUrl('not a data url')).toThrow('Not a valid data URL');
+    });
+  });
+
+  describe('decodeDataUrlHead', () => {
+    it('should decode only the leading bytes of base64 payloads', () => {
+      const head = decodeDataUrlHead('data:text/plain;base64,aGVsbG8gd29ybGQ=', 4);
+      expect(new TextDecoder().decode(head)).toBe('hell');
+    });
+
+    it('should skip whitespace in wrapped base64 payloads', () => {
+      const head = decodeDataUrlHead('data:text/plain;base64,aGVs\nbG8g\nd29y', 7);
+      expect(new TextDecoder().decode(head)).toBe('hello w');
+    });
+
+    it('should decode the leading bytes of percent-encoded payloads', () => {
+      expect(Array.from(decodeDataUrlHead('data:image/png,%89PNG%0D%0A', 2))).toEqual([0x89, 0x50]);
+    });
+
+    it('should return all bytes when the payload is shorter', () => {
+      expect(decodeDataUrlHead('data:text/plain;base64,aGk=', 100)).toHaveLength(2);
+    });
+
+    it('should return an empty array for invalid input', () => {
+      expect(decodeDataUrlHead('not a data url', 4)).toHaveLength(0);
+      expect(decodeDataUrlHead('data:image/png;base64,@@@@', 4)).toHaveLength(0);
+    });
+  });
+
+  describe('decodeDataUrlText', () => {
+    it('should decode raw and utf8-flagged SVG markup', () => {
+      expect(decodeDataUrlText('data:image/svg+xml;utf8,<svg></svg>')).toBe('<svg></svg>');
+    });
+
+    it('should decode percent-encoded markup', () => {
+      expect(decodeDataUrlText('data:image/svg+xml,%3Csvg%20id%3D%22%C3%A9%22%2F%3E')).toBe('<svg id="é"/>');
+    });
+
+    it('should decode base64 markup as UTF-8', () => {
+      expect(decodeDataUrlText('data:image/svg+xml;base64,PHN2Zz7DqTwvc3ZnPg==')).toBe('<svg>é</svg>');
+    });
+
+    it('should honour the charset parameter', () => {
+      expect(decodeDataUrlText('data:text/plain;charset=iso-8859-1,%E9')).toBe('é');
+    });
+  });
+
+  describe('getDataUrlByteLength', () => {
+    it('should compute exact base64 sizes', () => {
+      expect(getDataUrlByteLength('data:text/plain;base64,aGk=')).toBe(2);
+      expect(getDataUrlByteLength('data:text/plain;base64,aGVsbG8=')).toBe(5);
+      expect(getDataUrlByteLength('data:text/plain;base64,aGVsbG8h')).toBe(6);
+    });
+
+    it('should compute sizes of percent-encoded payloads', () => {
+      expect(getDataUrlByteLength('data:image/png,%89PNG')).toBe(4);
+      expect(getDataUrlByteLength('data:image/svg+xml;utf8,<svg></svg>')).toBe(11);
+    });
+
+    it('should return 0 for non data URLs', () => {
+      expect(getDataUrlByteLength('https://example.com/a.png')).toBe(0);
+    });
+  });
+
+  describe('encodeDataUrl', () => {
+    it('should encode bytes as base64', () => {
+      expect(encodeDataUrl(new Uint8Array([0x89, 0x50, 0x4e, 0x47]), 'image/png')).toBe('data:image/png;base64,iVBORw==');
+    });
+
+    it('should round-trip large payloads', () => {
+      const bytes = new Uint8Array(40000).map((_, i) => i % 256);
+      expect(decodeDataUrl(encodeDataUrl(bytes, 'image/png'))).toEqual(bytes);
+    });
+
+    it('should default to text/plain', () => {
+      expect(encodeDataUrl(new Uint8Array([104, 105]))).toBe('data:text/plain;base64,aGk=');
+    });
+  });
+});
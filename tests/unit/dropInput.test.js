@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest';
+import { readDataTransfer, isSvgFile, isRawImageFile, wrapImageFile, prepareInputFiles } from '../../src/lib/dropInput.js';
+import { extractImages } from '../../src/lib/svgExtractor.js';
+import { readSvgFile } from '../../src/lib/fileReader.js';
+
+// 3x2 PNG header (signature + IHDR)
+const pngBytes = new Uint8Array([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+  0x00, 0x00, 0x00, 0x0d, 0x49, 0x48, 0x44, 0x52,
+  0x00, 0x00, 0x00, 0x03, 0x00, 0x00, 0x00, 0x02
+]);
+
+const fileEntry = (file, fullPath) => ({
+  isFile: true,
+  isDirectory: false,
+  fullPath,
+  file: (resolve) => resolve(file)
+});
+
+const directoryEntry = (fullPath, children) => ({
+  isFile: false,
+  isDirectory: true,
+  fullPath,
+  createReader: () => {
+    // Hand out entries in batches of two, like browsers do with larger batches
+    let position = 0;
+    return {
+      readEntries: (resolve) => {
+        resolve(children.slice(position, position + 2));
+        position += 2;
+      }
+    };
+  }
+});
+
+const dataTransfer = ({ entries = [], files = [], data = {} }) => ({
+  items: entries.map(entry => ({ kind: 'file', webkitGetAsEntry: () => entry })),
+  files,
+  getData: (type) => data[type] || ''
+});
+
+describe('dropInput', () => {
+  describe('readDataTransfer', () => {
+    it('should collect SVG files from dropped folders, keeping their paths', async () => {
+      const svg = (name) => new File(['<svg/>'], name, { type: 'image/svg+xml' });
+      const folder = directoryEntry('/icons', [
+        fileEntry(svg('a.svg'), '/icons/a.svg'),
+        fileEntry(new File(['x'], 'notes.txt'), '/icons/notes.txt'),
+        directoryEntry('/icons/social', [fileEntry(svg('b.svg'), '/icons/social/b.svg')])
+      ]);
+
+      const { files } = await readDataTransfer(dataTransfer({ entries: [folder] }));
+
+      expect(files.map(file => file.webkitRelativePath)).toEqual(['icons/a.svg', 'icons/social/b.svg']);
+    });
+
+    it('should keep every directly dropped file', async () => {
+      const file = new File(['x'], 'photo.png', { type: 'image/png' });
+
+      const { files } = await readDataTransfer(dataTransfer({ entries: [fileEntry(file, '/photo.png')] }));
+
+      expect(files).toEqual([file]);
+      expect(files[0].webkitRelativePath).toBeFalsy();
+    });
+
+    it('should fall back to the file list without the entries API', async () => {
+      const file = new File(['<svg/>'], 'a.svg');
+
+      const { files } = await readDataTransfer({ items: [], files: [file], getData: () => '' });
+
+      expect(files).toEqual([file]);
+    });
+
+    it('should read dropped links', async () => {
+      const { url, svgText } = await readDataTransfer(dataTransfer({
+        data: { 'text/uri-list': '# comment\r\nhttps://example.com/logo.svg', 'text/plain': 'https://example.com/logo.svg' }
+      }));
+
+      expect(url).toBe('https://example.com/logo.svg');
+      expect(svgText).toBeNull();
+    });
+
+    it('should read SVG markup from text', async () => {
+      const { url, svgText } = await readDataTransfer(dataTransfer({ data: { 'text/plain': '  <svg><rect/></svg> ' } }));
+
+      expect(svgText).toBe('<svg><rect/></svg>');
+      expect(url).toBeNull();
+    });
+
+    it('should ignore other text', async () => {
+      const result = await readDataTransfer(dataTransfer({ data: { 'text/plain': 'hello' } }));
+
+      expect(result).toEqual({ files: [], svgText: null, url: null });
+    });
+  });
+
+  describe('isSvgFile / isRawImageFile', () => {
+    it('should tell SVG files from raw images', () => {
+      const svg = new File([''], 'logo.svg');
+      const png = new File([''], 'image.png', { type: 'image/png' });
+      const text = new File([''], 'notes.txt', { type: 'text/plain' });
+
+      expect(isSvgFile(svg)).toBe(true);
+      expect(isRawImageFile(svg)).toBe(false);
+      expect(isSvgFile(png)).toBe(false);
+      expect(isRawImageFile(png)).toBe(true);
+      expect(isRawImageFile(text)).toBe(false);
+    });
+  });
+
+  describe('wrapImageFile', () => {
+    it('should embed the image in an SVG sized to its pixels', async () => {
+      const wrapped = await wrapImageFile(new File([pngBytes], 'image.png', { type: 'image/png' }));
+
+      expect(wrapped.name).toBe('image.png');
+      expect(wrapped.type).toBe('image/svg+xml');
+
+      const images = extractImages(await readSvgFile(wrapped));
+      expect(images).toHaveLength(1);
+      expect(images[0].format).toBe('image/png');
+      expect(images[0].size).toBe(pngBytes.length);
+      expect(images[0].placement.width).toBe(3);
+      expect(images[0].placement.height).toBe(2);
+    });
+  });
+
+  describe('prepareInputFiles', () => {
+    it('should wrap raw images and pass other files through', async () => {
+      const svg = new File(['<svg/>'], 'logo.svg');
+      const text = new File(['x'], 'notes.txt', { type: 'text/plain' });
+
+      const files = await prepareInputFiles([svg, new File([pngBytes], 'image.png', { type: 'image/png' }), text]);
+
+      expect(files[0]).toBe(svg);
+      expect(files[1].type).toBe('image/svg+xml');
+      expect(files[2]).toBe(text);
+    });
+  });
+});
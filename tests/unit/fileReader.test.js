@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { readSvgFile } from '../../src/lib/fileReader.js';
+import { readSvgFile, readFileBytes } from '../../src/lib/fileReader.js';
 
 describe('fileReader', () => {
   describe('readSvgFile', () => {
@@ -41,4 +41,12 @@ describe('fileReader', () => {
       expect(progressCalls).toBeDefined();
     });
   });
+
+  describe('readFileBytes', () => {
+    it('should read binary content', async () => {
+      const file = new File([new Uint8Array([0x89, 0x50, 0x4e, 0x47])], 'image.png', { type: 'image/png' });
+
+      expect(await readFileBytes(file)).toEqual(new Uint8Array([0x89, 0x50, 0x4e, 0x47]));
+    });
+  });
 });
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildFilename,
+  buildZipFilename,
+  sanitizeFilename,
+  createUniqueNamer
+} from '../../src/lib/filenameTemplate.js';
+
+const date = new Date(2024, 4, 1);
+
+const image = {
+  index: 2,
+  format: 'image/png',
+  elementId: 'badge',
+  width: 64,
+  height: 32,
+  hash: 'a1b2c3d4e5f6a7b8c9d0',
+  sourceFile: 'icons/logo.svg'
+};
+
+describe('filenameTemplate', () => {
+  describe('buildFilename', () => {
+    it('should default to image-{index} with the format extension', () => {
+      expect(buildFilename({ index: 0, format: 'image/png' })).toBe('image-1.png');
+      expect(buildFilename({ index: 4, format: 'image/svg+xml' })).toBe('image-5.svg');
+    });
+
+    it('should fill in every token', () => {
+      const name = buildFilename(image, {
+        template: '{source}_{index}_{id}_{width}x{height}_{hash}_{format}_{date}',
+        date
+      });
+
+      expect(name).toBe('logo_3_badge_64x32_a1b2c3d4e5f6_png_2024-05-01.png');
+    });
+
+    it('should use the output format and index when given', () => {
+      expect(buildFilename(image, { template: '{id}-{index}-{format}', format: 'image/jpeg', index: 0 }))
+        .toBe('badge-1-jpeg.jpeg');
+    });
+
+    it('should leave missing values empty and unknown tokens as typed', () => {
+      expect(buildFilename({ index: 0, format: 'image/gif' }, { template: '{source}-{id}{nope}' }))
+        .toBe('image-{nope}.gif');
+    });
+
+    it('should fall back to the numbered name when the template renders empty', () => {
+      expect(buildFilename({ index: 1, format: 'image/png' }, { template: '{id}' })).toBe('image-2.png');
+    });
+
+    it('should prefer a custom name, keeping the output extension', () => {
+      expect(buildFilename({ ...image, customName: 'hero.png' }, { format: 'image/webp' })).toBe('hero.webp');
+    });
+  });
+
+  describe('buildZipFilename', () => {
+    it('should name the archive after a single source', () => {
+      expect(buildZipFilename([image])).toBe('extracted-images.zip');
+      expect(buildZipFilename([image, image], { template: '{source}-{count}-{date}', date })).toBe('logo-2-2024-05-01.zip');
+    });
+
+    it('should use a generic name for several sources', () => {
+      expect(buildZipFilename([image, { ...image, sourceFile: 'b.svg' }], { template: '{source}' })).toBe('images.zip');
+    });
+  });
+
+  describe('sanitizeFilename', () => {
+    it('should replace unsafe characters and trim dots and spaces', () => {
+      expect(sanitizeFilename('logo: v2/final')).toBe('logo_ v2_final');
+      expect(sanitizeFilename('  ..hidden.  ')).toBe('hidden');
+      expect(sanitizeFilename('a\u0000b\\c*d?')).toBe('a_b_c_d_');
+    });
+
+    it('should avoid empty and reserved names', () => {
+      expect(sanitizeFilename('...')).toBe('image');
+      expect(sanitizeFilename('', 'fallback')).toBe('fallback');
+      expect(sanitizeFilename('CON')).toBe('_CON');
+    });
+
+    it('should shorten long names', () => {
+      expect(sanitizeFilename('x'.repeat(500))).toHaveLength(200);
+    });
+  });
+
+  describe('createUniqueNamer', () => {
+    it('should number repeated names, ignoring case', () => {
+      const unique = createUniqueNamer(['image-map.json']);
+
+      expect(unique('logo.png')).toBe('logo.png');
+      expect(unique('LOGO.png')).toBe('LOGO-2.png');
+      expect(unique('logo.png')).toBe('logo-3.png');
+      expect(unique('image-map.json')).toBe('image-map-2.json');
+    });
+  });
+});
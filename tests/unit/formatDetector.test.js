@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import {
+  detectImageFormat,
+  normalizeMimeType,
+  isFormatMismatch,
+  getExtensionForFormat
+} from '../../src/lib/formatDetector.js';
+
+const bytes = (...values) => new Uint8Array(values);
+const text = (value) => new TextEncoder().encode(value);
+
+describe('formatDetector', () => {
+  describe('detectImageFormat', () => {
+    it('should detect PNG', () => {
+      expect(detectImageFormat(bytes(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00))).toBe('image/png');
+    });
+
+    it('should detect JPEG', () => {
+      expect(detectImageFormat(bytes(0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10))).toBe('image/jpeg');
+    });
+
+    it('should detect GIF87a and GIF89a', () => {
+      expect(detectImageFormat(text('GIF87a\x01\x00'))).toBe('image/gif');
+      expect(detectImageFormat(text('GIF89a\x01\x00'))).toBe('image/gif');
+    });
+
+    it('should detect WebP', () => {
+      expect(detectImageFormat(text('RIFF\x24\x00\x00\x00WEBPVP8 '))).toBe('image/webp');
+    });
+
+    it('should not mistake other RIFF files for WebP', () => {
+      expect(detectImageFormat(text('RIFF\x24\x00\x00\x00WAVEfmt '))).toBeNull();
+    });
+
+    it('should detect BMP', () => {
+      expect(detectImageFormat(bytes(0x42, 0x4d, 0x3a, 0, 0, 0, 0, 0, 0, 0, 0x36, 0, 0, 0))).toBe('image/bmp');
+    });
+
+    it('should detect ICO', () => {
+      expect(detectImageFormat(bytes(0x00, 0x00, 0x01, 0x00, 0x01, 0x00))).toBe('image/x-icon');
+    });
+
+    it('should detect AVIF by major brand', () => {
+      expect(detectImageFormat(bytes(0, 0, 0, 0x1c, ...text('ftypavif'), 0, 0, 0, 0))).toBe('image/avif');
+    });
+
+    it('should detect AVIF by compatible brand', () => {
+      expect(detectImageFormat(bytes(0, 0, 0, 0x18, ...text('ftypmif1'), 0, 0, 0, 0, ...text('avif')))).toBe('image/avif');
+    });
+
+    it('should not detect other ISO BMFF files as AVIF', () => {
+      expect(detectImageFormat(bytes(0, 0, 0, 0x18, ...text('ftypisom'), 0, 0, 0, 0, ...text('mp41')))).toBeNull();
+    });
+
+    it('should detect little- and big-endian TIFF', () => {
+      expect(detectImageFormat(bytes(0x49, 0x49, 0x2a, 0x00, 0x08))).toBe('image/tiff');
+      expect(detectImageFormat(bytes(0x4d, 0x4d, 0x00, 0x2a, 0x00))).toBe('image/tiff');
+    });
+
+    it('should detect SVG with XML declaration, comments and doctype', () => {
+      expect(detectImageFormat(text('<svg xmlns="http://www.w3.org/2000/svg"></svg>'))).toBe('image/svg+xml');
+      expect(detectImageFormat(text(
+        '\uFEFF<?xml version="1.0"?>\n<!-- Generator -->\n<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "x">\n<svg>'
+      ))).toBe('image/svg+xml');
+    });
+
+    it('should not detect other XML as SVG', () => {
+      expect(detectImageFormat(text('<?xml version="1.0"?><svgfoo/>'))).toBeNull();
+      expect(detectImageFormat(text('<html><svg></svg></html>'))).toBeNull();
+    });
+
+    it('should return null for unknown or empty data', () => {
+      expect(detectImageFormat(text('hello world'))).toBeNull();
+      expect(detectImageFormat(bytes())).toBeNull();
+      expect(detectImageFormat(null)).toBeNull();
+    });
+  });
+
+  describe('normalizeMimeType', () => {
+    it('should map aliases to canonical types', () => {
+      expect(normalizeMimeType('image/jpg')).toBe('image/jpeg');
+      expect(normalizeMimeType('image/vnd.microsoft.icon')).toBe('image/x-icon');
+      expect(normalizeMimeType('IMAGE/PNG')).toBe('image/png');
+    });
+  });
+
+  describe('isFormatMismatch', () => {
+    it('should flag a different detected format', () => {
+      expect(isFormatMismatch('image/png', 'image/jpeg')).toBe(true);
+    });
+
+    it('should not flag aliases or undetected formats', () => {
+      expect(isFormatMismatch('image/jpg', 'image/jpeg')).toBe(false);
+      expect(isFormatMismatch('image/png', null)).toBe(false);
+    });
+  });
+
+  describe('getExtensionForFormat', () => {
+    it('should map known formats', () => {
+      expect(getExtensionForFormat('image/png')).toBe('png');
+      expect(getExtensionForFormat('image/jpeg')).toBe('jpeg');
+      expect(getExtensionForFormat('image/jpg')).toBe('jpeg');
+      expect(getExtensionForFormat('image/svg+xml')).toBe('svg');
+      expect(getExtensionForFormat('image/x-icon')).toBe('ico');
+    });
+
+    it('should fall back to the subtype for unknown formats', () => {
+      expect(getExtensionForFormat('image/heic')).toBe('heic');
+      expect(getExtensionForFormat('image/x.custom+xml')).toBe('x.custom');
+    });
+
+    it('should default to png', () => {
+      expect(getExtensionForFormat('')).toBe('png');
+      expect(getExtensionForFormat(undefined)).toBe('png');
+    });
+  });
+});
@@ -0,0 +1,171 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  isHtmlDocument,
+  findPageSvgSources,
+  extractFromHtmlPage,
+  PAGE_SOURCES
+} from '../../src/lib/htmlPageScanner.js';
+
+const pageUrl = 'https://example.com/docs/page.html';
+
+const respondSvg = body => new Response(`<svg xmlns="http://www.w3.org/2000/svg">${body}</svg>`, {
+  status: 200,
+  headers: { 'Content-Type': 'image/svg+xml' }
+});
+
+describe('htmlPageScanner', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('isHtmlDocument', () => {
+    it('should recognize HTML pages by their leading markup', () => {
+      expect(isHtmlDocument('<!DOCTYPE html><html><body></body></html>')).toBe(true);
+      expect(isHtmlDocument('\n<!-- comment -->\n<html lang="en">')).toBe(true);
+    });
+
+    it('should not treat SVG documents as HTML', () => {
+      expect(isHtmlDocument('<?xml version="1.0"?><svg xmlns="http://www.w3.org/2000/svg"/>')).toBe(false);
+      expect(isHtmlDocument('<svg><foreignObject><html></html></foreignObject></svg>')).toBe(false);
+    });
+
+    it('should trust the Content-Type when given', () => {
+      expect(isHtmlDocument('<div><svg></svg></div>', 'text/html')).toBe(true);
+      expect(isHtmlDocument('<html>', 'image/svg+xml')).toBe(false);
+    });
+  });
+
+  describe('findPageSvgSources', () => {
+    it('should list inline SVGs with their location on the page', async () => {
+      const sources = findPageSvgSources(`
+        <html><body>
+          <header><svg viewBox="0 0 10 10"><image href="data:image/png;base64,AAA"/></svg></header>
+          <svg><svg></svg></svg>
+        </body></html>
+      `, pageUrl);
+
+      expect(sources.map(source => source.kind)).toEqual([PAGE_SOURCES.INLINE_SVG, PAGE_SOURCES.INLINE_SVG]);
+      expect(sources[0].name).toBe('inline-svg-1');
+      expect(sources[0].location).toBe('/html/body[1]/header[1]/svg[1]');
+      expect(sources[1].location).toBe('/html/body[1]/svg[1]');
+
+      const markup = await sources[0].load();
+      expect(markup).toContain('xmlns="http://www.w3.org/2000/svg"');
+      expect(markup).toContain('data:image/png;base64,AAA');
+    });
+
+    it('should resolve linked SVGs against the page URL', () => {
+      const sources = findPageSvgSources(`
+        <img src="logo.svg" alt="">
+        <img src="photo.png" srcset="/icons/small.svg 1x, big.svg?v=2 2x">
+        <object data="../diagram.svg"></object>
+        <embed src="chart" type="image/svg+xml">
+      `, pageUrl);
+
+      expect(sources.map(source => source.url)).toEqual([
+        'https://example.com/docs/logo.svg',
+        'https://example.com/icons/small.svg',
+        'https://example.com/docs/big.svg?v=2',
+        'https://example.com/diagram.svg',
+        'https://example.com/docs/chart'
+      ]);
+      expect(sources.map(source => source.name)).toEqual([
+        'img-1-logo.svg', 'img-2-small.svg', 'img-3-big.svg', 'object-1-diagram.svg', 'embed-1-chart'
+      ]);
+      expect(sources[1].location).toBe('/html/body[1]/img[2]/@srcset');
+      expect(sources[0].baseUrl).toBe('https://example.com/docs/logo.svg');
+    });
+
+    it('should keep file names with malformed escapes as written', () => {
+      const sources = findPageSvgSources('<img src="/img/100%.svg"><img src="/img/caf%C3%A9.svg">', pageUrl);
+
+      expect(sources.map(source => source.name)).toEqual(['img-1-100%.svg', 'img-2-café.svg']);
+    });
+
+    it('should honour <base href>', () => {
+      const sources = findPageSvgSources(
+        '<html><head><base href="https://cdn.example.net/assets/"></head><body><img src="logo.svg"></body></html>',
+        pageUrl
+      );
+
+      expect(sources[0].url).toBe('https://cdn.example.net/assets/logo.svg');
+    });
+
+    it('should find SVG references in style blocks and style attributes', () => {
+      const sources = findPageSvgSources(`
+        <html><head><style>.icon { background: url("sprite.svg#home") } .x { background: url(bg.png) }</style></head>
+        <body><div style="background-image: url('pattern.svg')"></div><span class="icon"></span></body></html>
+      `, pageUrl);
+
+      expect(sources.map(source => [source.kind, source.url, source.location])).toEqual([
+        [PAGE_SOURCES.CSS_REFERENCE, 'https://example.com/docs/sprite.svg', '/html/head[1]/style[1]'],
+        [PAGE_SOURCES.CSS_REFERENCE, 'https://example.com/docs/pattern.svg', '/html/body[1]/div[1]/@style']
+      ]);
+    });
+
+    it('should list each linked SVG once', () => {
+      const sources = findPageSvgSources(`
+        <img src="logo.svg"><img src="./logo.svg"><div style="background: url(logo.svg#a)"></div>
+      `, pageUrl);
+
+      expect(sources).toHaveLength(1);
+    });
+
+    it('should leave elements inside inline SVGs to the extractor', () => {
+      const sources = findPageSvgSources(`
+        <svg><style>rect { fill: url(pattern.svg) }</style>
+          <foreignObject><img src="inner.svg"></foreignObject></svg>
+      `, pageUrl);
+
+      expect(sources).toHaveLength(1);
+      expect(sources[0].kind).toBe(PAGE_SOURCES.INLINE_SVG);
+    });
+
+    it('should decode SVG data URLs without fetching', async () => {
+      const svg = '<svg xmlns="http://www.w3.org/2000/svg"><image href="data:image/gif;base64,R0lG"/></svg>';
+      const sources = findPageSvgSources(`<img src="data:image/svg+xml;base64,${btoa(svg)}">`, pageUrl);
+
+      expect(sources[0].url).toBeNull();
+      expect(await sources[0].load()).toBe(svg);
+    });
+
+    it('should report relative links as failed when the page URL is unknown', () => {
+      const sources = findPageSvgSources('<img src="logo.svg"><img src="https://example.com/a.svg">');
+
+      expect(sources[0].error.message).toContain('page URL');
+      expect(sources[1].error).toBeNull();
+    });
+  });
+
+  describe('extractFromHtmlPage', () => {
+    it('should extract images from inline and linked SVGs, labeled by source', async () => {
+      const fetchMock = vi.fn(async () => respondSvg('<image href="data:image/gif;base64,R0lG"/><image href="photo.png"/>'));
+      vi.stubGlobal('fetch', fetchMock);
+
+      const results = await extractFromHtmlPage(`
+        <svg><image href="data:image/png;base64,AAA"/></svg>
+        <img src="art/logo.svg">
+      `, pageUrl);
+
+      expect(fetchMock).toHaveBeenCalledWith('https://example.com/docs/art/logo.svg', expect.any(Object));
+      expect(results.map(result => [result.name, result.location])).toEqual([
+        ['inline-svg-1', '/html/body[1]/svg[1]'],
+        ['img-1-logo.svg', '/html/body[1]/img[1]/@src']
+      ]);
+      expect(results[1].images[0].sourceFile).toBe('img-1-logo.svg');
+      expect(results[1].images[0].index).toBe(1);
+      expect(results[1].linkedImages[0].url).toBe('https://example.com/docs/art/photo.png');
+    });
+
+    it('should report SVGs that fail to load without stopping', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => new Response('Not found', { status: 404, statusText: 'Not Found' })));
+
+      const results = await extractFromHtmlPage(`
+        <img src="missing.svg"><svg><image href="data:image/png;base64,AAA"/></svg>
+      `, pageUrl);
+
+      expect(results[0].error.message).toContain('404');
+      expect(results[1].images).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  convertImage,
+  needsConversion,
+  computeTargetSize,
+  OUTPUT_FORMATS,
+  RESIZE_MODES,
+  DEFAULT_QUALITY
+} from '../../src/lib/imageConverter.js';
+
+const pngImage = { dataUrl: 'data:image/png;base64,iVBORw0KGgo=', format: 'image/png', index: 0 };
+
+/**
+ * Stubs createImageBitmap and OffscreenCanvas, recording the drawing calls
+ */
+const stubCanvas = ({ encodes = true } = {}) => {
+  const calls = [];
+  vi.stubGlobal('createImageBitmap', vi.fn(async () => ({ width: 4, height: 3, close: vi.fn() })));
+  vi.stubGlobal('OffscreenCanvas', class {
+    constructor(width, height) {
+      calls.push(['canvas', width, height]);
+    }
+
+    getContext() {
+      return {
+        set fillStyle(value) { calls.push(['fillStyle', value]); },
+        fillRect: (...args) => calls.push(['fillRect', ...args]),
+        drawImage: (image, ...args) => calls.push(['drawImage', ...args])
+      };
+    }
+
+    async convertToBlob({ type, quality }) {
+      calls.push(['encode', type, quality]);
+      return new Blob(['encoded'], { type: encodes ? type : 'image/png' });
+    }
+  });
+  return calls;
+};
+
+describe('imageConverter', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('needsConversion', () => {
+    it('should only convert to a different format', () => {
+      expect(needsConversion(pngImage, { format: OUTPUT_FORMATS.JPEG })).toBe(true);
+      expect(needsConversion(pngImage, { format: OUTPUT_FORMATS.PNG })).toBe(false);
+      expect(needsConversion(pngImage, { format: OUTPUT_FORMATS.ORIGINAL })).toBe(false);
+      expect(needsConversion(pngImage)).toBe(false);
+    });
+  });
+
+  describe('computeTargetSize', () => {
+    const photo = {
+      format: 'image/jpeg',
+      width: 2000,
+      height: 1000,
+      placement: { renderedWidth: 200, renderedHeight: 100, preserveAspectRatio: null }
+    };
+
+    it('should fit images within a maximum size', () => {
+      expect(computeTargetSize(photo, { mode: RESIZE_MODES.MAX_SIZE, maxWidth: 500 })).toEqual({ width: 500, height: 250 });
+      expect(computeTargetSize(photo, { mode: RESIZE_MODES.MAX_SIZE, maxWidth: 800, maxHeight: 100 })).toEqual({ width: 200, height: 100 });
+    });
+
+    it('should scale images to their rendered size', () => {
+      expect(computeTargetSize(photo, { mode: RESIZE_MODES.RENDERED })).toEqual({ width: 200, height: 100 });
+      expect(computeTargetSize(photo, { mode: RESIZE_MODES.RENDERED, scale: 3 })).toEqual({ width: 600, height: 300 });
+    });
+
+    it('should never enlarge images or resize unknown and vector ones', () => {
+      expect(computeTargetSize(photo, { mode: RESIZE_MODES.MAX_SIZE, maxWidth: 4000 })).toBeNull();
+      expect(computeTargetSize(photo, { mode: RESIZE_MODES.RENDERED, scale: 20 })).toBeNull();
+      expect(computeTargetSize({ ...photo, placement: null }, { mode: RESIZE_MODES.RENDERED })).toBeNull();
+      expect(computeTargetSize({ ...photo, format: 'image/svg+xml' }, { mode: RESIZE_MODES.MAX_SIZE, maxWidth: 10 })).toBeNull();
+      expect(computeTargetSize(photo, null)).toBeNull();
+    });
+  });
+
+  describe('convertImage', () => {
+    it('should keep images already in the target format', async () => {
+      const calls = stubCanvas();
+      const result = await convertImage(pngImage, { format: OUTPUT_FORMATS.PNG });
+
+      expect(result.converted).toBe(false);
+      expect(result.blob.type).toBe('image/png');
+      expect(calls).toEqual([]);
+    });
+
+    it('should flatten transparency onto the background for JPEG', async () => {
+      const calls = stubCanvas();
+      const result = await convertImage(pngImage, { format: OUTPUT_FORMATS.JPEG, quality: 0.7, background: '#000000' });
+
+      expect(result).toMatchObject({ format: 'image/jpeg', converted: true });
+      expect(calls).toEqual([
+        ['canvas', 4, 3],
+        ['fillStyle', '#000000'],
+        ['fillRect', 0, 0, 4, 3],
+        ['drawImage', 0, 0, 4, 3],
+        ['encode', 'image/jpeg', 0.7]
+      ]);
+    });
+
+    it('should keep transparency for PNG and WebP', async () => {
+      const calls = stubCanvas();
+      await convertImage({ ...pngImage, dataUrl: 'data:image/gif;base64,R0lGODlh', format: 'image/gif' }, { format: OUTPUT_FORMATS.WEBP });
+      await convertImage({ ...pngImage, dataUrl: 'data:image/gif;base64,R0lGODlh', format: 'image/gif' }, { format: OUTPUT_FORMATS.PNG });
+
+      expect(calls.some(call => call[0] === 'fillRect')).toBe(false);
+      expect(calls.filter(call => call[0] === 'encode')).toEqual([
+        ['encode', 'image/webp', DEFAULT_QUALITY],
+        ['encode', 'image/png', undefined]
+      ]);
+    });
+
+    it('should resize images, keeping encodable formats', async () => {
+      const calls = stubCanvas();
+      const resize = { mode: RESIZE_MODES.MAX_SIZE, maxWidth: 2 };
+
+      const png = await convertImage({ ...pngImage, width: 4, height: 3 }, { resize });
+      const gif = await convertImage({ ...pngImage, dataUrl: 'data:image/gif;base64,R0lGODlh', format: 'image/gif', width: 4, height: 3 }, { resize });
+
+      expect(png).toMatchObject({ format: 'image/png', width: 2, height: 2, converted: true });
+      expect(gif.format).toBe('image/png');
+      expect(calls).toContainEqual(['drawImage', 0, 0, 2, 2]);
+      expect(needsConversion({ ...pngImage, width: 4, height: 3 }, { resize })).toBe(true);
+    });
+
+    it('should fail when the browser cannot encode the format', async () => {
+      stubCanvas({ encodes: false });
+
+      await expect(convertImage(pngImage, { format: OUTPUT_FORMATS.WEBP })).rejects.toThrow('cannot save images');
+    });
+
+    it('should fail when the image cannot be decoded', async () => {
+      stubCanvas();
+      createImageBitmap.mockRejectedValueOnce(new Error('InvalidStateError'));
+
+      await expect(convertImage(pngImage, { format: OUTPUT_FORMATS.JPEG })).rejects.toThrow('Could not decode');
+    });
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { groupDuplicateImages, countDuplicates } from '../../src/lib/imageDeduplicator.js';
+
+describe('imageDeduplicator', () => {
+  describe('groupDuplicateImages', () => {
+    it('should group images by hash', () => {
+      const images = [
+        { index: 0, hash: 'aaa', dataUrl: 'data:image/png;base64,QQ==' },
+        { index: 1, hash: 'bbb', dataUrl: 'data:image/png;base64,Qg==' },
+        { index: 2, hash: 'aaa', dataUrl: 'data:image/png;base64,\nQQ==' }
+      ];
+      const groups = groupDuplicateImages(images);
+
+      expect(groups).toHaveLength(2);
+      expect(groups[0].image).toBe(images[0]);
+      expect(groups[0].indices).toEqual([0, 2]);
+      expect(groups[1].indices).toEqual([1]);
+    });
+
+    it('should annotate images with their duplicates', () => {
+      const images = [
+        { index: 0, hash: 'aaa', dataUrl: 'x' },
+        { index: 1, hash: 'aaa', dataUrl: 'y' },
+        { index: 2, hash: 'bbb', dataUrl: 'z' }
+      ];
+      groupDuplicateImages(images);
+
+      expect(images[0].duplicateIndices).toEqual([0, 1]);
+      expect(images[0].duplicateOf).toBeNull();
+      expect(images[1].duplicateOf).toBe(0);
+      expect(images[2].duplicateIndices).toEqual([2]);
+    });
+
+    it('should compare data URLs when images are not hashed', () => {
+      const images = [
+        { index: 0, dataUrl: 'data:image/png;base64,QQ==' },
+        { index: 1, dataUrl: 'data:image/png;base64,QQ==' },
+        { index: 2, dataUrl: 'data:image/png;base64,Qg==' }
+      ];
+      expect(groupDuplicateImages(images).map(group => group.indices)).toEqual([[0, 1], [2]]);
+    });
+
+    it('should fall back to array positions when indices are missing', () => {
+      const images = [{ dataUrl: 'a' }, { dataUrl: 'a' }];
+      expect(groupDuplicateImages(images)[0].indices).toEqual([0, 1]);
+    });
+
+    it('should return no groups for no images', () => {
+      expect(groupDuplicateImages([])).toEqual([]);
+    });
+  });
+
+  describe('countDuplicates', () => {
+    it('should count images that repeat an earlier one', () => {
+      const images = Array.from({ length: 5 }, (_, index) => ({ index, hash: index < 4 ? 'logo' : 'other' }));
+      expect(countDuplicates(images)).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { getImageDimensions, computeRenderScale } from '../../src/lib/imageDimensions.js';
+
+const fromBase64 = (base64) => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+describe('imageDimensions', () => {
+  describe('getImageDimensions', () => {
+    it('should read PNG dimensions from IHDR', () => {
+      // 3x2 RGB PNG
+      const png = fromBase64('iVBORw0KGgoAAAANSUhEUgAAAAMAAAACCAIAAAASFvFNAAAAC0lEQVR4nGNgwAQAABQAAX3+Hu4AAAAASUVORK5CYII=');
+      expect(getImageDimensions(png, 'image/png')).toEqual({ width: 3, height: 2 });
+    });
+
+    it('should read JPEG dimensions from the SOF marker after other segments', () => {
+      const jpeg = new Uint8Array([
+        0xff, 0xd8,
+        // APP0 segment (length 6)
+        0xff, 0xe0, 0x00, 0x06, 0x4a, 0x46, 0x49, 0x46,
+        // SOF2 (progressive): length, precision, height 480, width 640
+        0xff, 0xc2, 0x00, 0x11, 0x08, 0x01, 0xe0, 0x02, 0x80
+      ]);
+      expect(getImageDimensions(jpeg, 'image/jpeg')).toEqual({ width: 640, height: 480 });
+    });
+
+    it('should not mistake DHT for a SOF marker', () => {
+      const jpeg = new Uint8Array([0xff, 0xd8, 0xff, 0xc4, 0x00, 0x04, 0x00, 0x00]);
+      expect(getImageDimensions(jpeg, 'image/jpeg')).toBeNull();
+    });
+
+    it('should read GIF dimensions', () => {
+      const gif = new Uint8Array([0x47, 0x49, 0x46, 0x38, 0x39, 0x61, 0x10, 0x00, 0x20, 0x00]);
+      expect(getImageDimensions(gif, 'image/gif')).toEqual({ width: 16, height: 32 });
+    });
+
+    it('should read lossy WebP (VP8) dimensions', () => {
+      const webp = new Uint8Array(30);
+      webp.set(new TextEncoder().encode('RIFF\0\0\0\0WEBPVP8 '));
+      webp.set([0x9d, 0x01, 0x2a], 23);
+      new DataView(webp.buffer).setUint16(26, 300, true);
+      new DataView(webp.buffer).setUint16(28, 200, true);
+      expect(getImageDimensions(webp, 'image/webp')).toEqual({ width: 300, height: 200 });
+    });
+
+    it('should read lossless WebP (VP8L) dimensions', () => {
+      const webp = new Uint8Array(25);
+      webp.set(new TextEncoder().encode('RIFF\0\0\0\0WEBPVP8L'));
+      webp[20] = 0x2f;
+      // width-1 = 99, height-1 = 49
+      new DataView(webp.buffer).setUint32(21, 99 | (49 << 14), true);
+      expect(getImageDimensions(webp, 'image/webp')).toEqual({ width: 100, height: 50 });
+    });
+
+    it('should read extended WebP (VP8X) dimensions', () => {
+      const webp = new Uint8Array(30);
+      webp.set(new TextEncoder().encode('RIFF\0\0\0\0WEBPVP8X'));
+      webp.set([0xff, 0x03, 0x00, 0xc7, 0x00, 0x00], 24);
+      expect(getImageDimensions(webp, 'image/webp')).toEqual({ width: 1024, height: 200 });
+    });
+
+    it('should read BMP dimensions, including top-down bitmaps', () => {
+      const bmp = new Uint8Array(26);
+      new DataView(bmp.buffer).setInt32(18, 40, true);
+      new DataView(bmp.buffer).setInt32(22, -30, true);
+      expect(getImageDimensions(bmp, 'image/bmp')).toEqual({ width: 40, height: 30 });
+    });
+
+    it('should return null for truncated headers and unsupported formats', () => {
+      expect(getImageDimensions(new Uint8Array([0x89, 0x50]), 'image/png')).toBeNull();
+      expect(getImageDimensions(new Uint8Array(40), 'image/tiff')).toBeNull();
+      expect(getImageDimensions(new Uint8Array(0), 'image/png')).toBeNull();
+    });
+  });
+
+  describe('computeRenderScale', () => {
+    const intrinsic = { width: 200, height: 100 };
+
+    it('should fit the image in its box by default (meet)', () => {
+      expect(computeRenderScale(intrinsic, { renderedWidth: 100, renderedHeight: 100 })).toBe(0.5);
+    });
+
+    it('should cover the box with slice', () => {
+      const placement = { renderedWidth: 100, renderedHeight: 100, preserveAspectRatio: 'xMidYMid slice' };
+      expect(computeRenderScale(intrinsic, placement)).toBe(1);
+    });
+
+    it('should report the smaller axis factor with none', () => {
+      const placement = { renderedWidth: 400, renderedHeight: 300, preserveAspectRatio: 'none' };
+      expect(computeRenderScale(intrinsic, placement)).toBe(2);
+    });
+
+    it('should return null when sizes are unknown', () => {
+      expect(computeRenderScale(null, { renderedWidth: 1, renderedHeight: 1 })).toBeNull();
+      expect(computeRenderScale(intrinsic, { renderedWidth: null, renderedHeight: 10 })).toBeNull();
+    });
+  });
+});
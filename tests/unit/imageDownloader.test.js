@@ -1,5 +1,5 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { downloadSingleImage, downloadBlob } from '../../src/lib/imageDownloader.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { downloadSingleImage, downloadConvertedImage, downloadBlob } from '../../src/lib/imageDownloader.js';
 
 describe('imageDownloader', () => {
   beforeEach(() => {
@@ -54,6 +54,23 @@ describe('imageDownloader', () => {
       expect(clickSpy).toHaveBeenCalled();
     });
 
+    it('should download decoded bytes as a blob', () => {
+      const image = {
+        dataUrl: 'data:image/svg+xml;utf8,<svg></svg>',
+        format: 'image/svg+xml',
+        index: 0
+      };
+
+      HTMLAnchorElement.prototype.click = vi.fn();
+
+      downloadSingleImage(image);
+
+      expect(URL.createObjectURL).toHaveBeenCalledTimes(1);
+      const blob = URL.createObjectURL.mock.calls[0][0];
+      expect(blob.size).toBe(11);
+      expect(blob.type).toBe('image/svg+xml');
+    });
+
     it('should cleanup link after download', () => {
       const image = {
         dataUrl: 'data:image/png;base64,ABC',
@@ -71,6 +88,45 @@ describe('imageDownloader', () => {
     });
   });
 
+  describe('downloadConvertedImage', () => {
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('should download the converted image with the new extension', async () => {
+      vi.stubGlobal('createImageBitmap', async () => ({ width: 1, height: 1 }));
+      vi.stubGlobal('OffscreenCanvas', class {
+        getContext() {
+          return { fillRect() {}, drawImage() {} };
+        }
+
+        async convertToBlob({ type }) {
+          return new Blob(['converted'], { type });
+        }
+      });
+      let filename = null;
+      HTMLAnchorElement.prototype.click = function () {
+        filename = this.download;
+      };
+
+      await downloadConvertedImage({ dataUrl: 'data:image/png;base64,ABC', format: 'image/png', index: 2 }, { format: 'image/webp' });
+
+      expect(filename).toBe('image-3.webp');
+      expect(URL.createObjectURL.mock.calls.at(-1)[0].type).toBe('image/webp');
+    });
+
+    it('should download the original when no conversion is needed', async () => {
+      let filename = null;
+      HTMLAnchorElement.prototype.click = function () {
+        filename = this.download;
+      };
+
+      await downloadConvertedImage({ dataUrl: 'data:image/png;base64,ABC', format: 'image/png', index: 0 }, { format: 'original' });
+
+      expect(filename).toBe('image-1.png');
+    });
+  });
+
   describe('downloadBlob', () => {
     it('should download blob with correct filename', () => {
       const blob = new Blob(['test'], { type: 'application/zip' });
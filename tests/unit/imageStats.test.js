@@ -0,0 +1,99 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  computeSha256,
+  hashImages,
+  isDigestSupported,
+  summarizeImageWeight
+} from '../../src/lib/imageStats.js';
+
+describe('imageStats', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('computeSha256', () => {
+    it('should compute a hex SHA-256 digest', async () => {
+      const digest = await computeSha256(new TextEncoder().encode('abc'));
+      expect(digest).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    });
+
+    it('should throw when SubtleCrypto is unavailable', async () => {
+      vi.stubGlobal('crypto', {});
+      expect(isDigestSupported()).toBe(false);
+      await expect(computeSha256(new Uint8Array(1))).rejects.toThrow('SubtleCrypto');
+    });
+  });
+
+  describe('hashImages', () => {
+    it('should hash the decoded payload regardless of encoding', async () => {
+      const images = [
+        { index: 0, dataUrl: 'data:image/png;base64,YWJj' },
+        { index: 1, dataUrl: 'data:image/png,abc' },
+        { index: 2, dataUrl: 'data:image/png;base64,YW\n Jj' }
+      ];
+      await hashImages(images);
+
+      const expected = 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad';
+      expect(images.map(img => img.hash)).toEqual([expected, expected, expected]);
+    });
+
+    it('should set null for undecodable payloads', async () => {
+      const images = [{ index: 0, dataUrl: 'data:image/png;base64,@@@@' }];
+      await hashImages(images);
+      expect(images[0].hash).toBeNull();
+    });
+
+    it('should set null hashes when SubtleCrypto is unavailable', async () => {
+      vi.stubGlobal('crypto', {});
+      const images = [{ index: 0, dataUrl: 'data:image/png;base64,YWJj' }];
+      await hashImages(images);
+      expect(images[0].hash).toBeNull();
+    });
+  });
+
+  describe('summarizeImageWeight', () => {
+    it('should total decoded and encoded bytes against the SVG size', () => {
+      const dataUrl = 'data:image/png;base64,YWJj';
+      const svg = `<svg><image href="${dataUrl}"/></svg>`;
+      const summary = summarizeImageWeight([{ dataUrl, size: 3, depth: 0 }], svg);
+
+      expect(summary.imageCount).toBe(1);
+      expect(summary.imageBytes).toBe(3);
+      expect(summary.encodedBytes).toBe(dataUrl.length);
+      expect(summary.svgBytes).toBe(svg.length);
+      expect(summary.share).toBeCloseTo(dataUrl.length / svg.length, 6);
+    });
+
+    it('should not count nested images twice', () => {
+      const images = [
+        { dataUrl: 'data:image/svg+xml,abcdef', size: 6, depth: 0 },
+        { dataUrl: 'data:image/png,ab', size: 2, depth: 1 }
+      ];
+      const summary = summarizeImageWeight(images, 'x'.repeat(100));
+
+      expect(summary.imageCount).toBe(1);
+      expect(summary.imageBytes).toBe(6);
+    });
+
+    it('should not count fetched linked images', () => {
+      const images = [
+        { dataUrl: 'data:image/png,abc', size: 3, depth: 0 },
+        { dataUrl: 'data:image/png,abcdef', size: 6, depth: 0, linkedUrl: 'https://example.com/a.png' }
+      ];
+      const summary = summarizeImageWeight(images, 'x'.repeat(100));
+
+      expect(summary.imageCount).toBe(1);
+      expect(summary.imageBytes).toBe(3);
+    });
+
+    it('should handle empty input', () => {
+      expect(summarizeImageWeight([], '')).toEqual({
+        imageCount: 0,
+        imageBytes: 0,
+        encodedBytes: 0,
+        svgBytes: 0,
+        share: 0
+      });
+    });
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import * as library from '../../src/lib/index.js';
+
+describe('library entry point', () => {
+  it('should expose the public API', () => {
+    [
+      'setXmlParser',
+      'extractImages',
+      'extractAllImages',
+      'countImages',
+      'fetchSvgFromUrl',
+      'fetchLinkedImages',
+      'decodeDataUrl',
+      'generateZip',
+      'buildFilename',
+      'externalizeImages',
+      'replaceEmbeddedImage',
+      'optimizeSvg'
+    ].forEach(name => expect(typeof library[name]).toBe('function'));
+    expect(library.IMAGE_SOURCES).toBeDefined();
+  });
+
+  it('should not expose UI helpers', () => {
+    expect(library.displayError).toBeUndefined();
+    expect(library.downloadBlob).toBeUndefined();
+  });
+});
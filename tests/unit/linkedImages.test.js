@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { fetchLinkedImages } from '../../src/lib/linkedImages.js';
+import { extractAllImages } from '../../src/lib/svgExtractor.js';
+import { decodeDataUrl } from '../../src/lib/dataUrl.js';
+
+// 3x2 PNG header (signature + IHDR)
+const pngBytes = new Uint8Array([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+  0x00, 0x00, 0x00, 0x0d, 0x49, 0x48, 0x44, 0x52,
+  0x00, 0x00, 0x00, 0x03, 0x00, 0x00, 0x00, 0x02
+]);
+
+const respond = (bytes, contentType) => new Response(bytes, {
+  status: 200,
+  headers: contentType ? { 'Content-Type': contentType } : {}
+});
+
+describe('linkedImages', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('fetchLinkedImages', () => {
+    const svg = `
+      <svg>
+        <image href="data:image/png;base64,AAA" />
+        <image id="photo" href="photo.png" width="30" height="20" />
+        <image href="missing.png" />
+      </svg>
+    `;
+    const baseUrl = 'https://example.com/art/logo.svg';
+
+    it('should fetch linked images into extracted image objects', async () => {
+      const fetchMock = vi.fn(async (url) => url.endsWith('photo.png')
+        ? respond(pngBytes, 'image/png')
+        : new Response('Not found', { status: 404, statusText: 'Not Found' }));
+      vi.stubGlobal('fetch', fetchMock);
+
+      const { images, linkedImages } = extractAllImages(svg, { baseUrl });
+      const result = await fetchLinkedImages(linkedImages, { startIndex: images.length });
+
+      expect(fetchMock).toHaveBeenCalledWith('https://example.com/art/photo.png', expect.any(Object));
+      expect(result.images).toHaveLength(1);
+
+      const [image] = result.images;
+      expect(image.index).toBe(1);
+      expect(image.format).toBe('image/png');
+      expect(image.size).toBe(pngBytes.length);
+      expect(image.width).toBe(3);
+      expect(image.height).toBe(2);
+      expect(image.elementId).toBe('photo');
+      expect(image.linkedUrl).toBe('https://example.com/art/photo.png');
+      expect(image.placement.width).toBe(30);
+      expect(decodeDataUrl(image.dataUrl)).toEqual(pngBytes);
+
+      expect(result.failures).toHaveLength(1);
+      expect(result.failures[0].linkedImage.href).toBe('missing.png');
+      expect(result.failures[0].error.statusCode).toBe(404);
+    });
+
+    it('should detect the format when the server sends a wrong Content-Type', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => respond(pngBytes, 'image/jpeg')));
+
+      const { linkedImages } = extractAllImages('<svg><image href="https://cdn.example.com/a.jpg" /></svg>');
+      const { images } = await fetchLinkedImages(linkedImages);
+
+      expect(images[0].format).toBe('image/png');
+      expect(images[0].declaredFormat).toBe('image/jpeg');
+      expect(images[0].formatMismatch).toBe(true);
+    });
+
+    it('should reject responses that are not images', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => respond(new TextEncoder().encode('<html></html>'), 'text/html')));
+
+      const { linkedImages } = extractAllImages('<svg><image href="https://example.com/page" /></svg>');
+      const { images, failures } = await fetchLinkedImages(linkedImages);
+
+      expect(images).toHaveLength(0);
+      expect(failures[0].error.message).toBe('URL did not return an image');
+    });
+
+    it('should report unresolved relative links without fetching', async () => {
+      const fetchMock = vi.fn();
+      vi.stubGlobal('fetch', fetchMock);
+
+      const { linkedImages } = extractAllImages('<svg><image href="photo.png" /></svg>');
+      const { failures } = await fetchLinkedImages(linkedImages);
+
+      expect(fetchMock).not.toHaveBeenCalled();
+      expect(failures).toHaveLength(1);
+    });
+
+    it('should report progress', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => respond(pngBytes, 'image/png')));
+      const progress = vi.fn();
+
+      const { linkedImages } = extractAllImages(svg, { baseUrl });
+      await fetchLinkedImages(linkedImages, {}, progress);
+
+      expect(progress.mock.calls.map(call => call[0])).toEqual([50, 100]);
+    });
+  });
+});
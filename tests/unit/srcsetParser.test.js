@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { parseSrcset } from '../../src/lib/srcsetParser.js';
+
+describe('srcsetParser', () => {
+  describe('parseSrcset', () => {
+    it('should parse URLs with descriptors', () => {
+      expect(parseSrcset('small.png 1x, large.png 2x')).toEqual([
+        { url: 'small.png', descriptor: '1x' },
+        { url: 'large.png', descriptor: '2x' }
+      ]);
+    });
+
+    it('should parse candidates without descriptors', () => {
+      expect(parseSrcset('a.png')).toEqual([{ url: 'a.png', descriptor: null }]);
+      expect(parseSrcset('a.png, b.png 640w')).toEqual([
+        { url: 'a.png', descriptor: null },
+        { url: 'b.png', descriptor: '640w' }
+      ]);
+    });
+
+    it('should keep commas inside data URLs', () => {
+      expect(parseSrcset('data:image/png;base64,AAA 1x,data:image/png;base64,BBB 2x')).toEqual([
+        { url: 'data:image/png;base64,AAA', descriptor: '1x' },
+        { url: 'data:image/png;base64,BBB', descriptor: '2x' }
+      ]);
+    });
+
+    it('should tolerate extra whitespace and separators', () => {
+      expect(parseSrcset('  a.png   2x ,, \n b.png  ')).toEqual([
+        { url: 'a.png', descriptor: '2x' },
+        { url: 'b.png', descriptor: null }
+      ]);
+    });
+
+    it('should return an empty array for empty input', () => {
+      expect(parseSrcset('')).toEqual([]);
+      expect(parseSrcset(null)).toEqual([]);
+    });
+  });
+});
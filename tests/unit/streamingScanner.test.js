@@ -0,0 +1,114 @@
+import { describe, it, expect, vi } from 'vitest';
+import { Blob } from 'node:buffer';
+import { gzipSync } from 'node:zlib';
+import { createDataUrlScanner, scanSvgStream, scanSvgFile } from '../../src/lib/streamingScanner.js';
+import { IMAGE_SOURCES } from '../../src/lib/svgExtractor.js';
+
+// 1x1 transparent PNG
+const PNG_URL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+const scanAll = (chunks) => {
+  const references = [];
+  const scanner = createDataUrlScanner(reference => references.push(reference));
+  chunks.forEach(chunk => scanner.push(chunk));
+  scanner.end();
+  return references;
+};
+
+const streamOf = chunks => new ReadableStream({
+  start(controller) {
+    const encoder = new TextEncoder();
+    chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+    controller.close();
+  }
+});
+
+describe('streamingScanner', () => {
+  describe('createDataUrlScanner', () => {
+    it('should find data URLs split across chunks', () => {
+      const svg = `<svg><image id="photo" href="${PNG_URL}"/></svg>`;
+      const chunks = svg.match(/.{1,7}/gs);
+      const references = scanAll(chunks);
+
+      expect(references).toHaveLength(1);
+      expect(references[0].url).toBe(PNG_URL);
+      expect(references[0].offset).toBe(svg.indexOf('data:'));
+      expect(references[0].elementId).toBe('photo');
+      expect(references[0].source).toBe(IMAGE_SOURCES.IMAGE_ELEMENT);
+    });
+
+    it('should describe CSS and foreignObject contexts', () => {
+      const references = scanAll([
+        `<svg><style>.a { fill: url(${PNG_URL}) }</style>`,
+        `<rect style="fill: url('${PNG_URL}')"/>`,
+        `<foreignObject><img src="${PNG_URL}"/></foreignObject></svg>`
+      ]);
+
+      expect(references.map(reference => [reference.source, reference.htmlElement])).toEqual([
+        [IMAGE_SOURCES.CSS_STYLE_BLOCK, null],
+        [IMAGE_SOURCES.INLINE_STYLE, null],
+        [IMAGE_SOURCES.FOREIGN_OBJECT, 'img']
+      ]);
+      expect(references.every(reference => reference.url === PNG_URL)).toBe(true);
+    });
+
+    it('should decode character references and ignore data: in text', () => {
+      const references = scanAll([
+        '<svg><text>data: not a URL</text>',
+        '<image href="data:image/svg+xml,&lt;svg&gt;&#x3C;/svg&gt;"/></svg>'
+      ]);
+
+      expect(references).toHaveLength(1);
+      expect(references[0].url).toBe('data:image/svg+xml,<svg></svg>');
+    });
+
+    it('should keep out-of-range character references as written', () => {
+      const references = scanAll([
+        '<svg><image href="data:image/svg+xml,&#x110000;&#99999999999;&#xD800;&#65;"/></svg>'
+      ]);
+
+      expect(references[0].url).toBe('data:image/svg+xml,&#x110000;&#99999999999;&#xD800;A');
+    });
+
+    it('should drop a data URL left open at the end', () => {
+      expect(scanAll(['<svg><image href="data:image/png;base64,AAAA'])).toEqual([]);
+    });
+  });
+
+  describe('scanSvgStream', () => {
+    it('should describe each image and report it as found', async () => {
+      const onImage = vi.fn();
+      const images = await scanSvgStream(streamOf([
+        `<svg><image href="${PNG_URL.slice(0, 40)}`,
+        `${PNG_URL.slice(40)}"/><image href="data:text/plain,hi"/></svg>`
+      ]), { onImage });
+
+      expect(images).toHaveLength(1);
+      expect(images[0]).toMatchObject({ format: 'image/png', width: 1, height: 1, elementPath: null, index: 0 });
+      expect(onImage).toHaveBeenCalledWith(images[0]);
+    });
+
+    it('should stop when cancelled', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(scanSvgStream(streamOf(['<svg/>']), { signal: controller.signal }))
+        .rejects.toMatchObject({ name: 'AbortError' });
+    });
+  });
+
+  describe('scanSvgFile', () => {
+    it('should read plain and gzip-compressed files, reporting progress', async () => {
+      const svg = `<svg><image href="${PNG_URL}"/></svg>`;
+      const onProgress = vi.fn();
+
+      const plain = await scanSvgFile(new Blob([svg]), { onProgress });
+      const compressed = await scanSvgFile(new Blob([gzipSync(svg)]));
+
+      expect(plain).toHaveLength(1);
+      expect(compressed).toHaveLength(1);
+      expect(compressed[0].dataUrl).toBe(PNG_URL);
+      expect(onProgress).toHaveBeenLastCalledWith(100);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { externalizeImages, DEFAULT_IMAGE_FOLDER } from '../../src/lib/svgExternalizer.js';
+
+const png = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+const gif = 'data:image/gif;base64,R0lGODlhAQABAAAAACw=';
+
+describe('svgExternalizer', () => {
+  describe('externalizeImages', () => {
+    it('should replace <image> hrefs with paths to image files', () => {
+      const result = externalizeImages(`<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
+        <image id="a" href="${png}" width="10" height="10"/>
+        <image xlink:href="${gif}"/>
+      </svg>`, { name: 'logo.svg' });
+
+      expect(result.name).toBe('logo.svg');
+      expect(result.svg).toContain('href="images/image-1.png" width="10" height="10"');
+      expect(result.svg).toContain('xlink:href="images/image-2.gif"');
+      expect(result.svg).not.toContain('data:image');
+      expect(result.files).toEqual([
+        { path: `${DEFAULT_IMAGE_FOLDER}/image-1.png`, dataUrl: png, format: 'image/png' },
+        { path: `${DEFAULT_IMAGE_FOLDER}/image-2.gif`, dataUrl: gif, format: 'image/gif' }
+      ]);
+    });
+
+    it('should rewrite CSS url() values in style blocks and attributes', () => {
+      const { svg, files } = externalizeImages(`<svg xmlns="http://www.w3.org/2000/svg">
+        <style>.a { fill: url(#grad); background: url('${png}') } .b { background: url(${gif}) }</style>
+        <rect style="background-image: url(&quot;${gif}&quot;); fill: red"/>
+      </svg>`);
+
+      expect(svg).toContain(`.a { fill: url(#grad); background: url("images/image-1.png") } .b { background: url("images/image-2.gif") }`);
+      expect(svg).toContain('style="background-image: url(&quot;images/image-2.gif&quot;); fill: red"');
+      expect(files).toHaveLength(2);
+    });
+
+    it('should rewrite src and srcset in <foreignObject> HTML', () => {
+      const { svg } = externalizeImages(`<svg xmlns="http://www.w3.org/2000/svg">
+        <foreignObject width="10" height="10">
+          <img xmlns="http://www.w3.org/1999/xhtml" src="${png}" srcset="${png} 1x, ${gif} 2x"/>
+        </foreignObject>
+      </svg>`);
+
+      expect(svg).toContain('src="images/image-1.png"');
+      expect(svg).toContain('srcset="images/image-1.png 1x, images/image-2.gif 2x"');
+    });
+
+    it('should write identical images once', () => {
+      const { svg, files } = externalizeImages(`<svg xmlns="http://www.w3.org/2000/svg">
+        <image href="${png}"/><image href="${png}"/>
+      </svg>`);
+
+      expect(files).toHaveLength(1);
+      expect(svg.match(/images\/image-1\.png/g)).toHaveLength(2);
+    });
+
+    it('should apply the folder and filename template', () => {
+      const { svg, files } = externalizeImages(`<svg xmlns="http://www.w3.org/2000/svg">
+        <image id="hero" href="${png}"/>
+      </svg>`, { name: 'page.svg', folder: '', filenameTemplate: '{source} {id}' });
+
+      expect(files[0].path).toBe('page hero.png');
+      expect(svg).toContain('href="page%20hero.png"');
+    });
+
+    it('should leave linked images and non-image data alone', () => {
+      const { svg, files } = externalizeImages(`<svg xmlns="http://www.w3.org/2000/svg">
+        <image href="photo.jpg"/><image href="data:text/plain;base64,SGk="/>
+      </svg>`);
+
+      expect(files).toEqual([]);
+      expect(svg).toContain('href="photo.jpg"');
+      expect(svg).toContain('href="data:text/plain;base64,SGk="');
+    });
+
+    it('should reject malformed SVG', () => {
+      expect(() => externalizeImages('<svg><image></svg>')).toThrow('Failed to parse SVG');
+    });
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { extractImages, countImages } from '../../src/lib/svgExtractor.js';
+import { extractImages, extractAllImages, countImages, IMAGE_SOURCES } from '../../src/lib/svgExtractor.js';
 
 describe('svgExtractor', () => {
   describe('extractImages', () => {
@@ -122,6 +122,476 @@ describe('svgExtractor', () => {
       expect(images[0].size).toBeGreaterThan(0);
       expect(images[0].size).toBeLessThan(200); // Should be around 68 bytes
     });
+
+    it('should mark <image> elements with image-element source', () => {
+      const images = extractImages('<svg><image href="data:image/png;base64,ABC" /></svg>');
+      expect(images[0].source).toBe(IMAGE_SOURCES.IMAGE_ELEMENT);
+    });
+
+    it('should extract images from <style> blocks', () => {
+      const svg = `
+        <svg>
+          <style>
+            .texture { background-image: url(data:image/png;base64,ABC123); }
+            .other { background: url("data:image/jpeg;base64,XYZ789") no-repeat; }
+            .fill { fill: url(#gradient); }
+          </style>
+          <rect class="texture" />
+        </svg>
+      `;
+      const images = extractImages(svg);
+
+      expect(images).toHaveLength(2);
+      expect(images[0].format).toBe('image/png');
+      expect(images[0].source).toBe(IMAGE_SOURCES.CSS_STYLE_BLOCK);
+      expect(images[1].format).toBe('image/jpeg');
+      expect(images[1].dataUrl).toBe('data:image/jpeg;base64,XYZ789');
+    });
+
+    it('should extract images from CDATA inside <style> blocks', () => {
+      const svg = '<svg><style><![CDATA[ rect { background: url(data:image/gif;base64,R0lG) } ]]></style></svg>';
+      const images = extractImages(svg);
+
+      expect(images).toHaveLength(1);
+      expect(images[0].source).toBe(IMAGE_SOURCES.CSS_STYLE_BLOCK);
+    });
+
+    it('should extract images from inline style attributes', () => {
+      const svg = `<svg><rect style="background-image: url('data:image/webp;base64,UklG')" /></svg>`;
+      const images = extractImages(svg);
+
+      expect(images).toHaveLength(1);
+      expect(images[0].format).toBe('image/webp');
+      expect(images[0].source).toBe(IMAGE_SOURCES.INLINE_STYLE);
+    });
+
+    it('should return images from all sources in document order', () => {
+      const svg = `
+        <svg>
+          <image href="data:image/png;base64,AAA" />
+          <rect style="background: url(data:image/gif;base64,BBB)" />
+          <style>a { background: url(data:image/jpeg;base64,CCC) }</style>
+        </svg>
+      `;
+      const images = extractImages(svg);
+
+      expect(images.map(img => img.source)).toEqual([
+        IMAGE_SOURCES.IMAGE_ELEMENT,
+        IMAGE_SOURCES.INLINE_STYLE,
+        IMAGE_SOURCES.CSS_STYLE_BLOCK
+      ]);
+      expect(images.map(img => img.index)).toEqual([0, 1, 2]);
+    });
+  });
+
+  describe('extractImages (non-base64 data URLs)', () => {
+    it('should extract percent-encoded data URLs', () => {
+      const svg = '<svg><image href="data:image/png,%89PNG%0D%0A" /></svg>';
+      const images = extractImages(svg);
+
+      expect(images).toHaveLength(1);
+      expect(images[0].format).toBe('image/png');
+      expect(images[0].size).toBe(6);
+    });
+
+    it('should extract raw utf8 SVG data URLs with their real size', () => {
+      const svg = `<svg><image href="data:image/svg+xml;utf8,%3Csvg%3E%3C/svg%3E" /></svg>`;
+      const images = extractImages(svg);
+
+      expect(images[0].format).toBe('image/svg+xml');
+      expect(images[0].size).toBe('<svg></svg>'.length);
+    });
+
+    it('should compute exact sizes for base64 data URLs', () => {
+      const images = extractImages('<svg><image href="data:image/png;base64,aGVsbG8=" /></svg>');
+      expect(images[0].size).toBe(5);
+    });
+
+    it('should ignore whitespace and padding in wrapped base64 when sizing', () => {
+      const svg = `<svg><image href="data:image/png;base64,
+        aGVsbG8g
+        d29ybGQ=" /></svg>`;
+      const images = extractImages(svg);
+      expect(images[0].size).toBe('hello world'.length);
+    });
+  });
+
+  describe('extractImages (format detection)', () => {
+    // Leading bytes of a JPEG (SOI + APP0 marker), base64-encoded
+    const jpegBase64 = '/9j/4AAQSkZJRgABAQ==';
+    const pngBase64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+    it('should expose declared and detected formats', () => {
+      const images = extractImages(`<svg><image href="data:image/png;base64,${pngBase64}" /></svg>`);
+
+      expect(images[0].declaredFormat).toBe('image/png');
+      expect(images[0].detectedFormat).toBe('image/png');
+      expect(images[0].formatMismatch).toBe(false);
+    });
+
+    it('should use the detected format for mislabeled images', () => {
+      const images = extractImages(`<svg><image href="data:image/png;base64,${jpegBase64}" /></svg>`);
+
+      expect(images[0].declaredFormat).toBe('image/png');
+      expect(images[0].detectedFormat).toBe('image/jpeg');
+      expect(images[0].format).toBe('image/jpeg');
+      expect(images[0].formatMismatch).toBe(true);
+    });
+
+    it('should keep the declared format when the payload is not recognized', () => {
+      const images = extractImages('<svg><image href="data:image/webp;base64,ABC123" /></svg>');
+
+      expect(images[0].detectedFormat).toBeNull();
+      expect(images[0].format).toBe('image/webp');
+      expect(images[0].formatMismatch).toBe(false);
+    });
+
+    it('should not flag MIME type aliases as mismatches', () => {
+      const images = extractImages(`<svg><image href="data:image/jpg;base64,${jpegBase64}" /></svg>`);
+
+      expect(images[0].formatMismatch).toBe(false);
+    });
+  });
+
+  describe('extractImages (dimensions and placement)', () => {
+    // 3x2 RGB PNG
+    const png = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAMAAAACCAIAAAASFvFNAAAAC0lEQVR4nGNgwAQAABQAAX3+Hu4AAAAASUVORK5CYII=';
+
+    it('should report intrinsic pixel dimensions', () => {
+      const images = extractImages(`<svg><image href="${png}" /></svg>`);
+
+      expect(images[0].width).toBe(3);
+      expect(images[0].height).toBe(2);
+    });
+
+    it('should report null dimensions for unreadable payloads', () => {
+      const images = extractImages('<svg><image href="data:image/png;base64,ABC123" /></svg>');
+
+      expect(images[0].width).toBeNull();
+      expect(images[0].height).toBeNull();
+    });
+
+    it('should report the <image> element geometry', () => {
+      const svg = `<svg><image x="5" y="10px" width="30" height="50%" preserveAspectRatio="xMinYMin slice" href="${png}" /></svg>`;
+      const { placement } = extractImages(svg)[0];
+
+      expect(placement.x).toBe(5);
+      expect(placement.y).toBe(10);
+      expect(placement.width).toBe(30);
+      expect(placement.height).toBe('50%');
+      expect(placement.preserveAspectRatio).toBe('xMinYMin slice');
+      expect(placement.transform).toBeNull();
+    });
+
+    it('should accumulate transforms from ancestors', () => {
+      const svg = `
+        <svg>
+          <g transform="scale(2)">
+            <g transform="translate(10 0)">
+              <image width="6" height="4" transform="scale(0.5)" href="${png}" />
+            </g>
+          </g>
+        </svg>
+      `;
+      const { placement } = extractImages(svg)[0];
+
+      expect(placement.transform).toBe('scale(2) translate(10 0) scale(0.5)');
+      expect(placement.matrix).toEqual([1, 0, 0, 1, 20, 0]);
+      expect(placement.renderedWidth).toBe(6);
+      expect(placement.renderedHeight).toBe(4);
+    });
+
+    it('should use intrinsic size when width and height are omitted', () => {
+      const svg = `<svg><g transform="scale(10)"><image href="${png}" /></g></svg>`;
+      const { placement } = extractImages(svg)[0];
+
+      expect(placement.width).toBeNull();
+      expect(placement.renderedWidth).toBe(30);
+      expect(placement.renderedHeight).toBe(20);
+    });
+
+    it('should not report placement for CSS images', () => {
+      const images = extractImages(`<svg><rect style="background: url(${png})" /></svg>`);
+
+      expect(images[0].placement).toBeNull();
+      expect(images[0].width).toBe(3);
+    });
+  });
+
+  describe('extractImages (element location)', () => {
+    it('should report the referencing element id and path', () => {
+      const svg = `
+        <svg>
+          <g><rect /></g>
+          <g>
+            <image href="data:image/png;base64,AAA" />
+            <image id="logo" href="data:image/png;base64,BBB" />
+          </g>
+          <rect style="background: url(data:image/png;base64,CCC)" />
+        </svg>
+      `;
+      const images = extractImages(svg);
+
+      expect(images[0].elementPath).toBe('/svg/g[2]/image[1]');
+      expect(images[0].elementId).toBeNull();
+      expect(images[1].elementPath).toBe('/svg/g[2]/image[2]');
+      expect(images[1].elementId).toBe('logo');
+      expect(images[2].elementPath).toBe('/svg/rect[1]');
+    });
+  });
+
+  describe('extractImages (rendering references)', () => {
+    it('should list the elements that render each image', () => {
+      const svg = `
+        <svg>
+          <defs>
+            <symbol id="logo"><image href="data:image/png;base64,AAA" /></symbol>
+            <pattern id="texture"><image href="data:image/png;base64,BBB" /></pattern>
+          </defs>
+          <use id="logo-1" href="#logo" />
+          <use id="logo-2" href="#logo" />
+          <rect id="bg" fill="url(#texture)" />
+          <image id="photo" href="data:image/png;base64,CCC" />
+        </svg>
+      `;
+      const images = extractImages(svg);
+
+      expect(images[0].consumers.map(c => c.elementId)).toEqual(['logo-1', 'logo-2']);
+      expect(images[0].consumers[0].tagName).toBe('use');
+      expect(images[1].consumers).toEqual([{ tagName: 'rect', elementId: 'bg', elementPath: '/svg/rect[1]' }]);
+      expect(images[2].consumers.map(c => c.elementId)).toEqual(['photo']);
+      expect(images.every(img => img.rendered)).toBe(true);
+    });
+
+    it('should flag images that are defined but never rendered', () => {
+      const svg = `
+        <svg>
+          <defs><pattern id="unused"><image href="data:image/png;base64,AAA" /></pattern></defs>
+          <rect fill="red" />
+        </svg>
+      `;
+      const images = extractImages(svg);
+
+      expect(images[0].rendered).toBe(false);
+      expect(images[0].consumers).toEqual([]);
+    });
+
+    it('should report unknown usage for images in <style> blocks', () => {
+      const images = extractImages('<svg><style>a { background: url(data:image/png;base64,AAA) }</style></svg>');
+
+      expect(images[0].rendered).toBeNull();
+    });
+  });
+
+  describe('extractImages (foreignObject content)', () => {
+    const wrap = (html) => `
+      <svg xmlns="http://www.w3.org/2000/svg">
+        <foreignObject width="100" height="100">
+          <div xmlns="http://www.w3.org/1999/xhtml">${html}</div>
+        </foreignObject>
+      </svg>
+    `;
+
+    it('should extract HTML img sources', () => {
+      const images = extractImages(wrap('<img src="data:image/png;base64,AAA" />'));
+
+      expect(images).toHaveLength(1);
+      expect(images[0].source).toBe(IMAGE_SOURCES.FOREIGN_OBJECT);
+      expect(images[0].htmlElement).toBe('img');
+      expect(images[0].placement).toBeNull();
+      expect(images[0].elementPath).toBe('/svg/foreignObject[1]/div[1]/img[1]');
+    });
+
+    it('should extract every srcset candidate, including data URLs with commas', () => {
+      const images = extractImages(wrap(
+        '<img src="data:image/png;base64,AAA" srcset="data:image/png;base64,BBB 1x, data:image/png;base64,CCC 2x" />'
+      ));
+
+      expect(images.map(img => img.dataUrl)).toEqual([
+        'data:image/png;base64,AAA',
+        'data:image/png;base64,BBB',
+        'data:image/png;base64,CCC'
+      ]);
+    });
+
+    it('should extract picture sources, video posters and object data', () => {
+      const images = extractImages(wrap(`
+        <picture>
+          <source srcset="data:image/webp;base64,AAA" type="image/webp" />
+          <img src="data:image/png;base64,BBB" />
+        </picture>
+        <video poster="data:image/jpeg;base64,CCC"><source src="data:video/mp4;base64,DDD" /></video>
+        <object data="data:image/gif;base64,EEE"></object>
+      `));
+
+      expect(images.map(img => img.htmlElement)).toEqual(['source', 'img', 'video', 'object']);
+      expect(images.map(img => img.declaredFormat)).toEqual(['image/webp', 'image/png', 'image/jpeg', 'image/gif']);
+    });
+
+    it('should report HTML images as rendered', () => {
+      const images = extractImages(wrap('<img id="photo" src="data:image/png;base64,AAA" />'));
+
+      expect(images[0].rendered).toBe(true);
+      expect(images[0].consumers.map(c => c.elementId)).toEqual(['photo']);
+    });
+
+    it('should not treat HTML elements outside foreignObject as images', () => {
+      const images = extractImages('<svg><img src="data:image/png;base64,AAA" /></svg>');
+
+      expect(images).toHaveLength(0);
+    });
+
+    it('should set htmlElement to null for SVG images', () => {
+      const images = extractImages('<svg><image href="data:image/png;base64,AAA" /></svg>');
+
+      expect(images[0].htmlElement).toBeNull();
+    });
+  });
+
+  describe('extractAllImages (linked images)', () => {
+    const svg = `
+      <svg>
+        <image href="data:image/png;base64,AAA" />
+        <image id="photo" href="images/photo.png" x="5" width="30" height="20" />
+        <image href="https://cdn.example.com/logo.png" />
+        <use href="#photo" />
+        <rect style="background: url(../textures/paper.jpg)" fill="url(#gradient)" />
+      </svg>
+    `;
+
+    it('should list linked images separately from embedded ones', () => {
+      const { images, linkedImages } = extractAllImages(svg);
+
+      expect(images).toHaveLength(1);
+      expect(linkedImages.map(linked => linked.href)).toEqual([
+        'images/photo.png',
+        'https://cdn.example.com/logo.png',
+        '../textures/paper.jpg'
+      ]);
+      expect(linkedImages.map(linked => linked.index)).toEqual([0, 1, 2]);
+    });
+
+    it('should resolve relative links against the base URL', () => {
+      const { linkedImages } = extractAllImages(svg, { baseUrl: 'https://example.com/art/logo.svg' });
+
+      expect(linkedImages.map(linked => linked.url)).toEqual([
+        'https://example.com/art/images/photo.png',
+        'https://cdn.example.com/logo.png',
+        'https://example.com/textures/paper.jpg'
+      ]);
+    });
+
+    it('should leave relative links unresolved without a base URL', () => {
+      const { linkedImages } = extractAllImages(svg);
+
+      expect(linkedImages[0].url).toBeNull();
+      expect(linkedImages[1].url).toBe('https://cdn.example.com/logo.png');
+    });
+
+    it('should report location, placement and usage of linked images', () => {
+      const [photo, , texture] = extractAllImages(svg).linkedImages;
+
+      expect(photo.source).toBe(IMAGE_SOURCES.IMAGE_ELEMENT);
+      expect(photo.elementId).toBe('photo');
+      expect(photo.elementPath).toBe('/svg/image[2]');
+      expect(photo.placement.x).toBe(5);
+      expect(photo.placement.renderedWidth).toBe(30);
+      expect(photo.consumers).toHaveLength(2);
+      expect(photo.rendered).toBe(true);
+      expect(texture.source).toBe(IMAGE_SOURCES.INLINE_STYLE);
+      expect(texture.placement).toBeNull();
+    });
+
+    it('should only report CSS links from image-bearing properties', () => {
+      const { linkedImages } = extractAllImages(`
+        <svg>
+          <style>
+            @import url(theme.css);
+            @font-face { font-family: Brand; src: url(brand.woff2) format("woff2") }
+            .hero { background-image: url(hero.jpg); cursor: url(pointer.cur), auto }
+          </style>
+          <rect style="mask: url(mask.png); filter: url(filters.svg#blur)" />
+        </svg>
+      `);
+
+      expect(linkedImages.map(linked => linked.href)).toEqual(['hero.jpg', 'mask.png']);
+    });
+
+    it('should not report linked images from extractImages', () => {
+      expect(extractImages(svg)).toHaveLength(1);
+    });
+  });
+
+  describe('extractImages (recursive mode)', () => {
+    const toBase64 = (text) => btoa(unescape(encodeURIComponent(text)));
+    const nestedSvg = '<svg xmlns="http://www.w3.org/2000/svg"><image href="data:image/png;base64,INNER" /></svg>';
+
+    it('should not look inside nested SVGs by default', () => {
+      const svg = `<svg><image href="data:image/svg+xml;base64,${toBase64(nestedSvg)}" /></svg>`;
+      const images = extractImages(svg);
+
+      expect(images).toHaveLength(1);
+      expect(images[0].format).toBe('image/svg+xml');
+      expect(images[0].path).toBe('image[0]');
+      expect(images[0].depth).toBe(0);
+      expect(images[0].parentId).toBeNull();
+    });
+
+    it('should extract images from base64 nested SVGs', () => {
+      const svg = `
+        <svg>
+          <image href="data:image/png;base64,OUTER" />
+          <image href="data:image/svg+xml;base64,${toBase64(nestedSvg)}" />
+        </svg>
+      `;
+      const images = extractImages(svg, { recursive: true });
+
+      expect(images).toHaveLength(3);
+      expect(images[2].dataUrl).toBe('data:image/png;base64,INNER');
+      expect(images[2].path).toBe('image[1] > image[0]');
+      expect(images[2].depth).toBe(1);
+      expect(images[2].parentId).toBe(images[1].id);
+      expect(images.map(img => img.index)).toEqual([0, 1, 2]);
+    });
+
+    it('should extract images from percent-encoded nested SVGs', () => {
+      const svg = `<svg><image href="data:image/svg+xml,${encodeURIComponent(nestedSvg)}" /></svg>`;
+      const images = extractImages(svg, { recursive: true });
+
+      expect(images).toHaveLength(2);
+      expect(images[0].format).toBe('image/svg+xml');
+      expect(images[1].format).toBe('image/png');
+      expect(images[1].path).toBe('image[0] > image[0]');
+    });
+
+    it('should follow several nesting levels', () => {
+      const level2 = nestedSvg;
+      const level1 = `<svg xmlns="http://www.w3.org/2000/svg"><image href="data:image/svg+xml;base64,${toBase64(level2)}" /></svg>`;
+      const svg = `<svg><image href="data:image/svg+xml;base64,${toBase64(level1)}" /></svg>`;
+      const images = extractImages(svg, { recursive: true });
+
+      expect(images.map(img => img.path)).toEqual([
+        'image[0]',
+        'image[0] > image[0]',
+        'image[0] > image[0] > image[0]'
+      ]);
+    });
+
+    it('should stop at the depth limit', () => {
+      const level1 = `<svg xmlns="http://www.w3.org/2000/svg"><image href="data:image/svg+xml;base64,${toBase64(nestedSvg)}" /></svg>`;
+      const svg = `<svg><image href="data:image/svg+xml;base64,${toBase64(level1)}" /></svg>`;
+      const images = extractImages(svg, { recursive: true, maxDepth: 1 });
+
+      expect(images).toHaveLength(2);
+      expect(images.every(img => img.depth <= 1)).toBe(true);
+    });
+
+    it('should skip nested SVGs that cannot be parsed', () => {
+      const svg = `<svg><image href="data:image/svg+xml,${encodeURIComponent('<svg><broken')}" /></svg>`;
+      const images = extractImages(svg, { recursive: true });
+
+      expect(images).toHaveLength(1);
+    });
   });
 
   describe('countImages', () => {
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { extractAllImages } from '../../src/lib/svgExtractor.js';
+import { replaceEmbeddedImage, inlineLinkedImages, encodeImageFile } from '../../src/lib/svgImageEditor.js';
+
+const png = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+const gif = 'data:image/gif;base64,R0lGODlhAQABAAAAACw=';
+const jpeg = 'data:image/jpeg;base64,/9j/4AAQSkZJRg==';
+
+describe('svgImageEditor', () => {
+  describe('replaceEmbeddedImage', () => {
+    it('should write the new image into the <image> element, keeping its geometry', () => {
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
+        <image x="5" y="6" width="40" height="30" xlink:href="${png}"/>
+        <image href="${gif}"/>
+      </svg>`;
+      const { images } = extractAllImages(svg);
+
+      const modified = replaceEmbeddedImage(svg, images[0], jpeg);
+
+      expect(modified).toContain(`x="5" y="6" width="40" height="30" xlink:href="${jpeg}"`);
+      expect(modified).toContain(`href="${gif}"`);
+      expect(extractAllImages(modified).images.map(image => image.format)).toEqual(['image/jpeg', 'image/gif']);
+    });
+
+    it('should pin the size of images shown at their intrinsic size', () => {
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg"><image href="${png}"/></svg>`;
+      const { images } = extractAllImages(svg);
+
+      expect(replaceEmbeddedImage(svg, images[0], jpeg)).toContain(`width="1" height="1"`);
+    });
+
+    it('should replace the right one of several identical images', () => {
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg"><image href="${png}"/><image href="${png}"/></svg>`;
+      const { images } = extractAllImages(svg);
+
+      const modified = replaceEmbeddedImage(svg, images[1], gif);
+
+      expect(extractAllImages(modified).images.map(image => image.format)).toEqual(['image/png', 'image/gif']);
+    });
+
+    it('should replace CSS url() values', () => {
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg"><rect style="fill: red; background: url(${png})"/></svg>`;
+      const { images } = extractAllImages(svg);
+
+      expect(replaceEmbeddedImage(svg, images[0], gif)).toContain(`style="fill: red; background: url(&quot;${gif}&quot;)"`);
+    });
+
+    it('should refuse nested images and images no longer in the SVG', () => {
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg"><image href="${png}"/></svg>`;
+      const { images } = extractAllImages(svg);
+
+      expect(() => replaceEmbeddedImage(svg, { ...images[0], depth: 1 }, gif)).toThrow('Only images embedded directly');
+      expect(() => replaceEmbeddedImage(svg, { ...images[0], dataUrl: jpeg }, gif)).toThrow('could not be found');
+    });
+  });
+
+  describe('inlineLinkedImages', () => {
+    it('should replace links with the given data URLs', () => {
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg">
+        <image href="photo.jpg" width="10" height="10"/>
+        <image href="other.png"/>
+        <style>.a { background: url(photo.jpg) }</style>
+      </svg>`;
+
+      const { svg: inlined, inlined: count } = inlineLinkedImages(svg, new Map([['photo.jpg', jpeg]]));
+
+      expect(count).toBe(2);
+      expect(inlined).toContain(`href="${jpeg}" width="10" height="10"`);
+      expect(inlined).toContain(`url("${jpeg}")`);
+      expect(inlined).toContain('href="other.png"');
+    });
+  });
+
+  describe('encodeImageFile', () => {
+    it('should encode an image file, detecting its format', async () => {
+      const bytes = Uint8Array.from(atob(png.split(',')[1]), char => char.charCodeAt(0));
+      const result = await encodeImageFile(new File([bytes], 'logo.jpg', { type: 'image/jpeg' }));
+
+      expect(result).toEqual({ dataUrl: png, format: 'image/png' });
+    });
+
+    it('should reject files that are not images', async () => {
+      await expect(encodeImageFile(new File(['hello'], 'notes.txt', { type: 'text/plain' })))
+        .rejects.toThrow('Please select an image file');
+    });
+  });
+});
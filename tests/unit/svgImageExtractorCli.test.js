@@ -0,0 +1,180 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, mkdir, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { gzipSync } from 'node:zlib';
+import JSZip from 'jszip';
+import { runCli, globToRegExp, EXIT_CODES } from '../../scripts/svg-image-extractor.js';
+
+const png = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+const gif = 'data:image/gif;base64,R0lGODlhAQABAAAAACw=';
+const svgWith = (...hrefs) => `<svg xmlns="http://www.w3.org/2000/svg">${hrefs.map(href => `<image href="${href}"/>`).join('')}</svg>`;
+
+/**
+ * Collects what is written to a stream
+ */
+const createOutput = () => {
+  const output = { text: '', write: (chunk) => { output.text += chunk; } };
+  return output;
+};
+
+describe('svg-image-extractor script', () => {
+  let cwd;
+  let stdout;
+  let stderr;
+
+  const run = (args, io = {}) => runCli(args, { cwd, stdout, stderr, stdin: [], ...io });
+
+  beforeEach(async () => {
+    cwd = await mkdtemp(path.join(os.tmpdir(), 'svg-image-extractor-'));
+    stdout = createOutput();
+    stderr = createOutput();
+
+    await mkdir(path.join(cwd, 'icons/social'), { recursive: true });
+    await writeFile(path.join(cwd, 'logo.svg'), svgWith(png, gif));
+    await writeFile(path.join(cwd, 'icons/badge.svg'), svgWith(gif));
+    await writeFile(path.join(cwd, 'icons/social/share.svgz'), gzipSync(svgWith(png)));
+    await writeFile(path.join(cwd, 'icons/notes.txt'), 'not an SVG');
+  });
+
+  afterEach(async () => {
+    await rm(cwd, { recursive: true, force: true });
+  });
+
+  it('should write the images of one file to the output folder', async () => {
+    const code = await run(['logo.svg', '-o', 'out']);
+
+    expect(code).toBe(EXIT_CODES.OK);
+    expect((await readdir(path.join(cwd, 'out'))).sort()).toEqual(['image-1.png', 'image-2.gif']);
+    expect(stdout.text).toContain('logo.svg: 2 images');
+    expect(stdout.text).toContain('Wrote 2 images to out');
+  });
+
+  it('should give each source a folder and apply the filename template', async () => {
+    const code = await run(['icons', 'logo.svg', '--out', 'out', '--template', '{source}-{index}']);
+
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(await readdir(path.join(cwd, 'out/icons/badge'))).toEqual(['badge-1.gif']);
+    expect(await readdir(path.join(cwd, 'out/icons/social/share'))).toEqual(['share-2.png']);
+    expect((await readdir(path.join(cwd, 'out/logo'))).sort()).toEqual(['logo-3.png', 'logo-4.gif']);
+  });
+
+  it('should expand glob patterns', async () => {
+    await run(['**/*.svgz', 'icons/*.svg', '--dry-run']);
+
+    expect(stdout.text).toBe('icons/social/share.svgz: 1 image\nicons/badge.svg: 1 image\nTotal: 2 images\n');
+  });
+
+  it('should write a ZIP archive when the output ends in .zip', async () => {
+    await run(['logo.svg', 'icons/badge.svg', '-o', 'images.zip']);
+
+    const zip = await JSZip.loadAsync(await readFile(path.join(cwd, 'images.zip')));
+    expect(Object.keys(zip.files).filter(name => !zip.files[name].dir).sort())
+      .toEqual(['icons/badge/image-3.gif', 'logo/image-1.png', 'logo/image-2.gif']);
+  });
+
+  it('should read an SVG from standard input', async () => {
+    const code = await run(['-', '-o', 'out'], { stdin: [Buffer.from(svgWith(gif))] });
+
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(await readdir(path.join(cwd, 'out'))).toEqual(['image-1.gif']);
+  });
+
+  it('should print image metadata as JSON without writing images', async () => {
+    await run(['logo.svg', '--json']);
+
+    const [result] = JSON.parse(stdout.text);
+    expect(result).toMatchObject({ name: 'logo.svg', error: null });
+    expect(result.images.map(image => image.format)).toEqual(['image/png', 'image/gif']);
+    expect(result.images[0]).not.toHaveProperty('dataUrl');
+    expect(await readdir(cwd)).not.toContain('extracted-images');
+  });
+
+  it('should count images without writing them in a dry run', async () => {
+    const code = await run(['logo.svg', '--dry-run', '--json']);
+
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(JSON.parse(stdout.text)).toEqual([{ name: 'logo.svg', count: 2, error: null }]);
+    expect(await readdir(cwd)).not.toContain('extracted-images');
+  });
+
+  it('should report inputs that fail to parse or are missing, and exit with 1', async () => {
+    await writeFile(path.join(cwd, 'broken.svg'), '<svg><g></svg>');
+
+    const code = await run(['broken.svg', 'missing.svg', 'logo.svg', '-o', 'out']);
+
+    expect(code).toBe(EXIT_CODES.INPUT_FAILED);
+    expect(stderr.text).toContain('broken.svg: Failed to parse SVG content');
+    expect(stderr.text).toContain('missing.svg: No such file or folder');
+    expect(await readdir(path.join(cwd, 'out'))).toHaveLength(2);
+    expect(await run(['broken.svg', '--dry-run'])).toBe(EXIT_CODES.INPUT_FAILED);
+  });
+
+  it('should exit with 2 on invalid arguments', async () => {
+    expect(await run([])).toBe(EXIT_CODES.USAGE);
+    expect(await run(['logo.svg', '--unknown'])).toBe(EXIT_CODES.USAGE);
+    expect(stderr.text).toContain('Usage: svg-image-extractor');
+  });
+
+  it('should skip images with undecodable data in folder and ZIP output, and exit with 1', async () => {
+    await writeFile(path.join(cwd, 'bad.svg'), svgWith(png, 'data:image/png;base64,@@@@', gif));
+
+    for (const out of ['out', 'out.zip']) {
+      stdout.text = '';
+      stderr.text = '';
+
+      expect(await run(['bad.svg', '-o', out])).toBe(EXIT_CODES.INPUT_FAILED);
+      expect(stderr.text).toBe('bad.svg: image 2: Data URL contains invalid base64 data\n');
+      expect(stdout.text).toContain(`Wrote 2 images to ${out}`);
+    }
+    expect((await readdir(path.join(cwd, 'out'))).sort()).toEqual(['image-1.png', 'image-3.gif']);
+    const zip = await JSZip.loadAsync(await readFile(path.join(cwd, 'out.zip')));
+    expect(Object.keys(zip.files).sort()).toEqual(['image-1.png', 'image-3.gif']);
+  });
+
+  it('should report output that cannot be written, and exit with 3', async () => {
+    await writeFile(path.join(cwd, 'blocker'), 'a file, not a folder');
+
+    expect(await run(['logo.svg', '-o', 'blocker/x'])).toBe(EXIT_CODES.OUTPUT_FAILED);
+    expect(await run(['logo.svg', '-o', 'blocker/x.zip'])).toBe(EXIT_CODES.OUTPUT_FAILED);
+    expect(stderr.text).toContain('blocker/x: ');
+    expect(stderr.text).toContain('ENOTDIR');
+    expect(stdout.text).not.toContain('Wrote');
+  });
+
+  it('should extract from SVG URLs and the SVGs on HTML pages', async () => {
+    const server = http.createServer((req, res) => {
+      if (req.url === '/art/logo.svg') {
+        res.writeHead(200, { 'Content-Type': 'image/svg+xml' }).end(svgWith(png));
+      } else {
+        res.writeHead(200, { 'Content-Type': 'text/html' }).end(`<html><body>${svgWith(gif)}<img src="art/logo.svg"></body></html>`);
+      }
+    });
+    const origin = await new Promise((resolve) => {
+      server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    });
+
+    try {
+      await run([`${origin}/art/logo.svg`, `${origin}/`, '--dry-run']);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+
+    const host = origin.slice('http://'.length);
+    expect(stdout.text).toContain(`${host}/art/logo.svg: 1 image`);
+    expect(stdout.text).toContain(`${host}/inline-svg-1: 1 image`);
+    expect(stdout.text).toContain(`${host}/img-1-logo.svg: 1 image`);
+  });
+
+  describe('globToRegExp', () => {
+    it('should match single folders with * and any depth with **', () => {
+      expect(globToRegExp('icons/*.svg').test('icons/logo.svg')).toBe(true);
+      expect(globToRegExp('icons/*.svg').test('icons/social/logo.svg')).toBe(false);
+      expect(globToRegExp('icons/**/*.svg').test('icons/logo.svg')).toBe(true);
+      expect(globToRegExp('icons/**/*.svg').test('icons/social/x/logo.svg')).toBe(true);
+      expect(globToRegExp('logo-?.svg').test('logo-2.svg')).toBe(true);
+      expect(globToRegExp('logo.svg').test('logoXsvg')).toBe(false);
+    });
+  });
+});
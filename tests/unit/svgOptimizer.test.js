@@ -0,0 +1,148 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { extractAllImages } from '../../src/lib/svgExtractor.js';
+import { encodeDataUrl, decodeDataUrl } from '../../src/lib/dataUrl.js';
+import { OUTPUT_FORMATS } from '../../src/lib/imageConverter.js';
+import { optimizeSvg, mayHaveTransparency, OPTIMIZE_STATUS } from '../../src/lib/svgOptimizer.js';
+
+// 1x1 RGBA PNG
+const transparentPng = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+/**
+ * Builds a PNG with the given colour type and extra chunks before IDAT
+ */
+const buildPng = (colorType, chunks = []) => {
+  const chunk = (type, data) => [0, 0, 0, data.length, ...Array.from(type, char => char.charCodeAt(0)), ...data, 0, 0, 0, 0];
+  return Uint8Array.from([
+    0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+    ...chunk('IHDR', [0, 0, 0, 1, 0, 0, 0, 1, 8, colorType, 0, 0, 0]),
+    ...chunks.flatMap(([type, data]) => chunk(type, data)),
+    ...chunk('IDAT', new Array(40).fill(0)),
+    ...chunk('IEND', [])
+  ]);
+};
+const opaquePng = encodeDataUrl(buildPng(2), 'image/png');
+
+/**
+ * Stubs the canvas so every encoding yields `output`
+ */
+const stubEncoder = (output = 'small') => {
+  vi.stubGlobal('createImageBitmap', vi.fn(async () => ({ width: 1, height: 1, close: vi.fn() })));
+  vi.stubGlobal('OffscreenCanvas', class {
+    getContext() {
+      return { fillRect() {}, drawImage() {} };
+    }
+
+    async convertToBlob({ type }) {
+      return new Blob([output], { type });
+    }
+  });
+};
+
+describe('svgOptimizer', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('optimizeSvg', () => {
+    it('should re-encode images in place, keeping transparency', async () => {
+      stubEncoder();
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg">
+        <image width="10" height="10" href="${opaquePng}"/>
+        <image width="10" height="10" href="${transparentPng}"/>
+      </svg>`;
+      const { images } = extractAllImages(svg);
+      const progress = [];
+
+      const report = await optimizeSvg(svg, images, {}, percent => progress.push(percent));
+
+      expect(report.images.map(result => [result.status, result.format, result.size])).toEqual([
+        [OPTIMIZE_STATUS.OPTIMIZED, 'image/jpeg', 5],
+        [OPTIMIZE_STATUS.OPTIMIZED, 'image/webp', 5]
+      ]);
+      expect(report.originalSize).toBe(images[0].size + images[1].size);
+      expect(report.size).toBe(10);
+      expect(report.svgSize).toBeLessThan(report.svgOriginalSize);
+      expect(extractAllImages(report.svg).images.map(image => image.declaredFormat)).toEqual(['image/jpeg', 'image/webp']);
+      expect(progress).toEqual([50, 100]);
+    });
+
+    it('should keep images the encoder does not make smaller', async () => {
+      stubEncoder('x'.repeat(500));
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg"><image href="${opaquePng}"/></svg>`;
+      const { images } = extractAllImages(svg);
+
+      const report = await optimizeSvg(svg, images);
+
+      expect(report.images[0]).toMatchObject({ status: OPTIMIZE_STATUS.UNCHANGED, format: 'image/png' });
+      expect(report.svg).toBe(svg);
+      expect(report.size).toBe(report.originalSize);
+    });
+
+    it('should only use JPEG for opaque images', async () => {
+      stubEncoder();
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg"><image href="${transparentPng}"/></svg>`;
+
+      const report = await optimizeSvg(svg, extractAllImages(svg).images, { format: OUTPUT_FORMATS.JPEG, scale: null });
+
+      expect(report.images[0].status).toBe(OPTIMIZE_STATUS.UNCHANGED);
+    });
+
+    it('should skip vector and GIF images', async () => {
+      stubEncoder();
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg">
+        <image href="data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg'/%3E"/>
+        <image href="data:image/gif;base64,R0lGODlhAQABAAAAACw="/>
+      </svg>`;
+
+      const report = await optimizeSvg(svg, extractAllImages(svg).images);
+
+      expect(report.images.map(result => result.status)).toEqual([OPTIMIZE_STATUS.SKIPPED, OPTIMIZE_STATUS.SKIPPED]);
+      expect(createImageBitmap).not.toHaveBeenCalled();
+    });
+
+    it('should report images that cannot be decoded', async () => {
+      stubEncoder();
+      createImageBitmap.mockRejectedValueOnce(new Error('InvalidStateError'));
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg"><image href="${opaquePng}"/></svg>`;
+
+      const report = await optimizeSvg(svg, extractAllImages(svg).images);
+
+      expect(report.images[0]).toMatchObject({ status: OPTIMIZE_STATUS.FAILED, reason: expect.stringContaining('Could not decode') });
+    });
+
+    it('should report images with invalid base64 and optimize the others', async () => {
+      stubEncoder();
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg">
+        <image href="data:image/png;base64,@@@@"/>
+        <image href="${opaquePng}"/>
+      </svg>`;
+
+      const report = await optimizeSvg(svg, extractAllImages(svg).images);
+
+      expect(report.images.map(result => result.status)).toEqual([OPTIMIZE_STATUS.FAILED, OPTIMIZE_STATUS.OPTIMIZED]);
+      expect(report.images[0].reason).toContain('base64');
+    });
+
+    it('should stop when cancelled', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg"><image href="${opaquePng}"/></svg>`;
+
+      await expect(optimizeSvg(svg, extractAllImages(svg).images, { signal: controller.signal }))
+        .rejects.toMatchObject({ name: 'AbortError' });
+    });
+  });
+
+  describe('mayHaveTransparency', () => {
+    it('should read alpha from PNG headers', () => {
+      expect(mayHaveTransparency(decodeDataUrl(transparentPng), 'image/png')).toBe(true);
+      expect(mayHaveTransparency(buildPng(2), 'image/png')).toBe(false);
+      expect(mayHaveTransparency(buildPng(3, [['PLTE', [0, 0, 0]], ['tRNS', [0]]]), 'image/png')).toBe(true);
+    });
+
+    it('should treat JPEG as opaque and unknown formats as transparent', () => {
+      expect(mayHaveTransparency(new Uint8Array([0xff, 0xd8]), 'image/jpeg')).toBe(false);
+      expect(mayHaveTransparency(new Uint8Array([0x42, 0x4d]), 'image/bmp')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildReferenceGraph,
+  findConsumers,
+  describeElement,
+  getElementPath
+} from '../../src/lib/svgReferences.js';
+
+const parse = (svg) => new DOMParser().parseFromString(svg, 'image/svg+xml');
+
+const consumersOf = (svg, selector = 'image') => {
+  const doc = parse(svg);
+  const graph = buildReferenceGraph(doc);
+  return findConsumers(doc.querySelector(selector), graph).map(el => el.getAttribute('id'));
+};
+
+describe('svgReferences', () => {
+  describe('findConsumers', () => {
+    it('should report directly rendered elements as their own consumer', () => {
+      expect(consumersOf('<svg><g><image id="img" /></g></svg>')).toEqual(['img']);
+    });
+
+    it('should follow <use> to a <symbol>', () => {
+      const svg = `
+        <svg xmlns:xlink="http://www.w3.org/1999/xlink">
+          <defs><symbol id="logo"><image id="img" /></symbol></defs>
+          <use id="u1" href="#logo" />
+          <use id="u2" xlink:href="#logo" />
+        </svg>
+      `;
+      expect(consumersOf(svg)).toEqual(['u1', 'u2']);
+    });
+
+    it('should follow fill="url(#pattern)" and style references', () => {
+      const svg = `
+        <svg>
+          <defs><pattern id="p"><image id="img" /></pattern></defs>
+          <rect id="r1" fill="url(#p)" />
+          <circle id="c1" style="stroke: url('#p')" />
+        </svg>
+      `;
+      expect(consumersOf(svg)).toEqual(['r1', 'c1']);
+    });
+
+    it('should follow pattern inheritance through href', () => {
+      const svg = `
+        <svg>
+          <defs>
+            <pattern id="base"><image id="img" /></pattern>
+            <pattern id="derived" href="#base" />
+          </defs>
+          <rect id="r1" fill="url(#derived)" />
+        </svg>
+      `;
+      expect(consumersOf(svg)).toEqual(['r1']);
+    });
+
+    it('should follow chains of <use> through symbols', () => {
+      const svg = `
+        <svg>
+          <defs>
+            <symbol id="inner"><image id="img" /></symbol>
+            <symbol id="outer"><use id="nested" href="#inner" /></symbol>
+          </defs>
+          <use id="top" href="#outer" />
+        </svg>
+      `;
+      expect(consumersOf(svg)).toEqual(['top']);
+    });
+
+    it('should include <use> of a directly rendered group', () => {
+      const svg = '<svg><g id="g"><image id="img" /></g><use id="copy" href="#g" /></svg>';
+      expect(consumersOf(svg)).toEqual(['img', 'copy']);
+    });
+
+    it('should report no consumers for unreferenced definitions', () => {
+      expect(consumersOf('<svg><defs><image id="img" /></defs></svg>')).toEqual([]);
+      expect(consumersOf('<svg><defs><pattern id="p"><image id="img" /></pattern></defs><rect fill="url(#other)" /></svg>')).toEqual([]);
+    });
+
+    it('should treat display="none" as not rendered', () => {
+      expect(consumersOf('<svg><g display="none"><image id="img" /></g></svg>')).toEqual([]);
+      expect(consumersOf('<svg><image id="img" style="opacity: 1; display: none" /></svg>')).toEqual([]);
+    });
+
+    it('should render hidden sprite containers through references', () => {
+      const svg = '<svg><defs style="display:none"><symbol id="s"><image id="img" /></symbol></defs><use id="u" href="#s" /></svg>';
+      expect(consumersOf(svg)).toEqual(['u']);
+    });
+
+    it('should report <style> blocks referencing a container', () => {
+      const svg = '<svg><style id="css">.bg { fill: url(#p) }</style><defs><pattern id="p"><image id="img" /></pattern></defs></svg>';
+      expect(consumersOf(svg)).toEqual(['css']);
+    });
+
+    it('should not loop on reference cycles', () => {
+      const svg = `
+        <svg>
+          <defs>
+            <symbol id="a"><use href="#b" /><image id="img" /></symbol>
+            <symbol id="b"><use href="#a" /></symbol>
+          </defs>
+        </svg>
+      `;
+      expect(consumersOf(svg)).toEqual([]);
+    });
+
+    it('should ignore <a> links', () => {
+      expect(consumersOf('<svg><defs><g id="g"><image id="img" /></g></defs><a href="#g" /></svg>')).toEqual([]);
+    });
+  });
+
+  describe('describeElement', () => {
+    it('should describe tag, id and path', () => {
+      const doc = parse('<svg><g /><g><use id="u" /></g></svg>');
+      expect(describeElement(doc.querySelector('use'))).toEqual({
+        tagName: 'use',
+        elementId: 'u',
+        elementPath: '/svg/g[2]/use[1]'
+      });
+    });
+  });
+
+  describe('getElementPath', () => {
+    it('should number same-named siblings only', () => {
+      const doc = parse('<svg><rect /><image /><rect /><image id="x" /></svg>');
+      expect(getElementPath(doc.querySelector('#x'))).toBe('/svg/image[2]');
+      expect(getElementPath(doc.documentElement)).toBe('/svg');
+    });
+  });
+});
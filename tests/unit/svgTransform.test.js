@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseTransform,
+  multiplyMatrices,
+  getMatrixScale,
+  IDENTITY_MATRIX
+} from '../../src/lib/svgTransform.js';
+
+const expectMatrix = (actual, expected) => {
+  actual.forEach((value, i) => expect(value).toBeCloseTo(expected[i], 6));
+};
+
+describe('svgTransform', () => {
+  describe('parseTransform', () => {
+    it('should return identity for empty input', () => {
+      expect(parseTransform('')).toEqual([...IDENTITY_MATRIX]);
+      expect(parseTransform(null)).toEqual([...IDENTITY_MATRIX]);
+    });
+
+    it('should parse translate and scale', () => {
+      expect(parseTransform('translate(10 20)')).toEqual([1, 0, 0, 1, 10, 20]);
+      expect(parseTransform('translate(10)')).toEqual([1, 0, 0, 1, 10, 0]);
+      expect(parseTransform('scale(2)')).toEqual([2, 0, 0, 2, 0, 0]);
+      expect(parseTransform('scale(2, 3)')).toEqual([2, 0, 0, 3, 0, 0]);
+    });
+
+    it('should parse matrix()', () => {
+      expect(parseTransform('matrix(1,2,3,4,5,6)')).toEqual([1, 2, 3, 4, 5, 6]);
+    });
+
+    it('should parse rotate with and without a center', () => {
+      expectMatrix(parseTransform('rotate(90)'), [0, 1, -1, 0, 0, 0]);
+      expectMatrix(parseTransform('rotate(90 10 10)'), [0, 1, -1, 0, 20, 0]);
+    });
+
+    it('should parse skewX and skewY', () => {
+      expectMatrix(parseTransform('skewX(45)'), [1, 0, 1, 1, 0, 0]);
+      expectMatrix(parseTransform('skewY(45)'), [1, 1, 0, 1, 0, 0]);
+    });
+
+    it('should combine a list of transforms left to right', () => {
+      expect(parseTransform('translate(10 20) scale(2)')).toEqual([2, 0, 0, 2, 10, 20]);
+    });
+
+    it('should ignore malformed functions', () => {
+      expect(parseTransform('scale(abc) translate(5,5)')).toEqual([1, 0, 0, 1, 5, 5]);
+    });
+  });
+
+  describe('multiplyMatrices', () => {
+    it('should apply the right matrix first', () => {
+      expect(multiplyMatrices([2, 0, 0, 2, 0, 0], [1, 0, 0, 1, 5, 5])).toEqual([2, 0, 0, 2, 10, 10]);
+    });
+  });
+
+  describe('getMatrixScale', () => {
+    it('should return axis scale factors', () => {
+      expect(getMatrixScale([2, 0, 0, 3, 0, 0])).toEqual({ x: 2, y: 3 });
+    });
+
+    it('should not be affected by rotation', () => {
+      const scale = getMatrixScale(parseTransform('rotate(30) scale(2)'));
+      expect(scale.x).toBeCloseTo(2, 6);
+      expect(scale.y).toBeCloseTo(2, 6);
+    });
+  });
+});
@@ -65,11 +65,17 @@ describe('validators', () => {
       expect(result.error).toBe('File size exceeds 10MB limit');
     });
 
+    it('should apply a custom size limit', () => {
+      const file = new File(['x'.repeat(2 * 1024 * 1024)], 'medium.svg', { type: 'image/svg+xml' });
+      expect(isValidFile(file, { maxSize: 1024 * 1024 }).error).toBe('File size exceeds 1MB limit');
+      expect(isValidFile(file, { maxSize: Infinity }).valid).toBe(true);
+    });
+
     it('should reject invalid file types', () => {
       const file = new File(['content'], 'test.png', { type: 'image/png' });
       const result = isValidFile(file);
       expect(result.valid).toBe(false);
-      expect(result.error).toBe('File must be an SVG file');
+      expect(result.error).toBe('File must be an SVG file (.svg, .svgz) or a ZIP archive');
     });
 
     it('should accept SVG files with .svg extension even if type is wrong', () => {
@@ -84,6 +90,12 @@ describe('validators', () => {
       expect(result.error).toBe('No file provided');
     });
 
+    it('should accept .svgz files and ZIP archives', () => {
+      expect(isValidFile(new File(['x'], 'logo.svgz')).valid).toBe(true);
+      expect(isValidFile(new File(['x'], 'icons.zip', { type: 'application/zip' })).valid).toBe(true);
+      expect(isValidFile(new File(['x'], 'archive', { type: 'application/x-zip-compressed' })).valid).toBe(true);
+    });
+
     it('should accept text/xml type', () => {
       const file = new File(['<svg></svg>'], 'test.svg', { type: 'text/xml' });
       const result = isValidFile(file);
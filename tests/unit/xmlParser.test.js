@@ -0,0 +1,52 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { setXmlParser, parseXml, serializeXml } from '../../src/lib/xmlParser.js';
+import { extractImages } from '../../src/lib/svgExtractor.js';
+import { externalizeImages } from '../../src/lib/svgExternalizer.js';
+
+const png = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+const svg = `<svg xmlns="http://www.w3.org/2000/svg"><image href="${png}"/></svg>`;
+
+describe('xmlParser', () => {
+  const { DOMParser, XMLSerializer } = globalThis;
+
+  afterEach(() => {
+    setXmlParser(null);
+    vi.unstubAllGlobals();
+  });
+
+  describe('parseXml', () => {
+    it('should return null for malformed markup', () => {
+      expect(parseXml('<svg><g></svg>')).toBeNull();
+    });
+
+    it('should return null when the parser throws', () => {
+      setXmlParser({
+        DOMParser: class {
+          parseFromString() {
+            throw new Error('unclosed tag');
+          }
+        }
+      });
+
+      expect(parseXml('<svg>')).toBeNull();
+    });
+  });
+
+  describe('setXmlParser', () => {
+    it('should fail clearly without DOMParser or a parser set', () => {
+      vi.stubGlobal('DOMParser', undefined);
+
+      expect(() => extractImages(svg)).toThrow('setXmlParser');
+    });
+
+    it('should extract and rewrite SVGs with the parser set', () => {
+      vi.stubGlobal('DOMParser', undefined);
+      vi.stubGlobal('XMLSerializer', undefined);
+      setXmlParser({ DOMParser, XMLSerializer });
+
+      expect(extractImages(svg)[0].format).toBe('image/png');
+      expect(externalizeImages(svg).svg).toContain('href="images/image-1.png"');
+      expect(serializeXml(parseXml(svg))).toBe(svg);
+    });
+  });
+});
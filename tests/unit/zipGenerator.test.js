@@ -1,5 +1,6 @@
-import { describe, it, expect, vi } from 'vitest';
-import { generateZip, generateFilename, isZipSupported } from '../../src/lib/zipGenerator.js';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import JSZip from 'jszip';
+import { generateZip, generateFilename, isZipSupported, IMAGE_MAP_FILENAME } from '../../src/lib/zipGenerator.js';
 
 describe('zipGenerator', () => {
   describe('generateFilename', () => {
@@ -15,6 +16,11 @@ describe('zipGenerator', () => {
       expect(generateFilename({ format: 'image/webp' }, 0)).toBe('image-1.webp');
     });
 
+    it('should map structured MIME types to their usual extension', () => {
+      expect(generateFilename({ format: 'image/svg+xml' }, 0)).toBe('image-1.svg');
+      expect(generateFilename({ format: 'image/x-icon' }, 0)).toBe('image-1.ico');
+    });
+
     it('should use 1-based numbering', () => {
       const image = { format: 'image/png' };
       expect(generateFilename(image, 0)).toBe('image-1.png');
@@ -22,6 +28,10 @@ describe('zipGenerator', () => {
       expect(generateFilename(image, 99)).toBe('image-100.png');
     });
 
+    it('should apply a filename template', () => {
+      expect(generateFilename({ format: 'image/png', elementId: 'logo' }, 0, { template: '{id}-{index}' })).toBe('logo-1.png');
+    });
+
     it('should handle missing format', () => {
       const filename = generateFilename({}, 0);
       expect(filename).toBe('image-1.png'); // Default to PNG
@@ -96,6 +106,243 @@ describe('zipGenerator', () => {
       const blob = await generateZip(images);
       expect(blob).toBeInstanceOf(Blob);
     });
+
+    it('should write decoded bytes of percent-encoded and raw data URLs', async () => {
+      const svgMarkup = '<svg xmlns="http://www.w3.org/2000/svg"><rect width="10" height="10"/></svg>';
+      const images = [
+        { dataUrl: 'data:image/png,%89PNG%0D%0A%1A%0A', format: 'image/png' },
+        { dataUrl: `data:image/svg+xml;utf8,${svgMarkup}`, format: 'image/svg+xml' }
+      ];
+
+      const blob = await generateZip(images);
+      const zip = await JSZip.loadAsync(blob);
+
+      const png = await zip.file('image-1.png').async('uint8array');
+      expect(Array.from(png)).toEqual([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+      const svg = await zip.file('image-2.svg').async('string');
+      expect(svg).toBe(svgMarkup);
+    });
+
+    it('should skip images with invalid base64 data', async () => {
+      const validBase64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+      const images = [
+        { dataUrl: 'data:image/png;base64,@@@@', format: 'image/png' },
+        { dataUrl: `data:image/png;base64,${validBase64}`, format: 'image/png' }
+      ];
+
+      const blob = await generateZip(images);
+      const zip = await JSZip.loadAsync(blob);
+      expect(Object.keys(zip.files)).toEqual(['image-1.png']);
+    });
+  });
+
+  describe('generateZip (deduplicated export)', () => {
+    const logo = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+    const other = 'data:image/gif;base64,R0lGODlhAQABAAAAACw=';
+    const images = [
+      { index: 0, dataUrl: logo, format: 'image/png', hash: 'logo', elementId: 'a', elementPath: '/svg/image[1]', source: 'image-element' },
+      { index: 1, dataUrl: other, format: 'image/gif', hash: 'other', elementId: null, elementPath: '/svg/image[2]', source: 'image-element' },
+      { index: 2, dataUrl: logo, format: 'image/png', hash: 'logo', elementId: 'b', elementPath: '/svg/g[1]/image[1]', source: 'image-element' }
+    ];
+
+    it('should write every copy by default', async () => {
+      const zip = await JSZip.loadAsync(await generateZip(images));
+      expect(Object.keys(zip.files)).toEqual(['image-1.png', 'image-2.gif', 'image-3.png']);
+    });
+
+    it('should write each distinct image once with a reference map', async () => {
+      const zip = await JSZip.loadAsync(await generateZip(images, null, { unique: true }));
+      expect(Object.keys(zip.files)).toEqual(['image-1.png', 'image-2.gif', IMAGE_MAP_FILENAME]);
+
+      const map = JSON.parse(await zip.file(IMAGE_MAP_FILENAME).async('string'));
+      expect(map['image-1.png'].count).toBe(2);
+      expect(map['image-1.png'].hash).toBe('logo');
+      expect(map['image-1.png'].references.map(ref => ref.elementPath)).toEqual(['/svg/image[1]', '/svg/g[1]/image[1]']);
+      expect(map['image-1.png'].references.map(ref => ref.elementId)).toEqual(['a', 'b']);
+      expect(map['image-2.gif'].references[0].index).toBe(1);
+    });
+  });
+
+  describe('generateZip (multiple source files)', () => {
+    const png = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+    const gif = 'data:image/gif;base64,R0lGODlhAQABAAAAACw=';
+
+    it('should write one folder per source file', async () => {
+      const images = [
+        { dataUrl: png, format: 'image/png', sourceFile: 'logo.svg' },
+        { dataUrl: gif, format: 'image/gif', sourceFile: 'logo.svg' },
+        { dataUrl: gif, format: 'image/gif', sourceFile: 'icons/banner.svg' }
+      ];
+      const zip = await JSZip.loadAsync(await generateZip(images));
+      const files = Object.keys(zip.files).filter(name => !zip.files[name].dir);
+
+      expect(files).toEqual(['logo/image-1.png', 'logo/image-2.gif', 'icons/banner/image-1.gif']);
+    });
+
+    it('should keep folder names distinct', async () => {
+      const images = [
+        { dataUrl: png, format: 'image/png', sourceFile: 'logo.svg' },
+        { dataUrl: png, format: 'image/png', sourceFile: 'logo.svgz' }
+      ];
+      const zip = await JSZip.loadAsync(await generateZip(images));
+      const files = Object.keys(zip.files).filter(name => !zip.files[name].dir);
+
+      expect(files).toEqual(['logo/image-1.png', 'logo-2/image-1.png']);
+    });
+
+    it('should keep the structure of relative paths without escaping the archive', async () => {
+      const images = [
+        { dataUrl: png, format: 'image/png', sourceFile: 'icons.zip/social/logo.svg' },
+        { dataUrl: png, format: 'image/png', sourceFile: '../../etc/bad:name.svg' }
+      ];
+      const zip = await JSZip.loadAsync(await generateZip(images));
+      const files = Object.keys(zip.files).filter(name => !zip.files[name].dir);
+
+      expect(files).toEqual(['icons.zip/social/logo/image-1.png', 'etc/bad_name/image-1.png']);
+    });
+
+    it('should stay flat for a single source file', async () => {
+      const images = [{ dataUrl: png, format: 'image/png', sourceFile: 'logo.svg' }];
+      const zip = await JSZip.loadAsync(await generateZip(images));
+
+      expect(Object.keys(zip.files)).toEqual(['image-1.png']);
+    });
+
+    it('should deduplicate within each folder', async () => {
+      const images = [
+        { index: 0, dataUrl: png, format: 'image/png', hash: 'x', sourceFile: 'a.svg' },
+        { index: 1, dataUrl: png, format: 'image/png', hash: 'x', sourceFile: 'a.svg' },
+        { index: 2, dataUrl: png, format: 'image/png', hash: 'x', sourceFile: 'b.svg' }
+      ];
+      const zip = await JSZip.loadAsync(await generateZip(images, null, { unique: true }));
+      const files = Object.keys(zip.files).filter(name => !zip.files[name].dir);
+
+      expect(files).toEqual(['a/image-1.png', `a/${IMAGE_MAP_FILENAME}`, 'b/image-3.png', `b/${IMAGE_MAP_FILENAME}`]);
+    });
+  });
+
+  describe('generateZip (filename templates)', () => {
+    const png = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+    it('should name entries from the template and number collisions', async () => {
+      const zip = await JSZip.loadAsync(await generateZip([
+        { index: 0, dataUrl: png, format: 'image/png', elementId: 'logo' },
+        { index: 1, dataUrl: png, format: 'image/png', elementId: 'logo' },
+        { index: 2, dataUrl: png, format: 'image/png', elementId: null, customName: 'hero' }
+      ], null, { filenameTemplate: '{id}' }));
+
+      expect(Object.keys(zip.files)).toEqual(['logo.png', 'logo-2.png', 'hero.png']);
+    });
+    it('should number entries like the cards, whatever is skipped before them', async () => {
+      const zip = await JSZip.loadAsync(await generateZip([
+        { index: 0, dataUrl: 'data:image/png;base64,', format: 'image/png' },
+        { index: 1, dataUrl: png, format: 'image/png' }
+      ]));
+
+      expect(Object.keys(zip.files)).toEqual(['image-2.png']);
+    });
+  });
+
+  describe('generateZip (manifest)', () => {
+    const png = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+    const images = [
+      { index: 0, dataUrl: png, format: 'image/png', sourceFile: 'a.svg', elementId: 'logo', elementPath: '/svg/image[1]', width: 1, height: 1 },
+      { index: 1, dataUrl: png, format: 'image/png', sourceFile: 'b.svg', elementId: null, elementPath: '/svg/image[1]', width: 1, height: 1 }
+    ];
+
+    it('should describe every file in JSON and CSV', async () => {
+      const zip = await JSZip.loadAsync(await generateZip(images, null, { manifest: true }));
+      const manifest = JSON.parse(await zip.file('manifest.json').async('string'));
+      const csv = await zip.file('manifest.csv').async('string');
+
+      expect(manifest.imageCount).toBe(2);
+      expect(manifest.images.map(entry => [entry.file, entry.sourceFile, entry.elementId, entry.size])).toEqual([
+        ['a/image-1.png', 'a.svg', 'logo', 70],
+        ['b/image-2.png', 'b.svg', null, 70]
+      ]);
+      expect(csv.split('\r\n')).toHaveLength(3);
+    });
+
+    it('should leave the manifest out by default', async () => {
+      const zip = await JSZip.loadAsync(await generateZip(images));
+
+      expect(zip.file('manifest.json')).toBeNull();
+      expect(zip.file('manifest.csv')).toBeNull();
+    });
+  });
+
+  describe('generateZip (format conversion)', () => {
+    const png = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+    const jpeg = 'data:image/jpeg;base64,/9j/4AAQSkZJRg==';
+
+    const stubEncoder = (encodes = true) => {
+      vi.stubGlobal('createImageBitmap', async () => ({ width: 1, height: 1 }));
+      vi.stubGlobal('OffscreenCanvas', class {
+        getContext() {
+          return { fillRect() {}, drawImage() {} };
+        }
+
+        async convertToBlob({ type }) {
+          return new Blob(['converted'], { type: encodes ? type : 'image/png' });
+        }
+      });
+    };
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('should convert images and rename them to the new format', async () => {
+      stubEncoder();
+      const zip = await JSZip.loadAsync(await generateZip([
+        { index: 0, dataUrl: png, format: 'image/png' },
+        { index: 1, dataUrl: jpeg, format: 'image/jpeg' }
+      ], null, { conversion: { format: 'image/jpeg' } }));
+
+      expect(Object.keys(zip.files)).toEqual(['image-1.jpeg', 'image-2.jpeg']);
+      expect(await zip.file('image-1.jpeg').async('string')).toBe('converted');
+      expect(await zip.file('image-2.jpeg').async('string')).not.toBe('converted');
+    });
+
+    it('should report formats the browser cannot encode', async () => {
+      stubEncoder(false);
+
+      await expect(generateZip([{ index: 0, dataUrl: png, format: 'image/png' }], null, {
+        conversion: { format: 'image/webp' }
+      })).rejects.toThrow('cannot save images');
+    });
+  });
+
+  describe('generateZip (externalized SVGs)', () => {
+    const png = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+    const svgs = [
+      { name: 'logo.svg', svg: '<svg><image href="images/image-1.png"/></svg>', files: [{ path: 'images/image-1.png', dataUrl: png, format: 'image/png' }] },
+      { name: 'icons/badge.svg', svg: '<svg/>', files: [] }
+    ];
+
+    it('should write each SVG with its image files', async () => {
+      const zip = await JSZip.loadAsync(await generateZip([], null, { svgs: [svgs[0]] }));
+
+      expect(Object.keys(zip.files).filter(path => !zip.files[path].dir).sort()).toEqual(['images/image-1.png', 'logo.svg']);
+      expect(await zip.file('logo.svg').async('string')).toBe(svgs[0].svg);
+      expect((await zip.file('images/image-1.png').async('uint8array'))[1]).toBe(0x50);
+    });
+
+    it('should return bytes when asked', async () => {
+      const bytes = await generateZip([], null, { svgs: [svgs[0]], type: 'uint8array' });
+
+      expect(bytes).toBeInstanceOf(Uint8Array);
+      expect(Object.keys((await JSZip.loadAsync(bytes)).files)).toContain('logo.svg');
+    });
+
+    it('should give each of several SVGs a folder', async () => {
+      const zip = await JSZip.loadAsync(await generateZip([], null, { svgs }));
+
+      expect(zip.file('logo/logo.svg')).not.toBeNull();
+      expect(zip.file('logo/images/image-1.png')).not.toBeNull();
+      expect(zip.file('icons/badge/badge.svg')).not.toBeNull();
+    });
   });
 
   describe('isZipSupported', () => {
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createManifestEntry,
+  getImageWarnings,
+  serializeManifestJson,
+  serializeManifestCsv,
+  MANIFEST_FIELDS
+} from '../../src/lib/zipManifest.js';
+
+const image = {
+  index: 3,
+  sourceFile: 'logo.svg',
+  elementId: 'badge',
+  elementPath: '/svg/g[1]/image[1]',
+  format: 'image/jpeg',
+  declaredFormat: 'image/png',
+  detectedFormat: 'image/jpeg',
+  formatMismatch: true,
+  width: 40,
+  height: 20,
+  hash: 'abc123',
+  rendered: false
+};
+
+describe('zipManifest', () => {
+  describe('getImageWarnings', () => {
+    it('should report format mismatches and unused images', () => {
+      expect(getImageWarnings(image)).toEqual([
+        'Declared as image/png but the data is image/jpeg',
+        'Defined but never rendered'
+      ]);
+      expect(getImageWarnings({ detectedFormat: 'image/png', rendered: true })).toEqual([]);
+    });
+  });
+
+  describe('createManifestEntry', () => {
+    it('should describe the written file and where the image came from', () => {
+      const entry = createManifestEntry(image, { file: 'logo/image-1.webp', format: 'image/webp', size: 120, width: 20, height: 10, warnings: ['x'] });
+
+      expect(entry).toEqual({
+        file: 'logo/image-1.webp',
+        sourceFile: 'logo.svg',
+        index: 3,
+        elementId: 'badge',
+        elementPath: '/svg/g[1]/image[1]',
+        declaredFormat: 'image/png',
+        detectedFormat: 'image/jpeg',
+        format: 'image/webp',
+        size: 120,
+        width: 20,
+        height: 10,
+        hash: 'abc123',
+        warnings: ['Declared as image/png but the data is image/jpeg', 'Defined but never rendered', 'x']
+      });
+      expect(Object.keys(entry)).toEqual(MANIFEST_FIELDS);
+    });
+
+    it('should keep the image dimensions when not resized', () => {
+      const entry = createManifestEntry({ index: 0, width: 8, height: 4 }, { file: 'image-1.png', format: 'image/png', size: 10 });
+
+      expect(entry).toMatchObject({ width: 8, height: 4, sourceFile: null, hash: null, warnings: [] });
+    });
+  });
+
+  describe('serializeManifestJson', () => {
+    it('should wrap the entries with a count and date', () => {
+      const date = new Date('2024-05-01T10:00:00Z');
+      const json = JSON.parse(serializeManifestJson([{ file: 'a.png' }], date));
+
+      expect(json).toEqual({ generated: '2024-05-01T10:00:00.000Z', imageCount: 1, images: [{ file: 'a.png' }] });
+    });
+  });
+
+  describe('serializeManifestCsv', () => {
+    it('should write a header and quote values that need it', () => {
+      const entry = createManifestEntry({ ...image, sourceFile: 'my "logo", v2.svg' }, { file: 'image-1.jpeg', format: 'image/jpeg', size: 99 });
+      const [header, row] = serializeManifestCsv([entry]).split('\r\n');
+
+      expect(header).toBe(MANIFEST_FIELDS.join(','));
+      expect(row).toBe('image-1.jpeg,"my ""logo"", v2.svg",3,badge,/svg/g[1]/image[1],image/png,image/jpeg,image/jpeg,99,40,20,abc123,'
+        + 'Declared as image/png but the data is image/jpeg; Defined but never rendered');
+    });
+  });
+});